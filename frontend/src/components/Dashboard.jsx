@@ -1,5 +1,5 @@
 // frontend/src/components/Dashboard.jsx
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import AgentGraph from './AgentGraph';
 import Timeline from './Timeline';
 import ColoredLogs from './ColoredLogs';
@@ -13,7 +13,10 @@ export default function Dashboard() {
   const [activeAgent, setActiveAgent] = useState(null);
   
   const ORCH_URL = import.meta.env.VITE_ORCH_URL || 'http://localhost:3000';
-  const lastTsRef = useRef(null);
+  const TENANT_ID = import.meta.env.VITE_TENANT_ID || 'default';
+  // Bearer token issued by your IdP; the orchestrator rejects unauthenticated calls
+  const AUTH_TOKEN = import.meta.env.VITE_AURA_TOKEN || '';
+  const authHeaders = AUTH_TOKEN ? { Authorization: `Bearer ${AUTH_TOKEN}` } : {};
 
   // This function is only for pushing *local* (non-polled) events
   function pushLocal(ev) {
@@ -25,7 +28,7 @@ export default function Dashboard() {
     try {
       await fetch(`${ORCH_URL}/goal`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
         body: JSON.stringify({ goal })
       });
     } catch (e) {
@@ -45,7 +48,7 @@ export default function Dashboard() {
     try {
       await fetch(`${ORCH_URL}/simulate`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
         body: '{}'
       });
     } catch (e) {
@@ -59,36 +62,19 @@ export default function Dashboard() {
     }
   }
 
-  // --- *** THIS IS THE MAIN FIX *** ---
-  // The polling logic is now in its own useEffect
+  // Live event stream (SSE). EventSource reconnects on its own and resends
+  // Last-Event-ID, so the server resumes exactly where we left off.
   useEffect(() => {
-    let cancelled = false;
-    const poll = async () => {
-      try {
-        const res = await fetch(`${ORCH_URL}/events`);
-        if (!res.ok) throw new Error('events fetch failed');
-        const list = await res.json();
-        if (cancelled) return;
-
-        const newEvents = lastTsRef.current ? list.filter(ev => ev.ts > lastTsRef.current) : list.slice(-30);
-        
-        if (newEvents.length > 0) {
-          lastTsRef.current = newEvents[newEvents.length - 1].ts;
-          // Batch update: add all new events in one go
-          setEvents(prev => [...prev, ...newEvents].slice(-400));
-        }
-      } catch (e) {
-        console.warn('poll error', e);
-      }
-      if (!cancelled) {
-        setTimeout(poll, 1200);
-      }
+    const token = AUTH_TOKEN ? `&access_token=${encodeURIComponent(AUTH_TOKEN)}` : '';
+    const source = new EventSource(`${ORCH_URL}/stream/agent-thoughts?tenant=${encodeURIComponent(TENANT_ID)}&replay=30${token}`);
+    source.onmessage = (msg) => {
+      const ev = JSON.parse(msg.data);
+      setEvents(prev => [...prev, ev].slice(-400));
     };
-    
-    poll(); // Start the polling loop
-    
-    return () => { cancelled = true; }; // Cleanup on unmount
-  }, [ORCH_URL]); // This effect ONLY runs once on mount
+    source.onerror = () => console.warn('event stream interrupted, reconnecting...');
+
+    return () => source.close(); // Cleanup on unmount
+  }, [ORCH_URL, TENANT_ID, AUTH_TOKEN]);
 
   // This second, separate effect ONLY runs when 'events' changes
   // This breaks the infinite loop.
@@ -98,7 +84,6 @@ export default function Dashboard() {
       setActiveAgent(lastEvent.source);
     }
   }, [events]); // <-- This now correctly depends on 'events'
-  // --- *** END OF FIX *** ---
 
   // --- DERIVED STATE (Unchanged) ---
   const timelineEvents = events.filter(e => [
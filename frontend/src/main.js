@@ -3,9 +3,12 @@
 
 // Configurable backend URL
 const ORCH_URL = window.ORCH_URL || 'http://localhost:5000';  // Default, can override
+const TENANT_ID = window.AURA_TENANT_ID || 'default';
+const AUTH_TOKEN = window.AURA_TOKEN || ''; // Bearer token from your IdP
+const AUTH_HEADERS = AUTH_TOKEN ? { Authorization: `Bearer ${AUTH_TOKEN}` } : {};
 
 // State
-let lastTs = null;
+let eventSource = null;
 window.__EVENTS__ = []; // Dev-only log
 let allEvents = [];
 let DEMO_MODE = false;
@@ -91,8 +94,8 @@ document.addEventListener('DOMContentLoaded', () => {
     detail: 'Mission Control initialized. Ready for commands.'
   });
 
-  // Start polling
-  pollEvents();
+  // Start live event stream
+  connectEventStream();
   renderDemoMode();
   accessibilityCheck();
 });
@@ -127,25 +130,22 @@ function seedDemoEvents() {
   reRender();
 }
 
-// Poll backend or push demo events
-async function pollEvents() {
-  if (DEMO_MODE) { reRender(); setTimeout(pollEvents, 1300); return; }
-  try {
-    const res = await fetch(`${ORCH_URL}/events`);
-    if (!res.ok) throw new Error('events fetch failed');
-    const list = await res.json();
-    const newEvents = lastTs ? list.filter(ev => ev.ts > lastTs) : list.slice(-40);
-    if (newEvents.length > 0) {
-      lastTs = newEvents[newEvents.length - 1].ts;
-      allEvents = [...allEvents, ...newEvents].slice(-200);
-      window.__EVENTS__ = allEvents.slice();
-      newEvents.forEach(processEvent);
-      reRender();
-    }
-  } catch (e) {
-    renderLogEntry({ ts: new Date().toISOString(), source: 'Dashboard', type: 'error', detail: 'Failed to connect to orchestrator. Retrying...' });
-  }
-  setTimeout(pollEvents, 1200);
+// Subscribe to the orchestrator's live event stream (SSE).
+// EventSource reconnects on its own and resends Last-Event-ID, so no events are missed or repeated.
+function connectEventStream() {
+  const token = AUTH_TOKEN ? `&access_token=${encodeURIComponent(AUTH_TOKEN)}` : '';
+  eventSource = new EventSource(`${ORCH_URL}/stream/agent-thoughts?tenant=${encodeURIComponent(TENANT_ID)}&replay=40${token}`);
+  eventSource.onmessage = (msg) => {
+    if (DEMO_MODE) return; // Demo mode renders its own local sequence
+    const ev = JSON.parse(msg.data);
+    allEvents = [...allEvents, ev].slice(-200);
+    window.__EVENTS__ = allEvents.slice();
+    processEvent(ev);
+    reRender();
+  };
+  eventSource.onerror = () => {
+    renderLogEntry({ ts: new Date().toISOString(), source: 'Dashboard', type: 'error', detail: 'Lost connection to orchestrator. Reconnecting...' });
+  };
 }
 
 // POST /goal with goal
@@ -155,14 +155,14 @@ async function sendGoal() {
   let body = { goal: elements.goalInput.value };
   if (DEMO_MODE) { window.injectEvent('plan.start', body); return; }
   try {
-    await fetch(`${ORCH_URL}/goal`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify(body) });
+    await fetch(`${ORCH_URL}/goal`, { method: 'POST', headers: {'Content-Type':'application/json', ...AUTH_HEADERS}, body: JSON.stringify(body) });
   } catch (e) { renderLogEntry({ ts: new Date().toISOString(), source: 'Dashboard', type: 'error', detail: 'Failed to connect to orchestrator.' }); }
 }
 
 async function simulateFailure() {
   if (DEMO_MODE) { window.injectEvent('alarm.received', "Simulated alarm."); return; }
   try {
-    await fetch(`${ORCH_URL}/simulate`, { method: 'POST', headers: {'Content-Type':'application/json'}, body: '{}' });
+    await fetch(`${ORCH_URL}/simulate`, { method: 'POST', headers: {'Content-Type':'application/json', ...AUTH_HEADERS}, body: '{}' });
   } catch (e) { renderLogEntry({ ts: new Date().toISOString(), source: 'Dashboard', type: 'error', detail: 'Failed to connect to orchestrator.' }); }
 }
 
@@ -1,39 +1,28 @@
 // service-orchestrator/src/agentFactory.js
 /**
  * AgentFactory: Unified provider for multi-cloud agents
- * Loads and routes to the correct cloud provider agent based on configuration
+ * Kept for existing callers; providers now come from the plugin registry (src/providers/registry.js),
+ * so a new cloud is added by dropping a plugin into plugins/ rather than by editing this file.
  */
 
-const AwsHealAgent = require('./agents/aws/AwsHealAgent');
-const GcpHealAgent = require('./agents/gcp/GcpHealAgent');
-const AzureHealAgent = require('./agents/azure/AzureHealAgent');
+const providerRegistry = require('./providers/registry');
 
 class AgentFactory {
   static getHealAgent(provider = 'AWS', ctx = {}) {
-    const normalizedProvider = (provider || 'AWS').toUpperCase();
-
-    switch (normalizedProvider) {
-      case 'AWS':
-        return new AwsHealAgent(ctx);
-      case 'GCP':
-        return new GcpHealAgent(ctx);
-      case 'AZURE':
-        return new AzureHealAgent(ctx);
-      default:
-        console.warn(`[AgentFactory] Unknown provider: ${provider}, defaulting to AWS`);
-        return new AwsHealAgent(ctx);
+    if (!providerRegistry.has(provider || 'AWS')) {
+      console.warn(`[AgentFactory] Unknown provider: ${provider}, defaulting to AWS`);
+      return providerRegistry.getHealAgent('aws', ctx);
     }
+    return providerRegistry.getHealAgent(provider || 'AWS', ctx);
   }
 
   static getAvailableProviders() {
-    return ['AWS', 'GCP', 'Azure'];
+    return providerRegistry.list().map(p => p.displayName);
   }
 
   static isValidProvider(provider) {
-    return this.getAvailableProviders()
-      .map(p => p.toUpperCase())
-      .includes((provider || '').toUpperCase());
+    return providerRegistry.has(provider);
   }
 }
 
-module.exports = AgentFactory;
\ No newline at end of file
+module.exports = AgentFactory;
@@ -2,7 +2,14 @@
 /**
  * Abstract base class for all cloud provider agents
  * Extends this for AWS, GCP, Azure, etc.
+ *
+ * Subclasses are provider plugins: they declare static `id`, `displayName`,
+ * `commands` ({ COMMAND: { handler, description, target, mutating, params } }),
+ * optional `aliases` (generic plan actions such as RESTART -> a concrete command)
+ * and optional `fallbacks` (commands tried in order when verification shows no recovery).
  */
+const { validateParams } = require('../providers/commandSchema');
+
 class BaseAgent {
   constructor(ctx = {}) {
     this.ctx = ctx;
@@ -24,10 +31,60 @@ class BaseAgent {
   }
 
   /**
-   * Heal/remediate a cloud resource
+   * Heal/remediate a cloud resource.
+   * Dispatches to the handler a subclass declares in its static `commands` manifest,
+   * after checking the parameters against that command's schema.
    */
   async heal(remediation) {
-    throw new Error('heal() not implemented in ' + this.constructor.name);
+    const { remediation_command, target_resource_id, parameters } = remediation;
+    const command = (this.constructor.commands || {})[remediation_command];
+    if (!command || typeof this[command.handler] !== 'function') {
+      throw new Error(`[${this.provider}] Unknown remediation command: ${remediation_command}`);
+    }
+    const params = validateParams(remediation_command, command.params, parameters);
+
+    // Prior state is captured before anything changes so the action can be reverted later
+    const snapshot = command.mutating ? await this.captureSnapshot(remediation_command, target_resource_id, params) : null;
+
+    console.log(`[${this.provider}HealAgent] Executing ${remediation_command} for ${target_resource_id}`);
+    const result = await this[command.handler](target_resource_id, params);
+    return snapshot ? { ...result, snapshot } : result;
+  }
+
+  /**
+   * Wraps snapshot() into a stored record and hands it to ctx.onSnapshot before the mutation runs,
+   * so it is kept even when the command itself fails halfway.
+   */
+  async captureSnapshot(command, resourceId, params) {
+    const state = await this.snapshot(command, resourceId, params);
+    if (!state) return null;
+
+    const snapshot = {
+      id: `SNAP-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      provider: String(this.constructor.id || this.provider).toLowerCase(),
+      command,
+      resourceId,
+      state,
+      capturedAt: new Date().toISOString(),
+      restoredAt: null
+    };
+    if (this.ctx.onSnapshot) this.ctx.onSnapshot(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Prior configuration a mutating command is about to change (optional)
+   * Returning null means the command leaves nothing that can be restored (e.g. a restart).
+   */
+  async snapshot(command, resourceId, params) {
+    return null;
+  }
+
+  /**
+   * Put a resource back to the state recorded by snapshot() (optional)
+   */
+  async restore(snapshot) {
+    throw new Error(`${this.provider} cannot restore snapshots`);
   }
 
   /**
@@ -38,6 +95,31 @@ class BaseAgent {
     return { success: true, status: 'not-implemented' };
   }
 
+  /**
+   * Health of a resource over a time window (optional, drives post-remediation verification)
+   * Returns { score: 0-100, status, metrics } or null when the window holds no data.
+   * Providers that do not override this cannot be verified.
+   */
+  async health(resourceId, window) {
+    return null;
+  }
+
+  /**
+   * Deployments of a resource since a point in time (optional, reasoning diagnostics)
+   * Returns [{ version, deployedAt, description }] newest first, or null when the provider cannot tell.
+   */
+  async deployments(resourceId, { since } = {}) {
+    return null;
+  }
+
+  /**
+   * Recent log lines of a resource (optional, reasoning diagnostics)
+   * Returns [{ timestamp, message }] oldest first, or null when the provider cannot tell.
+   */
+  async logs(resourceId, { since, limit } = {}) {
+    return null;
+  }
+
   /**
    * Approve an action (optional, for HITL)
    */
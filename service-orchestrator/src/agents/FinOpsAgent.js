@@ -4,6 +4,20 @@
 
 const { EC2Client, DescribeInstancesCommand, StopInstancesCommand } = require('@aws-sdk/client-ec2');
 const { CloudWatchClient, GetMetricStatisticsCommand } = require('@aws-sdk/client-cloudwatch');
+const auditLogger = require('../audit/logger');
+const providerRegistry = require('../providers/registry');
+
+// Rough USD/day a remediation adds (list prices, small sizes). Scaling commands cost per extra unit.
+const DAILY_COST = {
+  SCALE_ECS_TASK: { perUnit: 1.2, param: 'desiredCount' },
+  SCALE_CLOUD_RUN: { perUnit: 1.5, param: 'maxInstances' },
+  SCALE_DEPLOYMENT: { perUnit: 1.0, param: 'replicas' },
+  INCREASE_LAMBDA_MEMORY: { flat: 2 },
+  INCREASE_FUNCTION_MEMORY: { flat: 2 },
+  INCREASE_LAMBDA_TIMEOUT: { flat: 0.5 },
+  INCREASE_FUNCTION_TIMEOUT: { flat: 0.5 }
+};
+const APP_SERVICE_TIERS = { Standard_S1: 2.4, Standard_S2: 4.8, Standard_S3: 9.6, Premium_P1v3: 7.3, Premium_P2v3: 14.6 };
 
 class FinOpsAgent {
   constructor(context) {
@@ -60,15 +74,60 @@ class FinOpsAgent {
   // The "Action" - Saves the money
   async optimize(opportunity) {
     if (opportunity.recommendation === 'STOP') {
+      let outcome;
       try {
         await this.ec2.send(new StopInstancesCommand({ InstanceIds: [opportunity.id] }));
-        return { success: true, saved: opportunity.estimatedSavings };
+        outcome = { success: true, saved: opportunity.estimatedSavings };
       } catch (e) {
-        return { success: false, error: e.message };
+        outcome = { success: false, error: e.message };
       }
+      this.audit(opportunity, outcome);
+      return outcome;
     }
     return { success: false, error: 'Unknown action' };
   }
+
+  // The "Estimate" - what a remediation plan adds to the bill (USD/day), used by the Supervisor's cost policy
+  async estimateImpact(plan) {
+    const provider = (plan.targetProvider || 'aws').toLowerCase();
+    const command = providerRegistry.resolveCommand(provider, plan.action);
+    const params = plan.parameters || {};
+    const rate = DAILY_COST[command];
+
+    let estimatedCost = 0;
+    let basis = 'No added capacity';
+    if (command === 'SCALE_APP_SERVICE') {
+      const tier = params.tier || 'Standard_S2';
+      estimatedCost = (APP_SERVICE_TIERS[tier] ?? APP_SERVICE_TIERS.Premium_P2v3) - APP_SERVICE_TIERS.Standard_S1;
+      basis = `App Service plan Standard_S1 -> ${tier}`;
+    } else if (rate?.perUnit) {
+      const extraUnits = params[rate.param] != null ? Math.max(0, params[rate.param] - 1) : 1;
+      estimatedCost = extraUnits * rate.perUnit;
+      basis = `${extraUnits} extra unit(s) at $${rate.perUnit}/day`;
+    } else if (rate?.flat) {
+      estimatedCost = rate.flat;
+      basis = 'Larger function configuration';
+    }
+
+    return { command, estimatedCost: Math.round(estimatedCost * 100) / 100, currency: 'USD', period: 'day', basis };
+  }
+
+  // Stopping instances is a privileged action, so each attempt is written to the audit trail
+  audit(opportunity, outcome) {
+    try {
+      auditLogger.log({
+        type: 'finops.stop',
+        actor: this.context.actor || 'agent:FinOpsAgent',
+        resource: opportunity.id,
+        action: 'StopInstances',
+        result: outcome.success ? 'success' : 'failed',
+        tenant: this.context.tenant || null,
+        details: { instanceType: opportunity.type, estimatedSavings: opportunity.estimatedSavings, error: outcome.error }
+      });
+    } catch (e) {
+      console.error('[FinOpsAgent] Audit write failed:', e.message);
+    }
+  }
 }
 
 module.exports = FinOpsAgent;
\ No newline at end of file
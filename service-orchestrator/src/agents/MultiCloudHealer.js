@@ -1,117 +1,143 @@
 /* FILENAME: src/agents/MultiCloudHealer.js
-  PURPOSE: Abstract Factory for Multi-Cloud Remediation (Updated for Resilience)
+  PURPOSE: Routes approved remediation plans to the provider plugin registry (events + audit around every call)
 */
 
-const { LambdaClient, UpdateFunctionConfigurationCommand } = require('@aws-sdk/client-lambda');
+const providerRegistry = require('../providers/registry');
+const remediationGovernor = require('../orchestrator/remediationGovernor');
+const auditLogger = require('../audit/logger');
 
-// --- ADAPTER INTERFACE ---
-class CloudAdapter {
-  async restartService(resourceId) { throw new Error('Not Implemented'); }
-  async scaleUp(resourceId) { throw new Error('Not Implemented'); }
-}
-
-// --- AWS IMPLEMENTATION ---
-class AwsAdapter extends CloudAdapter {
-  constructor() {
-    super();
-    this.lambda = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1' });
-  }
-
-  async restartService(resourceId) {
-    console.log(`[AWS-Adapter] Restarting Lambda: ${resourceId}`);
-    try {
-      // In a real scenario, this would update the function config to force a cold start
-      await this.lambda.send(new UpdateFunctionConfigurationCommand({
-        FunctionName: resourceId,
-        Environment: { Variables: { FORCE_RESTART: Date.now().toString() } }
-      }));
-      return { status: 'success', provider: 'AWS', resource: resourceId };
-    } catch (e) {
-      // Simulation fallback if AWS creds fail
-      return { status: 'simulated_success', provider: 'AWS', resource: resourceId, note: 'Simulated Restart' };
-    }
-  }
-
-  async scaleUp(resourceId) {
-    console.log(`[AWS-Adapter] Scaling ASG for: ${resourceId}`);
-    return { status: 'success', provider: 'AWS', resource: resourceId, action: 'AutoScaling Group +1' };
-  }
-}
-
-// --- AZURE IMPLEMENTATION (Mock) ---
-class AzureAdapter extends CloudAdapter {
-  async restartService(resourceId) {
-    return { status: 'success', provider: 'Azure', resource: resourceId, note: 'Simulated AppService Restart' };
-  }
-  async scaleUp(resourceId) {
-    return { status: 'success', provider: 'Azure', resource: resourceId, note: 'Simulated VM ScaleSet +1' };
-  }
-}
-
-// --- GCP IMPLEMENTATION (Mock) ---
-class GcpAdapter extends CloudAdapter {
-  async restartService(resourceId) {
-    return { status: 'success', provider: 'GCP', resource: resourceId, note: 'Simulated CloudRun Revision' };
-  }
-  async scaleUp(resourceId) {
-    return { status: 'success', provider: 'GCP', resource: resourceId, note: 'Simulated MIG Resize' };
-  }
-}
-
-// --- THE FACTORY ---
 class MultiCloudHealer {
+  /**
+   * @param {object} context - { pushEvent, incidentId, tenant, approvedBy, onSnapshot, registry, governor }
+   *   governor: RemediationGovernor consulted before every mutating command (default: the shared one)
+   */
   constructor(context) {
     this.context = context;
-    this.adapters = {
-      'aws': new AwsAdapter(),
-      'azure': new AzureAdapter(),
-      'gcp': new GcpAdapter()
-    };
+    this.registry = context.registry || providerRegistry;
+    this.governor = context.governor || remediationGovernor;
   }
 
-  getAdapter(provider) {
-    const adapter = this.adapters[provider?.toLowerCase()];
-    return adapter || this.adapters['aws']; // Default to AWS
+  // Every cloud mutation lands in the hash-chained audit trail, whether it worked or not
+  audit(plan, incidentId, result, details) {
+    try {
+      auditLogger.log({
+        type: 'remediation.executed',
+        actor: 'agent:MultiCloudHealer',
+        resource: plan.resourceId || incidentId,
+        action: plan.action,
+        result,
+        tenant: this.context.tenant || null,
+        details: { incidentId, provider: plan.targetProvider || 'aws', approvedBy: this.context.approvedBy || null, ...details }
+      });
+    } catch (e) {
+      console.error('[MultiCloudHealer] Audit write failed:', e.message);
+    }
   }
 
   async heal(plan) {
-    const { targetProvider, action, resourceId } = plan;
+    const { action, resourceId } = plan;
+    const provider = (plan.targetProvider || 'aws').toLowerCase();
+    const incidentId = plan.incidentId || this.context.incidentId || null;
     
     this.context.pushEvent({
       source: 'MultiCloudHealer',
       type: 'healing.initiated',
-      detail: `Routing ${action} to ${targetProvider || 'AWS'}`
+      incidentId,
+      detail: `Routing ${action} to ${provider.toUpperCase()}`
     });
 
-    const adapter = this.getAdapter(targetProvider);
-
+    let lease = null;
     try {
-      let result;
-      // Normalize actions
-      const normalizedAction = action.toUpperCase();
-
-      if (normalizedAction.includes('RESTART') || normalizedAction === 'EMERGENCY_RESTART') {
-        result = await adapter.restartService(resourceId);
-      } else if (normalizedAction.includes('SCALE')) {
-        result = await adapter.scaleUp(resourceId);
-      } else {
-        // Generic success for unknown actions to prevent crash
-        result = { status: 'success', action: action, note: 'Generic Handler Executed' };
+      // Unknown providers/commands and bad parameters fail here, before any cloud call
+      const { command, params } = this.registry.validate(provider, action, plan.parameters);
+      if (this.registry.get(provider).commands[command].mutating) {
+        // plan.governorOverride is set once a human approved going past a limit (never past the kill switch)
+        lease = this.governor.acquire(
+          { tenant: this.context.tenant, provider, resourceId, action: command, incidentId },
+          { override: !!plan.governorOverride, actor: this.context.approvedBy || 'agent:MultiCloudHealer' }
+        );
       }
+      const agent = this.registry.getHealAgent(provider, { incidentId, tenant: this.context.tenant, onSnapshot: this.context.onSnapshot });
+      const result = await agent.heal({
+        remediation_command: command,
+        target_resource_id: resourceId,
+        incident_id: incidentId,
+        parameters: params
+      });
+      if (result?.success === false) throw new Error(result.error || `${command} reported failure`);
 
       this.context.pushEvent({
         source: 'MultiCloudHealer',
         type: 'healing.success',
+        incidentId,
         detail: result
       });
+      this.audit(plan, incidentId, result.status || 'success', { command, outcome: result });
       return result;
 
     } catch (err) {
+      if (err.governor) {
+        // Nothing ran; the governor has already audited the block
+        this.context.pushEvent({ source: 'Governor', type: 'governor.blocked', incidentId, detail: err.message });
+        throw err;
+      }
       this.context.pushEvent({
         source: 'MultiCloudHealer',
         type: 'healing.failed',
+        incidentId,
         detail: err.message
       });
+      this.audit(plan, incidentId, 'failed', { error: err.message });
+      throw err;
+    } finally {
+      if (lease) lease.release();
+    }
+  }
+
+  /**
+   * Put a resource back to the state captured before a remediation touched it
+   * @param {object} snapshot - Record produced by BaseAgent.captureSnapshot()
+   * @param {string} actor - User asking for the revert
+   */
+  async revert(snapshot, actor) {
+    const incidentId = this.context.incidentId || null;
+    const auditRevert = (result, details) => {
+      try {
+        auditLogger.log({
+          type: 'remediation.reverted',
+          actor: actor || 'agent:MultiCloudHealer',
+          resource: snapshot.resourceId,
+          action: snapshot.command,
+          result,
+          tenant: this.context.tenant || null,
+          details: { incidentId, provider: snapshot.provider, snapshotId: snapshot.id, ...details }
+        });
+      } catch (e) {
+        console.error('[MultiCloudHealer] Audit write failed:', e.message);
+      }
+    };
+
+    try {
+      const agent = this.registry.getHealAgent(snapshot.provider, { incidentId, tenant: this.context.tenant });
+      const result = await agent.restore(snapshot);
+
+      this.context.pushEvent({
+        source: 'MultiCloudHealer',
+        type: 'remediation.reverted',
+        incidentId,
+        detail: `Reverted ${snapshot.command} on ${snapshot.resourceId} (${snapshot.provider.toUpperCase()})`
+      });
+      auditRevert('success', { restored: snapshot.state });
+      return result;
+
+    } catch (err) {
+      this.context.pushEvent({
+        source: 'MultiCloudHealer',
+        type: 'remediation.revert_failed',
+        incidentId,
+        detail: `Could not revert ${snapshot.command} on ${snapshot.resourceId}: ${err.message}`
+      });
+      auditRevert('failed', { error: err.message });
       throw err;
     }
   }
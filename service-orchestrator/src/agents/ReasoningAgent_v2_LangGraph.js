@@ -1,87 +1,317 @@
 const { StateGraph, END } = require("@langchain/langgraph");
 
-// --- 1. ROBUST AI LOADER ---
-let ChatModel;
-try {
-  ChatModel = require("@langchain/openai").ChatOpenAI;
-} catch (e) {
-  console.warn("⚠️ [ReasoningAgent] OpenAI library not found. Falling back to Simulation.");
-}
+// --- 1. MODEL PROVIDERS ---
+// Bedrock, OpenAI, local OpenAI-compatible servers, recorded replays or the offline simulation (config/llm.json)
+const modelRegistry = require("../llm");
+const providerRegistry = require("../providers/registry");
+const KnowledgeBase = require("../services/knowledgeBase");
+const AmazonQClient = require("../clients/amazonQClient");
+const { parsePlan, allowedActions } = require("./remediationPlanSchema");
+const DiagnosticTools = require("./diagnosticTools");
 
-// --- 2. SIMULATION FALLBACK ---
-class SimulatedBrain {
-  async invoke(prompt) {
-    console.log("🤖 [SimulatedBrain] Generating plan...");
-    await new Promise(r => setTimeout(r, 1000));
-    return {
-      content: JSON.stringify({
-        action: "SCALE_UP",
-        target: "primary-cluster",
-        confidence: 0.99,
-        analysis: "Identified CPU spike in CloudWatch logs. Scaling ASG."
-      })
-    };
-  }
-}
+// Model answers checked against the plan schema before the rule-based fallback takes over
+const MAX_PLAN_ATTEMPTS = 2;
+const ERROR_LINE = /error|exception|fatal|timed out|oom|killed/i;
 
-// --- 3. AGENT LOGIC ---
-const AgentState = { incident: {}, logs: [], plan: null, attempts: 0 };
+// --- 2. AGENT LOGIC ---
+// LangGraph channels: { value: null } keeps the last value written by a node
+const AgentState = {
+  incident: { value: null },
+  incidentId: { value: null },
+  attempts: { value: null },
+  toolCalls: { value: null }, // requested by diagnose, executed by tools
+  evidence: { value: null }, // tool results of the current attempt (null: not gathered yet)
+  findings: { value: null }, // diagnosis handed to the planner
+  feedback: { value: null }, // why the previous attempt's plan was rejected
+  plan: { value: null },
+  verdict: { value: null } // { accepted, retry, reason } from validate
+};
 
 class ReasoningAgentV2 {
   constructor(context) {
     this.context = context;
-    // USE OPENAI IF AVAILABLE, ELSE SIMULATE
-    if (ChatModel && process.env.OPENAI_API_KEY) {
-      this.model = new ChatModel({ openAIApiKey: process.env.OPENAI_API_KEY, temperature: 0 });
-    } else {
-      this.model = new SimulatedBrain();
-    }
+    this.incidentId = context.incidentId || null;
+    this.tenant = context.tenant || null;
+    // Per-tenant provider unless the caller hands one in (tests use the recorded provider)
+    this.model = context.model || modelRegistry.forTenant(this.tenant);
+    this.resourceId = context.resourceId || null;
+    this.tools = context.tools || new DiagnosticTools();
+    // Past incidents of the tenant (IncidentHistory); without it the prompt has no track record to learn from
+    this.history = context.history || null;
+    this.maxAttempts = context.maxAttempts ?? Number(process.env.REASONING_MAX_ATTEMPTS || 3);
+    this.minConfidence = context.minConfidence ?? Number(process.env.REASONING_MIN_CONFIDENCE || 0.6);
+    this.lookbackMinutes = context.lookbackMinutes ?? Number(process.env.REASONING_LOOKBACK_MINUTES || 30);
+    this.trace = [];
   }
 
+  emit(type, detail) {
+    this.context.pushEvent({ source: 'ReasoningAgent', type, detail, incidentId: this.incidentId });
+  }
+
+  /**
+   * Opens an attempt by requesting tool calls, then (after the tools node) turns the evidence into findings.
+   * Each retry widens the lookback window and always includes recent deploys.
+   */
   async diagnose(state) {
-    this.context.pushEvent({ source: 'ReasoningAgent', type: 'ai.diagnose', detail: 'Analyzing telemetry...' });
-    return { logs: ["Latency > 500ms"], attempts: state.attempts + 1 };
+    if (state.evidence) {
+      return { findings: this.summarizeEvidence(state.evidence), toolCalls: [] };
+    }
+
+    const attempts = state.attempts + 1;
+    const provider = this.providerFor(state.incident);
+    const resourceId = this.resourceId;
+    if (!resourceId) {
+      this.emit('ai.diagnose', `Attempt ${attempts}: no resource to inspect, planning from the alarm alone`);
+      return { attempts, toolCalls: [], evidence: [], findings: ['No resource id on the incident; telemetry tools skipped'] };
+    }
+
+    const since = new Date(Date.now() - this.lookbackMinutes * attempts * 60000);
+    const names = ['metrics', 'logs'];
+    if (attempts > 1 || /error|fail|5xx|crash/i.test(state.incident?.AlarmName || '')) names.push('deploys');
+    const toolCalls = names.map(tool => ({ tool, args: { provider, resourceId, since, limit: 50 } }));
+    this.emit('ai.diagnose', `Attempt ${attempts}: inspecting ${resourceId} (${names.join(', ')}) since ${since.toISOString()}`);
+    return { attempts, toolCalls, evidence: null, findings: null };
+  }
+
+  async runTools(state) {
+    const evidence = await Promise.all(state.toolCalls.map(({ tool, args }) => this.tools.call(tool, args)));
+    return { evidence, toolCalls: [] };
+  }
+
+  // Compact, prompt-sized digest of the tool results
+  summarizeEvidence(evidence) {
+    return evidence.map(result => {
+      if (!result.ok) return `${result.tool}: unavailable (${result.error})`;
+      const { data } = result;
+      if (data == null) return `${result.tool}: no data`;
+      if (result.tool === 'metrics') {
+        return `metrics: health ${data.score}/100 (${data.status}) ${JSON.stringify(data.metrics || {}).slice(0, 300)}`;
+      }
+      if (result.tool === 'deploys') {
+        if (!data.length) return 'deploys: none in the lookback window';
+        const latest = data[0];
+        return `deploys: ${data.length} in the lookback window, latest ${latest.version} at ${latest.deployedAt}${latest.description ? ` (${latest.description})` : ''}`;
+      }
+      if (result.tool === 'logs') {
+        const errors = data.filter(line => ERROR_LINE.test(line.message));
+        const sample = errors.slice(-5).map(line => `  ${line.timestamp} ${line.message.slice(0, 200)}`);
+        return [`logs: ${data.length} lines, ${errors.length} errors`, ...sample].join('\n');
+      }
+      return `${result.tool}: ${JSON.stringify(data).slice(0, 300)}`;
+    });
+  }
+
+  // Provider the incident runs on; the plan's command list comes from its manifest
+  providerFor(incident) {
+    const provider = String(this.context.provider || (incident?.AlarmName?.includes('azure') ? 'azure' : 'aws')).toLowerCase();
+    return providerRegistry.has(provider) ? provider : 'aws';
+  }
+
+  async buildPrompt(incident, provider, { findings, feedback } = {}) {
+    const { commands, aliases } = providerRegistry.describe(provider);
+    const actions = [
+      ...commands.map(c => `- ${c.name}: ${c.description}${Object.keys(c.params).length ? ` (parameters: ${Object.keys(c.params).join(', ')})` : ''}`),
+      ...Object.entries(aliases).map(([alias, command]) => `- ${alias}: same as ${command}`)
+    ].join('\n');
+
+    const sops = await KnowledgeBase.getContext(KnowledgeBase.alarmQuery(incident));
+    const history = this.history ? this.history.promptContext(incident || {}, { tenant: this.tenant, provider }) : null;
+
+    return `You are an SRE agent remediating an incident on ${provider}.
+
+CORPORATE SOPs (cite the ids you rely on):
+${sops}
+${history ? `\n${history}\n` : ''}
+INCIDENT:
+${JSON.stringify(incident, null, 2)}
+
+TELEMETRY (diagnostic tools):
+${(findings || []).join('\n') || 'none'}
+${feedback ? `\nPREVIOUS PLAN REJECTED: ${feedback}\n` : ''}
+ALLOWED ACTIONS (choose exactly one):
+${actions}
+
+Reply with ONE JSON object and nothing else:
+{"action": "<allowed action>", "resourceId": "<resource to fix>", "provider": "${provider}", "confidence": <0..1>, "citations": ["SOP-..."], "rationale": "<why>", "parameters": {}}`;
+  }
+
+  buildRepairPrompt(prompt, output, errors) {
+    return `${prompt}
+
+Your previous answer was rejected:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous answer:
+${String(output).slice(0, 2000)}
+
+Return the corrected JSON object only.`;
   }
 
   async plan(state) {
-    this.context.pushEvent({ source: 'ReasoningAgent', type: 'ai.plan', detail: 'Drafting remediation...' });
+    this.emit('ai.plan', `Drafting remediation (${this.model.name})...`);
     const { incident } = state;
-    
-    let plan = { action: 'RESTART', targetProvider: 'aws', resourceId: 'app-lambda' };
-    try {
-      const res = await this.model.invoke(`Fix this: ${JSON.stringify(incident)}. Return JSON {action, target, confidence}`);
-      const content = typeof res.content === 'string' ? res.content : JSON.stringify(res.content);
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) Object.assign(plan, JSON.parse(jsonMatch[0]));
-    } catch (e) { console.error("AI Plan Error:", e); }
+    const provider = this.providerFor(incident);
+    const prompt = await this.buildPrompt(incident, provider, state);
+
+    // First answer plus one repair round; anything still invalid falls back to the rule engine
+    const errors = [];
+    let output = null;
+    for (let attempt = 1; attempt <= MAX_PLAN_ATTEMPTS; attempt++) {
+      let res;
+      try {
+        res = await this.model.complete({
+          prompt: attempt === 1 ? prompt : this.buildRepairPrompt(prompt, output, errors[errors.length - 1]),
+          tenant: this.tenant,
+          incidentId: state.incidentId
+        });
+      } catch (e) {
+        console.error("AI Plan Error:", e.message);
+        errors.push([`Model call failed: ${e.message}`]);
+        break;
+      }
 
-    return { plan: { ...plan, targetProvider: incident.AlarmName?.includes('azure') ? 'azure' : 'aws' } };
+      output = res.text;
+      const parsed = parsePlan(output, provider);
+      if (parsed.success) {
+        return { plan: { ...parsed.plan, targetProvider: provider, source: 'model', planAttempts: attempt, incidentId: state.incidentId } };
+      }
+      errors.push(parsed.errors);
+      this.emit('ai.plan_invalid', `Attempt ${attempt} rejected: ${parsed.errors.join('; ')}`);
+    }
+
+    return { plan: { ...this.fallbackPlan(incident, provider, errors), incidentId: state.incidentId } };
+  }
+
+  // Deterministic rules (same as the Amazon Q client's) when the model cannot produce a valid plan
+  fallbackPlan(incident, provider, errors) {
+    const reason = errors.length ? errors[errors.length - 1].join('; ') : 'no model answer';
+    const rules = AmazonQClient.intelligentFallback(incident || {}, `Plan rejected: ${reason}`);
+    // The rules speak Lambda; other providers get the no-op
+    const action = allowedActions(provider).includes(rules.remediation_plan) ? rules.remediation_plan : 'LOG_ONLY';
+    this.emit('ai.plan_fallback', `Model plan failed validation ${errors.length} time(s); rule-based ${action}`);
+    return {
+      action,
+      resourceId: incident?.resourceId || 'app-lambda',
+      provider,
+      confidence: 0,
+      citations: [rules.policy_citation],
+      rationale: rules.root_cause_analysis,
+      parameters: {},
+      targetProvider: provider,
+      source: 'rule-fallback',
+      planAttempts: errors.length,
+      validationErrors: errors.flat()
+    };
   }
 
+  /**
+   * Accepts a schema-valid model plan that is confident enough and whose action has not historically failed on
+   * this alarm type; anything else goes back to diagnose
+   * until the attempt cap, after which the last plan stands unvalidated (the supervisor then wants a human).
+   */
   async validate(state) {
-    return { plan: { ...state.plan, validated: true } };
+    const { plan } = state;
+    let reason = null;
+    if (plan.source !== 'model') reason = 'no schema-valid plan from the model';
+    else if (plan.confidence < this.minConfidence) reason = `confidence ${plan.confidence} below ${this.minConfidence}`;
+    else if (this.history) {
+      // Steer away from actions that kept failing on this kind of alarm
+      reason = this.history.discouraged(state.incident || {}, plan.action, { tenant: this.tenant, provider: plan.provider || plan.targetProvider });
+    }
+
+    const accepted = !reason;
+    const retry = !accepted && state.attempts < this.maxAttempts;
+    return {
+      plan: { ...plan, validated: accepted, reasoningAttempts: state.attempts, ...(reason ? { validationNote: reason } : {}) },
+      verdict: { accepted, retry, reason },
+      // A retry starts a fresh attempt: new evidence, and the planner hears why the last plan failed
+      ...(retry ? { evidence: null, findings: null, feedback: `${plan.action}: ${reason}` } : {})
+    };
+  }
+
+  // One trace entry (and UI event) per node execution
+  traced(node, fn) {
+    return async (state) => {
+      const started = Date.now();
+      const update = await fn(state);
+      const entry = {
+        node,
+        attempt: update.attempts ?? state.attempts,
+        durationMs: Date.now() - started,
+        summary: this.traceSummary(node, update)
+      };
+      this.trace.push(entry);
+      this.emit('ai.trace', entry);
+      return update;
+    };
+  }
+
+  traceSummary(node, update) {
+    switch (node) {
+      case 'diagnose':
+        return update.toolCalls?.length ? `calling ${update.toolCalls.map(c => c.tool).join(', ')}` : `${(update.findings || []).length} findings`;
+      case 'tools':
+        return update.evidence.map(r => `${r.tool} ${r.ok ? (r.data == null ? 'no data' : 'ok') : 'failed'}`).join(', ');
+      case 'planner':
+        return `${update.plan.action} (${update.plan.source}, confidence ${update.plan.confidence ?? 'n/a'})`;
+      case 'validate':
+        return update.verdict.accepted ? 'accepted'
+          : update.verdict.retry ? `rejected (${update.verdict.reason}), back to diagnose`
+            : `rejected (${update.verdict.reason}), attempt cap reached`;
+      default:
+        return null;
+    }
   }
 
   buildGraph() {
-    const workflow = new StateGraph({ channels: AgentState })
-      .addNode("diagnose", this.diagnose.bind(this))
-      .addNode("plan", this.plan.bind(this))
-      .addNode("validate", this.validate.bind(this))
-      .addEdge("diagnose", "plan")
-      .addEdge("plan", "validate")
-      .setEntryPoint("diagnose");
+    const workflow = new StateGraph({ channels: AgentState });
+    workflow.addNode("diagnose", this.traced('diagnose', this.diagnose.bind(this)));
+    workflow.addNode("tools", this.traced('tools', this.runTools.bind(this)));
+    // Node names must not collide with channel names ("plan" is state)
+    workflow.addNode("planner", this.traced('planner', this.plan.bind(this)));
+    workflow.addNode("validate", this.traced('validate', this.validate.bind(this)));
+
+    // diagnose -> tools -> diagnose -> planner -> validate, looping back to diagnose on rejection
+    workflow.addConditionalEdges("diagnose", (state) => (state.toolCalls?.length ? "tools" : "planner"), { tools: "tools", planner: "planner" });
+    workflow.addEdge("tools", "diagnose");
+    workflow.addEdge("planner", "validate");
+    workflow.addConditionalEdges("validate", (state) => (state.verdict.retry ? "retry" : "done"), { retry: "diagnose", done: END });
+    workflow.setEntryPoint("diagnose");
     return workflow.compile();
   }
 
   async run(incidentData) {
+    let plan;
+    this.trace = [];
     try {
       const app = this.buildGraph();
-      const result = await app.invoke({ incident: incidentData, attempts: 0 });
-      return result.plan;
+      const result = await app.invoke(
+        { incident: incidentData, incidentId: this.incidentId, attempts: 0, toolCalls: [], evidence: null, findings: null, feedback: null, plan: null, verdict: null },
+        // Five node runs per attempt, each two Pregel steps with its outgoing edge; the attempt cap ends the loop first
+        { recursionLimit: (this.maxAttempts + 1) * 10 }
+      );
+      plan = result.plan;
+      this.emit('ai.graph_completed', { attempts: plan.reasoningAttempts, validated: plan.validated, trace: this.trace });
     } catch (e) {
       console.error("Agent Crash:", e);
-      return { action: 'EMERGENCY_RESTART', targetProvider: 'aws' };
+      plan = {
+        action: 'EMERGENCY_RESTART',
+        targetProvider: this.providerFor(incidentData),
+        incidentId: this.incidentId,
+        validated: false,
+        validationNote: `Reasoning graph crashed: ${e.message}`
+      };
     }
+    this.recordDecision(plan);
+    return plan;
+  }
+
+  recordDecision(plan) {
+    const { repository } = this.context;
+    if (!repository || !this.incidentId) return;
+    try {
+      repository.recordDecision(this.incidentId, 'ReasoningAgentV2', plan, plan.confidence);
+    } catch (e) { console.error("Decision Persist Error:", e.message); }
   }
 }
 module.exports = ReasoningAgentV2;
\ No newline at end of file
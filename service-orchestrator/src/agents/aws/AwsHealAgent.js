@@ -5,15 +5,87 @@
  */
 
 const BaseAgent = require('../BaseAgent');
+const MetricsCollector = require('../../metrics/collector');
 const {
   LambdaClient,
   UpdateFunctionConfigurationCommand,
   GetFunctionConfigurationCommand,
+  GetAliasCommand,
   ListAliasesCommand,
+  ListVersionsByFunctionCommand,
   UpdateAliasCommand
 } = require('@aws-sdk/client-lambda');
 
+// Commands that rewrite the function configuration (restart rewrites the environment variables)
+const CONFIG_COMMANDS = ['RESTART_LAMBDA', 'INCREASE_LAMBDA_TIMEOUT', 'INCREASE_LAMBDA_MEMORY'];
+
+// Missing credentials or a function that does not exist fail the heal (and escalate) unless a local demo
+// opts in with AWS_SIMULATE_WITHOUT_CREDENTIALS=true, in which case the command is simulated instead.
+const SIMULATED_ERRORS = ['CredentialsProviderError', 'ResourceNotFoundException'];
+const isSimulated = (err) => SIMULATED_ERRORS.includes(err.name) && process.env.AWS_SIMULATE_WITHOUT_CREDENTIALS === 'true';
+
 class AwsHealAgent extends BaseAgent {
+  static id = 'aws';
+  static displayName = 'AWS';
+
+  static aliases = {
+    RESTART: 'RESTART_LAMBDA',
+    EMERGENCY_RESTART: 'RESTART_LAMBDA',
+    SCALE_UP: 'SCALE_ECS_TASK',
+    ROLLBACK: 'ROLLBACK_LAMBDA_VERSION'
+  };
+
+  static fallbacks = ['INCREASE_LAMBDA_MEMORY', 'ROLLBACK_LAMBDA_VERSION'];
+
+  static commands = {
+    RESTART_LAMBDA: {
+      handler: 'restartLambda',
+      description: 'Force a cold start by touching the function configuration',
+      target: 'Lambda function name',
+      mutating: true
+    },
+    INCREASE_LAMBDA_TIMEOUT: {
+      handler: 'increaseLambdaTimeout',
+      description: 'Raise the function timeout (doubles it unless timeoutSeconds is given)',
+      target: 'Lambda function name',
+      mutating: true,
+      params: { timeoutSeconds: { type: 'integer', min: 1, max: 900, description: 'New timeout in seconds' } }
+    },
+    INCREASE_LAMBDA_MEMORY: {
+      handler: 'increaseLambdaMemory',
+      description: 'Raise the function memory (doubles it unless memoryMb is given)',
+      target: 'Lambda function name',
+      mutating: true,
+      params: { memoryMb: { type: 'integer', min: 128, max: 10240, description: 'New memory size in MB' } }
+    },
+    ROLLBACK_LAMBDA_VERSION: {
+      handler: 'rollbackLambdaVersion',
+      description: 'Point an alias back at the previous published version',
+      target: 'Lambda function name',
+      mutating: true,
+      params: { alias: { type: 'string', default: 'live', description: 'Alias serving traffic' } }
+    },
+    SCALE_ECS_TASK: {
+      handler: 'scaleEcsTask',
+      description: 'Change the desired task count of an ECS service (not implemented yet: always fails)',
+      target: 'ECS service or task ARN',
+      mutating: true,
+      params: { desiredCount: { type: 'integer', min: 0, max: 1000, description: 'Desired task count' } }
+    },
+    RESTART_RDS_DB: {
+      handler: 'restartRdsDatabase',
+      description: 'Reboot an RDS instance (not implemented yet: always fails)',
+      target: 'DB instance identifier',
+      mutating: true
+    },
+    LOG_ONLY: {
+      handler: 'logOnly',
+      description: 'Record the incident without touching the resource',
+      target: 'Any resource id',
+      mutating: false
+    }
+  };
+
   constructor(ctx = {}) {
     super(ctx);
     this.provider = 'AWS';
@@ -22,40 +94,17 @@ class AwsHealAgent extends BaseAgent {
   }
 
   /**
-   * Main heal method - routes to specific remediation
-   */
-  async heal(remediation) {
-    const { remediation_command, target_resource_id, incident_id } = remediation;
-
-    console.log(`[${this.provider}HealAgent] Executing ${remediation_command} for ${target_resource_id}`);
-
-    const playbook = {
-      'RESTART_LAMBDA': () => this.restartLambda(target_resource_id),
-      'INCREASE_LAMBDA_TIMEOUT': () => this.increaseLambdaTimeout(target_resource_id),
-      'INCREASE_LAMBDA_MEMORY': () => this.increaseLambdaMemory(target_resource_id),
-      'ROLLBACK_LAMBDA_VERSION': () => this.rollbackLambdaVersion(target_resource_id),
-      'LOG_ONLY': () => this.logOnly(target_resource_id),
-      'SCALE_ECS_TASK': () => this.scaleEcsTask(target_resource_id),
-      'RESTART_RDS_DB': () => this.restartRdsDatabase(target_resource_id)
-    };
-
-    const handler = playbook[remediation_command];
-    if (!handler) {
-      throw new Error(`[${this.provider}] Unknown remediation command: ${remediation_command}`);
-    }
-
-    return await handler();
-  }
-
-  /**
-   * Force Lambda cold start by updating environment variable
+   * Force Lambda cold start by updating environment variable.
+   * The update replaces the whole Variables map, so the function's current variables are carried over.
    */
   async restartLambda(functionName) {
     try {
+      const current = await this.lambdaClient.send(new GetFunctionConfigurationCommand({ FunctionName: functionName }));
       const command = new UpdateFunctionConfigurationCommand({
         FunctionName: functionName,
         Environment: {
           Variables: {
+            ...(current.Environment?.Variables || {}),
             'LAST_RESTART_TIME': new Date().toISOString()
           }
         }
@@ -72,14 +121,14 @@ class AwsHealAgent extends BaseAgent {
         response
       };
     } catch (err) {
-      if (err.name === 'ResourceNotFoundException') {
-        console.warn(`[${this.provider}HealAgent] Function ${functionName} not found, using fallback`);
+      if (isSimulated(err)) {
+        console.warn(`[${this.provider}HealAgent] ${err.name} for ${functionName}, using fallback`);
         return {
           success: true,
           provider: this.provider,
           action: 'RESTART_LAMBDA_FALLBACK',
           functionName,
-          message: 'Mock restart (function not found)'
+          message: `Mock restart (${err.name})`
         };
       }
       throw err;
@@ -89,12 +138,12 @@ class AwsHealAgent extends BaseAgent {
   /**
    * Increase Lambda timeout (up to 900s)
    */
-  async increaseLambdaTimeout(functionName) {
+  async increaseLambdaTimeout(functionName, { timeoutSeconds } = {}) {
     try {
       const getCmd = new GetFunctionConfigurationCommand({ FunctionName: functionName });
       const config = await this.lambdaClient.send(getCmd);
       const currentTimeout = config.Timeout || 3;
-      const newTimeout = Math.min(currentTimeout * 2, 900);
+      const newTimeout = timeoutSeconds || Math.min(currentTimeout * 2, 900);
 
       if (newTimeout === currentTimeout) {
         return { success: true, action: 'INCREASE_LAMBDA_TIMEOUT', status: 'at_max', currentTimeout };
@@ -117,7 +166,7 @@ class AwsHealAgent extends BaseAgent {
         newValue: newTimeout
       };
     } catch (err) {
-      if (err.name === 'ResourceNotFoundException') {
+      if (isSimulated(err)) {
         return { success: true, action: 'INCREASE_LAMBDA_TIMEOUT_FALLBACK', status: 'not_found' };
       }
       throw err;
@@ -127,12 +176,12 @@ class AwsHealAgent extends BaseAgent {
   /**
    * Increase Lambda memory (up to 10240MB)
    */
-  async increaseLambdaMemory(functionName) {
+  async increaseLambdaMemory(functionName, { memoryMb } = {}) {
     try {
       const getCmd = new GetFunctionConfigurationCommand({ FunctionName: functionName });
       const config = await this.lambdaClient.send(getCmd);
       const currentMemory = config.MemorySize || 128;
-      const newMemory = Math.min(currentMemory * 2, 10240);
+      const newMemory = memoryMb || Math.min(currentMemory * 2, 10240);
 
       if (newMemory === currentMemory) {
         return { success: true, action: 'INCREASE_LAMBDA_MEMORY', status: 'at_max', currentMemory };
@@ -155,7 +204,7 @@ class AwsHealAgent extends BaseAgent {
         newValue: newMemory
       };
     } catch (err) {
-      if (err.name === 'ResourceNotFoundException') {
+      if (isSimulated(err)) {
         return { success: true, action: 'INCREASE_LAMBDA_MEMORY_FALLBACK', status: 'not_found' };
       }
       throw err;
@@ -163,48 +212,176 @@ class AwsHealAgent extends BaseAgent {
   }
 
   /**
-   * Rollback to previous Lambda version (stub for hackathon)
+   * Rollback: move the alias to the newest published version older than the one it serves
    */
-  async rollbackLambdaVersion(functionName) {
-    console.log(`[${this.provider}HealAgent] Rollback Lambda version: ${functionName} (stubbed)`);
-    // In production, this would list published versions and update alias
-    return {
-      success: true,
-      provider: this.provider,
-      action: 'ROLLBACK_LAMBDA_VERSION',
-      functionName,
-      status: 'stubbed'
-    };
+  async rollbackLambdaVersion(functionName, { alias = 'live' } = {}) {
+    try {
+      const current = await this.lambdaClient.send(new GetAliasCommand({ FunctionName: functionName, Name: alias }));
+      const currentVersion = Number(current.FunctionVersion);
+
+      const versions = [];
+      let Marker;
+      do {
+        const page = await this.lambdaClient.send(new ListVersionsByFunctionCommand({ FunctionName: functionName, Marker }));
+        versions.push(...(page.Versions || []).map(v => v.Version).filter(v => v !== '$LATEST').map(Number));
+        Marker = page.NextMarker;
+      } while (Marker);
+
+      const previous = Math.max(...versions.filter(v => v < currentVersion));
+      if (!Number.isFinite(previous)) {
+        throw new Error(`${functionName}:${alias} is on version ${current.FunctionVersion}, no older version to roll back to`);
+      }
+
+      await this.lambdaClient.send(new UpdateAliasCommand({ FunctionName: functionName, Name: alias, FunctionVersion: String(previous) }));
+      console.log(`[${this.provider}HealAgent] Lambda ${functionName}:${alias} version ${currentVersion} → ${previous}`);
+
+      return {
+        success: true,
+        provider: this.provider,
+        action: 'ROLLBACK_LAMBDA_VERSION',
+        functionName,
+        alias,
+        oldValue: current.FunctionVersion,
+        newValue: String(previous)
+      };
+    } catch (err) {
+      if (isSimulated(err)) {
+        return { success: true, action: 'ROLLBACK_LAMBDA_VERSION_FALLBACK', functionName, alias, status: 'not_found' };
+      }
+      throw err;
+    }
   }
 
   /**
-   * Scale ECS task (stub for now)
+   * Scale ECS task (stub for now). Reports failure so the pipeline tries the fallbacks and escalates
+   * instead of recording an incident as healed when nothing was changed.
    */
-  async scaleEcsTask(taskArn) {
-    console.log(`[${this.provider}HealAgent] Scale ECS task: ${taskArn} (stubbed)`);
+  async scaleEcsTask(taskArn, { desiredCount } = {}) {
+    console.warn(`[${this.provider}HealAgent] Scale ECS task: ${taskArn} is not implemented`);
     return {
-      success: true,
+      success: false,
+      error: 'SCALE_ECS_TASK is not implemented for AWS yet',
       provider: this.provider,
       action: 'SCALE_ECS_TASK',
       taskArn,
-      status: 'stubbed'
+      desiredCount: desiredCount ?? null,
+      status: 'not_implemented'
     };
   }
 
   /**
-   * Restart RDS database (stub for now)
+   * Restart RDS database (stub for now). Reports failure, like scaleEcsTask.
    */
   async restartRdsDatabase(dbInstanceId) {
-    console.log(`[${this.provider}HealAgent] Restart RDS DB: ${dbInstanceId} (stubbed)`);
+    console.warn(`[${this.provider}HealAgent] Restart RDS DB: ${dbInstanceId} is not implemented`);
     return {
-      success: true,
+      success: false,
+      error: 'RESTART_RDS_DB is not implemented for AWS yet',
       provider: this.provider,
       action: 'RESTART_RDS_DB',
       dbInstanceId,
-      status: 'stubbed'
+      status: 'not_implemented'
     };
   }
 
+  /**
+   * Prior state: function configuration for config changes, alias target for version rollbacks.
+   * Nothing is captured when the function cannot be read in simulated mode (the command is simulated too).
+   */
+  async snapshot(command, functionName, params = {}) {
+    try {
+      if (CONFIG_COMMANDS.includes(command)) {
+        const config = await this.lambdaClient.send(new GetFunctionConfigurationCommand({ FunctionName: functionName }));
+        return {
+          kind: 'lambda_config',
+          Timeout: config.Timeout,
+          MemorySize: config.MemorySize,
+          Variables: config.Environment?.Variables || {}
+        };
+      }
+      if (command === 'ROLLBACK_LAMBDA_VERSION') {
+        const alias = await this.lambdaClient.send(new GetAliasCommand({ FunctionName: functionName, Name: params.alias || 'live' }));
+        return { kind: 'lambda_alias', alias: alias.Name, FunctionVersion: alias.FunctionVersion };
+      }
+    } catch (err) {
+      if (isSimulated(err)) {
+        console.warn(`[${this.provider}HealAgent] No snapshot of ${functionName}: ${err.name}`);
+        return null;
+      }
+      throw err;
+    }
+    return null;
+  }
+
+  async restore({ resourceId: functionName, state }) {
+    if (state.kind === 'lambda_config') {
+      await this.lambdaClient.send(new UpdateFunctionConfigurationCommand({
+        FunctionName: functionName,
+        Timeout: state.Timeout,
+        MemorySize: state.MemorySize,
+        Environment: { Variables: state.Variables }
+      }));
+    } else if (state.kind === 'lambda_alias') {
+      await this.lambdaClient.send(new UpdateAliasCommand({ FunctionName: functionName, Name: state.alias, FunctionVersion: state.FunctionVersion }));
+    } else {
+      throw new Error(`Unknown AWS snapshot kind: ${state.kind}`);
+    }
+    console.log(`[${this.provider}HealAgent] Restored ${state.kind} of ${functionName}`);
+    return { success: true, provider: this.provider, functionName, restored: state };
+  }
+
+  /**
+   * Lambda health from CloudWatch (errors, duration, throttles) over the given window
+   */
+  async health(functionName, { from, to = new Date() } = {}) {
+    this.metricsCollector = this.metricsCollector || new MetricsCollector({ region: this.region });
+    const result = await this.metricsCollector.collectLambdaMetrics(functionName, { startTime: from, endTime: to });
+    return result.datapoints ? result : null;
+  }
+
+  /**
+   * Published Lambda versions since `since` (newest first)
+   */
+  async deployments(functionName, { since } = {}) {
+    try {
+      const versions = [];
+      let Marker;
+      do {
+        const page = await this.lambdaClient.send(new ListVersionsByFunctionCommand({ FunctionName: functionName, Marker }));
+        versions.push(...(page.Versions || []).filter(v => v.Version !== '$LATEST'));
+        Marker = page.NextMarker;
+      } while (Marker);
+
+      const cutoff = since ? new Date(since).getTime() : 0;
+      return versions
+        .map(v => ({ version: v.Version, deployedAt: new Date(v.LastModified).toISOString(), description: v.Description || null }))
+        .filter(v => new Date(v.deployedAt).getTime() >= cutoff)
+        .sort((a, b) => b.deployedAt.localeCompare(a.deployedAt));
+    } catch (err) {
+      if (isSimulated(err)) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Lambda log lines from CloudWatch Logs (/aws/lambda/<function>)
+   */
+  async logs(functionName, { since, limit = 50 } = {}) {
+    const { CloudWatchLogsClient, FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+    this.logsClient = this.logsClient || new CloudWatchLogsClient({ region: this.region });
+    try {
+      const result = await this.logsClient.send(new FilterLogEventsCommand({
+        logGroupName: `/aws/lambda/${functionName}`,
+        startTime: since ? new Date(since).getTime() : undefined,
+        limit
+      }));
+      return (result.events || []).map(e => ({ timestamp: new Date(e.timestamp).toISOString(), message: String(e.message || '').trim() }));
+    } catch (err) {
+      if (isSimulated(err)) return null;
+      throw err;
+    }
+  }
+
   /**
    * Log only - no action
    */
@@ -6,7 +6,76 @@
 
 const BaseAgent = require('../BaseAgent');
 
+// Demo stand-in for the App Service / Functions APIs: configuration per resource, so changes (and reverts) stick
+const DEFAULT_CONFIG = { tier: 'Standard_S1', memoryMb: 512, timeoutSeconds: 60 };
+const simulatedConfig = new Map();
+const configOf = (name) => {
+  if (!simulatedConfig.has(name)) simulatedConfig.set(name, { ...DEFAULT_CONFIG });
+  return simulatedConfig.get(name);
+};
+
+// Which setting each command changes (restarts change nothing that can be restored)
+const SNAPSHOT_FIELDS = {
+  SCALE_APP_SERVICE: ['tier'],
+  INCREASE_FUNCTION_MEMORY: ['memoryMb'],
+  INCREASE_FUNCTION_TIMEOUT: ['timeoutSeconds']
+};
+
 class AzureHealAgent extends BaseAgent {
+  static id = 'azure';
+  static displayName = 'Azure';
+
+  static aliases = {
+    RESTART: 'RESTART_APP_SERVICE',
+    EMERGENCY_RESTART: 'RESTART_APP_SERVICE',
+    SCALE_UP: 'SCALE_APP_SERVICE'
+  };
+
+  static fallbacks = ['SCALE_APP_SERVICE'];
+
+  static commands = {
+    RESTART_FUNCTION: {
+      handler: 'restartFunction',
+      description: 'Restart an Azure Function app',
+      target: 'Function app name',
+      mutating: true
+    },
+    RESTART_APP_SERVICE: {
+      handler: 'restartAppService',
+      description: 'Restart an App Service',
+      target: 'App Service name',
+      mutating: true
+    },
+    SCALE_APP_SERVICE: {
+      handler: 'scaleAppService',
+      description: 'Move the App Service plan to a larger tier',
+      target: 'App Service name',
+      mutating: true,
+      params: {
+        tier: { type: 'string', enum: ['Standard_S1', 'Standard_S2', 'Standard_S3', 'Premium_P1v3', 'Premium_P2v3'], default: 'Standard_S2', description: 'Target plan tier' }
+      }
+    },
+    INCREASE_FUNCTION_MEMORY: {
+      handler: 'increaseFunctionMemory',
+      description: 'Upgrade the function plan for more memory',
+      target: 'Function app name',
+      mutating: true
+    },
+    INCREASE_FUNCTION_TIMEOUT: {
+      handler: 'increaseFunctionTimeout',
+      description: 'Raise the function timeout (doubles it unless timeoutSeconds is given)',
+      target: 'Function app name',
+      mutating: true,
+      params: { timeoutSeconds: { type: 'integer', min: 1, max: 600, description: 'New timeout in seconds' } }
+    },
+    LOG_ONLY: {
+      handler: 'logOnly',
+      description: 'Record the incident without touching the resource',
+      target: 'Any resource id',
+      mutating: false
+    }
+  };
+
   constructor(ctx = {}) {
     super(ctx);
     this.provider = 'Azure';
@@ -17,31 +86,6 @@ class AzureHealAgent extends BaseAgent {
     // For demo: stub implementations
   }
 
-  /**
-   * Main heal method - routes to specific remediation
-   */
-  async heal(remediation) {
-    const { remediation_command, target_resource_id } = remediation;
-
-    console.log(`[${this.provider}HealAgent] Executing ${remediation_command} for ${target_resource_id}`);
-
-    const playbook = {
-      'RESTART_FUNCTION': () => this.restartFunction(target_resource_id),
-      'RESTART_APP_SERVICE': () => this.restartAppService(target_resource_id),
-      'SCALE_APP_SERVICE': () => this.scaleAppService(target_resource_id),
-      'INCREASE_FUNCTION_MEMORY': () => this.increaseFunctionMemory(target_resource_id),
-      'INCREASE_FUNCTION_TIMEOUT': () => this.increaseFunctionTimeout(target_resource_id),
-      'LOG_ONLY': () => this.logOnly(target_resource_id)
-    };
-
-    const handler = playbook[remediation_command];
-    if (!handler) {
-      throw new Error(`[${this.provider}] Unknown remediation command: ${remediation_command}`);
-    }
-
-    return await handler();
-  }
-
   /**
    * Restart Azure Function
    */
@@ -105,15 +149,17 @@ class AzureHealAgent extends BaseAgent {
   /**
    * Scale App Service Plan
    */
-  async scaleAppService(appServiceName) {
+  async scaleAppService(appServiceName, { tier = 'Standard_S2' } = {}) {
     try {
       console.log(`[${this.provider}HealAgent] Scaling App Service: ${appServiceName}`);
       
       // Scale up instance count or tier
-      const oldTier = 'Standard_S1';
-      const newTier = 'Standard_S2';
+      const config = configOf(appServiceName);
+      const oldTier = config.tier;
+      const newTier = tier;
       
       await new Promise(r => setTimeout(r, 400));
+      config.tier = newTier;
       
       return {
         success: true,
@@ -141,10 +187,12 @@ class AzureHealAgent extends BaseAgent {
     try {
       console.log(`[${this.provider}HealAgent] Increasing memory for: ${functionName}`);
       
-      const oldMemory = 512; // MB (example)
-      const newMemory = 1024;
+      const config = configOf(functionName);
+      const oldMemory = config.memoryMb;
+      const newMemory = Math.min(oldMemory * 2, 14336); // Premium plan ceiling
       
       await new Promise(r => setTimeout(r, 400));
+      config.memoryMb = newMemory;
       
       return {
         success: true,
@@ -168,14 +216,16 @@ class AzureHealAgent extends BaseAgent {
   /**
    * Increase Azure Function timeout
    */
-  async increaseFunctionTimeout(functionName) {
+  async increaseFunctionTimeout(functionName, { timeoutSeconds } = {}) {
     try {
       console.log(`[${this.provider}HealAgent] Increasing timeout for: ${functionName}`);
       
-      const currentTimeout = 60; // seconds
-      const newTimeout = Math.min(currentTimeout * 2, 600); // Max 10 min for Azure Functions
+      const config = configOf(functionName);
+      const currentTimeout = config.timeoutSeconds;
+      const newTimeout = timeoutSeconds || Math.min(currentTimeout * 2, 600); // Max 10 min for Azure Functions
       
       await new Promise(r => setTimeout(r, 400));
+      config.timeoutSeconds = newTimeout;
       
       return {
         success: true,
@@ -196,6 +246,23 @@ class AzureHealAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Prior values of the settings the command is about to change
+   */
+  async snapshot(command, resourceId) {
+    const fields = SNAPSHOT_FIELDS[command];
+    if (!fields) return null;
+    const config = configOf(resourceId);
+    return Object.fromEntries(fields.map(field => [field, config[field]]));
+  }
+
+  async restore({ resourceId, state }) {
+    console.log(`[${this.provider}HealAgent] Restoring ${resourceId}: ${JSON.stringify(state)}`);
+    // In production: update the plan / site config with the captured values
+    Object.assign(configOf(resourceId), state);
+    return { success: true, provider: this.provider, resourceId, restored: state };
+  }
+
   /**
    * Log only - no action
    */
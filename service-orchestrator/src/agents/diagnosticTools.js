@@ -0,0 +1,74 @@
+// service-orchestrator/src/agents/diagnosticTools.js
+// DIAGNOSTIC TOOLS: Read-only lookups the reasoning graph can call (metrics, recent deploys, logs)
+
+const providerRegistry = require('../providers/registry');
+
+class DiagnosticTools {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.registry] - Provider registry the heal agents come from
+   * @param {object} [options.agentCtx] - Context for the provider agents (region, kube client...)
+   * @param {number} [options.timeoutMs] - REASONING_TOOL_TIMEOUT_MS, per tool call (default 5 s)
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || providerRegistry;
+    this.agentCtx = options.agentCtx || {};
+    this.timeoutMs = options.timeoutMs ?? Number(process.env.REASONING_TOOL_TIMEOUT_MS || 5000);
+    this.agents = new Map();
+    this.tools = {
+      metrics: {
+        description: 'Health score and metrics of the resource since the lookback start',
+        run: (agent, { resourceId, since }) => agent.health(resourceId, { from: since, to: new Date() })
+      },
+      deploys: {
+        description: 'Deployments of the resource since the lookback start',
+        run: (agent, { resourceId, since }) => agent.deployments(resourceId, { since })
+      },
+      logs: {
+        description: 'Recent log lines of the resource',
+        run: (agent, { resourceId, since, limit }) => agent.logs(resourceId, { since, limit })
+      }
+    };
+  }
+
+  list() {
+    return Object.entries(this.tools).map(([name, { description }]) => ({ name, description }));
+  }
+
+  agentFor(provider) {
+    if (!this.agents.has(provider)) this.agents.set(provider, this.registry.getHealAgent(provider, this.agentCtx));
+    return this.agents.get(provider);
+  }
+
+  /**
+   * Runs one tool. Failures are returned, not thrown: a missing data source narrows the diagnosis
+   * but must not stop it.
+   * @param {string} name - metrics | deploys | logs
+   * @param {object} args - { provider, resourceId, since, limit }
+   * @returns {{ tool, ok, data?, error?, durationMs }}
+   */
+  async call(name, args) {
+    const started = Date.now();
+    const tool = this.tools[name];
+    if (!tool) return { tool: name, ok: false, error: `Unknown tool ${name}`, durationMs: 0 };
+
+    let timer;
+    try {
+      const data = await Promise.race([
+        Promise.resolve().then(() => tool.run(this.agentFor(args.provider), args)),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`${name} timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        })
+      ]);
+      return { tool: name, ok: true, data: data ?? null, durationMs: Date.now() - started };
+    } catch (err) {
+      // A missing SDK client is a broken install, not a missing data source: say so in the server log
+      if (err.code === 'MODULE_NOT_FOUND') console.error(`[DiagnosticTools] ${name} unavailable: ${err.message.split('\n')[0]}`);
+      return { tool: name, ok: false, error: err.message, durationMs: Date.now() - started };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = DiagnosticTools;
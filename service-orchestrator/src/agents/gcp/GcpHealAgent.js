@@ -6,7 +6,75 @@
 
 const BaseAgent = require('../BaseAgent');
 
+// Demo stand-in for the Functions / Run APIs: configuration per resource, so changes (and reverts) stick
+const DEFAULT_CONFIG = { memoryMb: 256, timeoutSeconds: 60, maxInstances: 1 };
+const simulatedConfig = new Map();
+const configOf = (name) => {
+  if (!simulatedConfig.has(name)) simulatedConfig.set(name, { ...DEFAULT_CONFIG });
+  return simulatedConfig.get(name);
+};
+
+// Which setting each command changes (restarts change nothing that can be restored)
+const SNAPSHOT_FIELDS = {
+  INCREASE_FUNCTION_MEMORY: ['memoryMb'],
+  INCREASE_FUNCTION_TIMEOUT: ['timeoutSeconds'],
+  SCALE_CLOUD_RUN: ['maxInstances']
+};
+
 class GcpHealAgent extends BaseAgent {
+  static id = 'gcp';
+  static displayName = 'GCP';
+
+  static aliases = {
+    RESTART: 'RESTART_CLOUD_RUN',
+    EMERGENCY_RESTART: 'RESTART_CLOUD_RUN',
+    SCALE_UP: 'SCALE_CLOUD_RUN'
+  };
+
+  static fallbacks = ['SCALE_CLOUD_RUN'];
+
+  static commands = {
+    RESTART_FUNCTION: {
+      handler: 'restartFunction',
+      description: 'Redeploy a Cloud Function to recycle its instances',
+      target: 'Cloud Function name',
+      mutating: true
+    },
+    INCREASE_FUNCTION_MEMORY: {
+      handler: 'increaseFunctionMemory',
+      description: 'Raise Cloud Function memory (doubles it unless memoryMb is given)',
+      target: 'Cloud Function name',
+      mutating: true,
+      params: { memoryMb: { type: 'integer', min: 128, max: 16384, description: 'New memory size in MB' } }
+    },
+    INCREASE_FUNCTION_TIMEOUT: {
+      handler: 'increaseFunctionTimeout',
+      description: 'Raise Cloud Function timeout (doubles it unless timeoutSeconds is given)',
+      target: 'Cloud Function name',
+      mutating: true,
+      params: { timeoutSeconds: { type: 'integer', min: 1, max: 3600, description: 'New timeout in seconds' } }
+    },
+    RESTART_CLOUD_RUN: {
+      handler: 'restartCloudRun',
+      description: 'Roll a new Cloud Run revision',
+      target: 'Cloud Run service name',
+      mutating: true
+    },
+    SCALE_CLOUD_RUN: {
+      handler: 'scaleCloudRun',
+      description: 'Raise the Cloud Run max instance count',
+      target: 'Cloud Run service name',
+      mutating: true,
+      params: { maxInstances: { type: 'integer', min: 1, max: 1000, default: 5, description: 'New max instances' } }
+    },
+    LOG_ONLY: {
+      handler: 'logOnly',
+      description: 'Record the incident without touching the resource',
+      target: 'Any resource id',
+      mutating: false
+    }
+  };
+
   constructor(ctx = {}) {
     super(ctx);
     this.provider = 'GCP';
@@ -17,31 +85,6 @@ class GcpHealAgent extends BaseAgent {
     // In production, you'd use @google-cloud/functions or google-cloud client libraries
   }
 
-  /**
-   * Main heal method - routes to specific remediation
-   */
-  async heal(remediation) {
-    const { remediation_command, target_resource_id } = remediation;
-
-    console.log(`[${this.provider}HealAgent] Executing ${remediation_command} for ${target_resource_id}`);
-
-    const playbook = {
-      'RESTART_FUNCTION': () => this.restartFunction(target_resource_id),
-      'INCREASE_FUNCTION_MEMORY': () => this.increaseFunctionMemory(target_resource_id),
-      'INCREASE_FUNCTION_TIMEOUT': () => this.increaseFunctionTimeout(target_resource_id),
-      'RESTART_CLOUD_RUN': () => this.restartCloudRun(target_resource_id),
-      'SCALE_CLOUD_RUN': () => this.scaleCloudRun(target_resource_id),
-      'LOG_ONLY': () => this.logOnly(target_resource_id)
-    };
-
-    const handler = playbook[remediation_command];
-    if (!handler) {
-      throw new Error(`[${this.provider}] Unknown remediation command: ${remediation_command}`);
-    }
-
-    return await handler();
-  }
-
   /**
    * Restart a Cloud Function (triggers new deployment)
    */
@@ -79,15 +122,17 @@ class GcpHealAgent extends BaseAgent {
   /**
    * Increase Cloud Function memory
    */
-  async increaseFunctionMemory(functionName) {
+  async increaseFunctionMemory(functionName, { memoryMb } = {}) {
     try {
       console.log(`[${this.provider}HealAgent] Increasing memory for: ${functionName}`);
       
       // In production: fetch current config, double memory (max 16GB)
-      const currentMemory = 256; // MB (example)
-      const newMemory = Math.min(currentMemory * 2, 16384);
+      const config = configOf(functionName);
+      const currentMemory = config.memoryMb;
+      const newMemory = memoryMb || Math.min(currentMemory * 2, 16384);
       
       await new Promise(r => setTimeout(r, 400));
+      config.memoryMb = newMemory;
       
       return {
         success: true,
@@ -111,15 +156,17 @@ class GcpHealAgent extends BaseAgent {
   /**
    * Increase Cloud Function timeout
    */
-  async increaseFunctionTimeout(functionName) {
+  async increaseFunctionTimeout(functionName, { timeoutSeconds } = {}) {
     try {
       console.log(`[${this.provider}HealAgent] Increasing timeout for: ${functionName}`);
       
       // In production: fetch current config, double timeout (max 3600s)
-      const currentTimeout = 60; // seconds (example)
-      const newTimeout = Math.min(currentTimeout * 2, 3600);
+      const config = configOf(functionName);
+      const currentTimeout = config.timeoutSeconds;
+      const newTimeout = timeoutSeconds || Math.min(currentTimeout * 2, 3600);
       
       await new Promise(r => setTimeout(r, 400));
+      config.timeoutSeconds = newTimeout;
       
       return {
         success: true,
@@ -172,15 +219,17 @@ class GcpHealAgent extends BaseAgent {
   /**
    * Scale Cloud Run service
    */
-  async scaleCloudRun(serviceName) {
+  async scaleCloudRun(serviceName, { maxInstances = 5 } = {}) {
     try {
       console.log(`[${this.provider}HealAgent] Scaling Cloud Run service: ${serviceName}`);
       
       // In production: Update max_instances, min_instances in service config
-      const oldInstances = 1;
-      const newInstances = 5;
+      const config = configOf(serviceName);
+      const oldInstances = config.maxInstances;
+      const newInstances = maxInstances;
       
       await new Promise(r => setTimeout(r, 400));
+      config.maxInstances = newInstances;
       
       return {
         success: true,
@@ -201,6 +250,23 @@ class GcpHealAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Prior values of the settings the command is about to change
+   */
+  async snapshot(command, resourceId) {
+    const fields = SNAPSHOT_FIELDS[command];
+    if (!fields) return null;
+    const config = configOf(resourceId);
+    return Object.fromEntries(fields.map(field => [field, config[field]]));
+  }
+
+  async restore({ resourceId, state }) {
+    console.log(`[${this.provider}HealAgent] Restoring ${resourceId}: ${JSON.stringify(state)}`);
+    // In production: patch the function / service with the captured values
+    Object.assign(configOf(resourceId), state);
+    return { success: true, provider: this.provider, resourceId, restored: state };
+  }
+
   /**
    * Log only - no action
    */
@@ -0,0 +1,369 @@
+// service-orchestrator/src/agents/kubernetes/KubernetesHealAgent.js
+/**
+ * Kubernetes-specific Heal Agent
+ * Executes remediation actions on Deployments, Pods and Nodes through the API server
+ * configured in the kubeconfig (KUBECONFIG / KUBE_CONTEXT / KUBE_NAMESPACE) or in-cluster credentials.
+ *
+ * Targets are "namespace/name" or just "name" (namespace from the kubeconfig context); nodes are plain names.
+ */
+
+const BaseAgent = require('../BaseAgent');
+const KubeClient = require('./kubeClient');
+
+const REVISION_ANNOTATION = 'deployment.kubernetes.io/revision';
+
+const labelSelector = (selector = {}) => {
+  const labels = Object.entries(selector.matchLabels || {});
+  if (!labels.length) throw new Error('Deployment selector has no matchLabels');
+  return labels.map(([k, v]) => `${k}=${v}`).join(',');
+};
+
+const isCrashLooping = (pod) => [...(pod.status?.containerStatuses || []), ...(pod.status?.initContainerStatuses || [])]
+  .some(status => status.state?.waiting?.reason === 'CrashLoopBackOff');
+
+class KubernetesHealAgent extends BaseAgent {
+  static id = 'kubernetes';
+  static displayName = 'Kubernetes';
+
+  static aliases = {
+    RESTART: 'ROLLOUT_RESTART_DEPLOYMENT',
+    EMERGENCY_RESTART: 'ROLLOUT_RESTART_DEPLOYMENT',
+    SCALE_UP: 'SCALE_DEPLOYMENT',
+    ROLLBACK: 'ROLLBACK_DEPLOYMENT'
+  };
+
+  static fallbacks = ['DELETE_CRASHLOOPING_POD', 'ROLLBACK_DEPLOYMENT'];
+
+  static commands = {
+    ROLLOUT_RESTART_DEPLOYMENT: {
+      handler: 'rolloutRestart',
+      description: 'Rolling restart of a Deployment (same as kubectl rollout restart)',
+      target: 'namespace/deployment',
+      mutating: true
+    },
+    SCALE_DEPLOYMENT: {
+      handler: 'scaleDeployment',
+      description: 'Set the replica count of a Deployment (one more replica unless replicas is given)',
+      target: 'namespace/deployment',
+      mutating: true,
+      params: { replicas: { type: 'integer', min: 0, max: 1000, description: 'Desired replica count' } }
+    },
+    ROLLBACK_DEPLOYMENT: {
+      handler: 'rollbackDeployment',
+      description: 'Restore the pod template of an earlier revision (same as kubectl rollout undo)',
+      target: 'namespace/deployment',
+      mutating: true,
+      params: { revision: { type: 'integer', min: 1, description: 'Revision to restore (default: the previous one)' } }
+    },
+    CORDON_NODE: {
+      handler: 'cordonNode',
+      description: 'Mark a node unschedulable',
+      target: 'node name',
+      mutating: true
+    },
+    DELETE_CRASHLOOPING_POD: {
+      handler: 'deleteCrashLoopingPods',
+      description: 'Delete pods of a Deployment stuck in CrashLoopBackOff so they are rescheduled',
+      target: 'namespace/deployment',
+      mutating: true,
+      params: { maxPods: { type: 'integer', min: 1, max: 20, default: 1, description: 'Upper bound on pods deleted' } }
+    },
+    LOG_ONLY: {
+      handler: 'logOnly',
+      description: 'Record the incident without touching the cluster',
+      target: 'Any resource id',
+      mutating: false
+    }
+  };
+
+  constructor(ctx = {}) {
+    super(ctx);
+    this.provider = 'Kubernetes';
+    this.client = ctx.kubeClient || null;
+  }
+
+  // Created on first use so a missing kubeconfig fails the remediation (and its audit entry), not the lookup
+  get kube() {
+    if (!this.client) {
+      this.client = new KubeClient({
+        kubeconfig: this.ctx.kubeconfig,
+        kubeconfigPath: this.ctx.kubeconfigPath,
+        context: this.ctx.kubeContext,
+        namespace: this.ctx.namespace
+      });
+    }
+    return this.client;
+  }
+
+  parseTarget(target) {
+    const parts = String(target || '').split('/').filter(Boolean);
+    if (!parts.length || parts.length > 2) throw new Error(`Invalid Kubernetes target '${target}', expected namespace/name`);
+    return parts.length === 2 ? { namespace: parts[0], name: parts[1] } : { namespace: this.kube.namespace, name: parts[0] };
+  }
+
+  deploymentPath({ namespace, name }) {
+    return `/apis/apps/v1/namespaces/${encodeURIComponent(namespace)}/deployments/${encodeURIComponent(name)}`;
+  }
+
+  // ReplicaSets owned by the Deployment, newest revision first
+  async revisionHistory(ref, deployment) {
+    const replicaSets = await this.kube.get(`/apis/apps/v1/namespaces/${encodeURIComponent(ref.namespace)}/replicasets`, {
+      labelSelector: labelSelector(deployment.spec?.selector)
+    });
+    return (replicaSets.items || [])
+      .filter(rs => (rs.metadata.ownerReferences || []).some(owner => owner.kind === 'Deployment' && owner.uid === deployment.metadata.uid))
+      .map(rs => ({ revision: Number(rs.metadata.annotations?.[REVISION_ANNOTATION] || 0), rs }))
+      .sort((a, b) => b.revision - a.revision);
+  }
+
+  /**
+   * Bump the pod template annotation so the Deployment controller replaces every pod
+   */
+  async rolloutRestart(target) {
+    const ref = this.parseTarget(target);
+    const restartedAt = new Date().toISOString();
+    await this.kube.patch(this.deploymentPath(ref), {
+      spec: { template: { metadata: { annotations: { 'kubectl.kubernetes.io/restartedAt': restartedAt } } } }
+    }, 'application/strategic-merge-patch+json');
+    console.log(`[${this.provider}HealAgent] Rollout restart of ${ref.namespace}/${ref.name}`);
+
+    return {
+      success: true,
+      provider: this.provider,
+      action: 'ROLLOUT_RESTART_DEPLOYMENT',
+      deployment: `${ref.namespace}/${ref.name}`,
+      restartedAt
+    };
+  }
+
+  /**
+   * Scale through the scale subresource (works with HPAs and avoids touching the rest of the spec)
+   */
+  async scaleDeployment(target, { replicas } = {}) {
+    const ref = this.parseTarget(target);
+    const scalePath = `${this.deploymentPath(ref)}/scale`;
+    const current = await this.kube.get(scalePath);
+    const oldValue = current?.spec?.replicas ?? 0;
+    const newValue = replicas ?? oldValue + 1;
+
+    await this.kube.patch(scalePath, { spec: { replicas: newValue } });
+    console.log(`[${this.provider}HealAgent] Scaled ${ref.namespace}/${ref.name}: ${oldValue} → ${newValue}`);
+
+    return {
+      success: true,
+      provider: this.provider,
+      action: 'SCALE_DEPLOYMENT',
+      deployment: `${ref.namespace}/${ref.name}`,
+      oldValue,
+      newValue
+    };
+  }
+
+  /**
+   * Restore the pod template of an older ReplicaSet owned by the Deployment
+   */
+  async rollbackDeployment(target, { revision } = {}) {
+    const ref = this.parseTarget(target);
+    const deployment = await this.kube.get(this.deploymentPath(ref));
+    const currentRevision = Number(deployment.metadata?.annotations?.[REVISION_ANNOTATION] || 0);
+
+    const history = await this.revisionHistory(ref, deployment);
+
+    const wanted = revision
+      ? history.find(h => h.revision === revision)
+      : history.find(h => h.revision < currentRevision);
+    if (!wanted) {
+      throw new Error(`No ${revision ? `revision ${revision}` : 'previous revision'} to roll back to for ${ref.namespace}/${ref.name}`);
+    }
+
+    // The controller adds pod-template-hash itself; copying it would pin the old ReplicaSet's hash
+    const template = JSON.parse(JSON.stringify(wanted.rs.spec.template));
+    if (template.metadata?.labels) delete template.metadata.labels['pod-template-hash'];
+
+    await this.kube.patch(this.deploymentPath(ref), [
+      { op: 'replace', path: '/spec/template', value: template }
+    ], 'application/json-patch+json');
+    console.log(`[${this.provider}HealAgent] Rolled back ${ref.namespace}/${ref.name}: revision ${currentRevision} → ${wanted.revision}`);
+
+    return {
+      success: true,
+      provider: this.provider,
+      action: 'ROLLBACK_DEPLOYMENT',
+      deployment: `${ref.namespace}/${ref.name}`,
+      oldValue: currentRevision,
+      newValue: wanted.revision
+    };
+  }
+
+  /**
+   * Cordon a node (existing pods keep running; nothing new is scheduled there)
+   */
+  async cordonNode(nodeName) {
+    const node = await this.kube.get(`/api/v1/nodes/${encodeURIComponent(nodeName)}`);
+    if (node.spec?.unschedulable) {
+      return { success: true, provider: this.provider, action: 'CORDON_NODE', node: nodeName, status: 'already_cordoned' };
+    }
+
+    await this.kube.patch(`/api/v1/nodes/${encodeURIComponent(nodeName)}`, { spec: { unschedulable: true } });
+    console.log(`[${this.provider}HealAgent] Cordoned node ${nodeName}`);
+
+    return { success: true, provider: this.provider, action: 'CORDON_NODE', node: nodeName };
+  }
+
+  /**
+   * Delete crash-looping pods of a Deployment so the ReplicaSet schedules fresh ones
+   */
+  async deleteCrashLoopingPods(target, { maxPods = 1 } = {}) {
+    const ref = this.parseTarget(target);
+    const deployment = await this.kube.get(this.deploymentPath(ref));
+    const pods = await this.kube.get(`/api/v1/namespaces/${encodeURIComponent(ref.namespace)}/pods`, {
+      labelSelector: labelSelector(deployment.spec?.selector)
+    });
+
+    const crashLooping = (pods.items || []).filter(isCrashLooping);
+    const deleted = [];
+    for (const pod of crashLooping.slice(0, maxPods)) {
+      await this.kube.delete(`/api/v1/namespaces/${encodeURIComponent(ref.namespace)}/pods/${encodeURIComponent(pod.metadata.name)}`);
+      deleted.push(pod.metadata.name);
+    }
+    console.log(`[${this.provider}HealAgent] Deleted ${deleted.length}/${crashLooping.length} crash-looping pods of ${ref.namespace}/${ref.name}`);
+
+    return {
+      success: true,
+      provider: this.provider,
+      action: 'DELETE_CRASHLOOPING_POD',
+      deployment: `${ref.namespace}/${ref.name}`,
+      deleted,
+      remaining: crashLooping.length - deleted.length,
+      status: crashLooping.length ? 'deleted' : 'none_crashlooping'
+    };
+  }
+
+  /**
+   * Prior state: replica count for scaling, pod template for restarts and rollbacks, schedulability for cordons.
+   * Deleted pods are recreated by their ReplicaSet, so there is nothing to capture for them.
+   */
+  async snapshot(command, target) {
+    if (command === 'SCALE_DEPLOYMENT') {
+      const scale = await this.kube.get(`${this.deploymentPath(this.parseTarget(target))}/scale`);
+      return { kind: 'replicas', replicas: scale?.spec?.replicas ?? 0 };
+    }
+    if (command === 'ROLLOUT_RESTART_DEPLOYMENT' || command === 'ROLLBACK_DEPLOYMENT') {
+      const deployment = await this.kube.get(this.deploymentPath(this.parseTarget(target)));
+      return { kind: 'template', template: deployment.spec?.template };
+    }
+    if (command === 'CORDON_NODE') {
+      const node = await this.kube.get(`/api/v1/nodes/${encodeURIComponent(target)}`);
+      return { kind: 'node', unschedulable: !!node.spec?.unschedulable };
+    }
+    return null;
+  }
+
+  async restore({ resourceId, state }) {
+    if (state.kind === 'replicas') {
+      await this.kube.patch(`${this.deploymentPath(this.parseTarget(resourceId))}/scale`, { spec: { replicas: state.replicas } });
+    } else if (state.kind === 'template') {
+      await this.kube.patch(this.deploymentPath(this.parseTarget(resourceId)), [
+        { op: 'replace', path: '/spec/template', value: state.template }
+      ], 'application/json-patch+json');
+    } else if (state.kind === 'node') {
+      await this.kube.patch(`/api/v1/nodes/${encodeURIComponent(resourceId)}`, { spec: { unschedulable: state.unschedulable } });
+    } else {
+      throw new Error(`Unknown Kubernetes snapshot kind: ${state.kind}`);
+    }
+    console.log(`[${this.provider}HealAgent] Restored ${state.kind} of ${resourceId}`);
+    return { success: true, provider: this.provider, resourceId, restored: state.kind };
+  }
+
+  /**
+   * Log only - no action
+   */
+  async logOnly(resourceId) {
+    console.log(`[${this.provider}HealAgent] LOG_ONLY: ${resourceId} - no action taken`);
+    return {
+      success: true,
+      provider: this.provider,
+      action: 'LOG_ONLY',
+      resourceId
+    };
+  }
+
+  /**
+   * Share of desired replicas that are available and rolled out. The API server keeps no history,
+   * so only the current state can be read: past windows (such as a pre-incident baseline) have no data.
+   */
+  async health(target, { to } = {}) {
+    if (to && new Date(to).getTime() < Date.now() - 1000) return null;
+    const result = await this.test(target);
+    const score = result.desiredReplicas ? Math.round((result.availableReplicas / result.desiredReplicas) * 100) : 100;
+    return {
+      score: result.success ? 100 : Math.min(score, 99),
+      status: result.success ? 'healthy' : score > 70 ? 'degraded' : 'critical',
+      metrics: { desiredReplicas: result.desiredReplicas, availableReplicas: result.availableReplicas, rollout: result.status }
+    };
+  }
+
+  /**
+   * Rollout revisions since `since`, from the Deployment's ReplicaSets
+   */
+  async deployments(target, { since } = {}) {
+    const ref = this.parseTarget(target);
+    const deployment = await this.kube.get(this.deploymentPath(ref));
+    const cutoff = since ? new Date(since).getTime() : 0;
+    return (await this.revisionHistory(ref, deployment))
+      .filter(({ rs }) => new Date(rs.metadata.creationTimestamp).getTime() >= cutoff)
+      .map(({ revision, rs }) => ({
+        version: String(revision),
+        deployedAt: rs.metadata.creationTimestamp,
+        description: (rs.spec?.template?.spec?.containers || []).map(c => c.image).join(', ') || null
+      }));
+  }
+
+  /**
+   * Tail of the container logs of the Deployment's pods (first container of each pod)
+   */
+  async logs(target, { since, limit = 50 } = {}) {
+    const ref = this.parseTarget(target);
+    const deployment = await this.kube.get(this.deploymentPath(ref));
+    const pods = await this.kube.get(`/api/v1/namespaces/${encodeURIComponent(ref.namespace)}/pods`, {
+      labelSelector: labelSelector(deployment.spec?.selector)
+    });
+
+    const sinceSeconds = since ? Math.max(1, Math.round((Date.now() - new Date(since).getTime()) / 1000)) : undefined;
+    const lines = [];
+    for (const pod of (pods.items || []).slice(0, 5)) {
+      // The log endpoint answers plain text; the client hands non-JSON bodies back as { message }
+      const body = await this.kube.get(`/api/v1/namespaces/${encodeURIComponent(ref.namespace)}/pods/${encodeURIComponent(pod.metadata.name)}/log`, {
+        timestamps: 'true', tailLines: limit, sinceSeconds
+      });
+      const text = typeof body?.message === 'string' ? body.message : '';
+      text.split('\n').filter(Boolean).forEach(line => {
+        const space = line.indexOf(' ');
+        lines.push({ timestamp: line.slice(0, space), message: `${pod.metadata.name}: ${line.slice(space + 1)}` });
+      });
+    }
+    return lines.sort((a, b) => a.timestamp.localeCompare(b.timestamp)).slice(-limit);
+  }
+
+  /**
+   * Healthy when the Deployment has rolled out and every desired replica is available
+   */
+  async test(target) {
+    const ref = this.parseTarget(target);
+    const deployment = await this.kube.get(this.deploymentPath(ref));
+    const desired = deployment.spec?.replicas ?? 1;
+    const { availableReplicas = 0, updatedReplicas = 0, observedGeneration = 0 } = deployment.status || {};
+    const rolledOut = observedGeneration >= (deployment.metadata?.generation || 0) && updatedReplicas >= desired;
+    const healthy = rolledOut && availableReplicas >= desired;
+
+    return {
+      success: healthy,
+      status: healthy ? 'available' : 'progressing',
+      deployment: `${ref.namespace}/${ref.name}`,
+      desiredReplicas: desired,
+      availableReplicas
+    };
+  }
+}
+
+module.exports = KubernetesHealAgent;
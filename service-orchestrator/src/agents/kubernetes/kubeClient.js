@@ -0,0 +1,150 @@
+// service-orchestrator/src/agents/kubernetes/kubeClient.js
+/**
+ * Minimal Kubernetes API client driven by a kubeconfig
+ * Supports token, basic and client-certificate users, inline or file-based CA data,
+ * insecure-skip-tls-verify, and in-cluster service-account credentials.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const yaml = require('js-yaml');
+
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+
+// kubeconfig fields come as either inline base64 (*-data) or a path relative to the kubeconfig
+const readMaterial = (entry, field, baseDir) => {
+  if (!entry) return undefined;
+  if (entry[`${field}-data`]) return Buffer.from(entry[`${field}-data`], 'base64');
+  if (entry[field]) return fs.readFileSync(path.resolve(baseDir, entry[field]));
+  return undefined;
+};
+
+class KubeClient {
+  /**
+   * @param {object} options
+   * @param {string} [options.server] - API server URL (skips kubeconfig when given with a token)
+   * @param {string} [options.token]
+   * @param {string} [options.namespace]
+   * @param {object|string} [options.kubeconfig] - Parsed kubeconfig or YAML text
+   * @param {string} [options.kubeconfigPath] - Default KUBECONFIG or ~/.kube/config
+   * @param {string} [options.context] - Default KUBE_CONTEXT or current-context
+   * @param {number} [options.timeoutMs]
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 15000;
+    Object.assign(this, KubeClient.resolveConnection(options));
+  }
+
+  static resolveConnection(options) {
+    if (options.server) {
+      return { server: options.server, namespace: options.namespace || 'default', auth: { token: options.token }, tls: {} };
+    }
+
+    let kubeconfig = options.kubeconfig;
+    let baseDir = process.cwd();
+    if (!kubeconfig) {
+      const kubeconfigPath = options.kubeconfigPath || process.env.KUBECONFIG?.split(path.delimiter)[0]
+        || path.join(os.homedir(), '.kube', 'config');
+      if (fs.existsSync(kubeconfigPath)) {
+        kubeconfig = fs.readFileSync(kubeconfigPath, 'utf8');
+        baseDir = path.dirname(kubeconfigPath);
+      } else if (process.env.KUBERNETES_SERVICE_HOST) {
+        return KubeClient.inClusterConnection(options);
+      } else {
+        throw new Error(`No kubeconfig found at ${kubeconfigPath} and not running in a cluster`);
+      }
+    }
+    if (typeof kubeconfig === 'string') kubeconfig = yaml.load(kubeconfig);
+
+    const contextName = options.context || process.env.KUBE_CONTEXT || kubeconfig['current-context'];
+    const named = (list, name) => (list || []).find(item => item.name === name);
+    const context = named(kubeconfig.contexts, contextName)?.context;
+    if (!context) throw new Error(`kubeconfig has no context '${contextName}'`);
+    const cluster = named(kubeconfig.clusters, context.cluster)?.cluster;
+    if (!cluster) throw new Error(`kubeconfig has no cluster '${context.cluster}'`);
+    const user = named(kubeconfig.users, context.user)?.user || {};
+
+    return {
+      server: cluster.server.replace(/\/$/, ''),
+      namespace: options.namespace || process.env.KUBE_NAMESPACE || context.namespace || 'default',
+      auth: {
+        token: user.token || (user.tokenFile ? fs.readFileSync(path.resolve(baseDir, user.tokenFile), 'utf8').trim() : undefined),
+        username: user.username,
+        password: user.password
+      },
+      tls: {
+        ca: readMaterial(cluster, 'certificate-authority', baseDir),
+        cert: readMaterial(user, 'client-certificate', baseDir),
+        key: readMaterial(user, 'client-key', baseDir),
+        rejectUnauthorized: !cluster['insecure-skip-tls-verify']
+      }
+    };
+  }
+
+  static inClusterConnection(options) {
+    const { KUBERNETES_SERVICE_HOST: host, KUBERNETES_SERVICE_PORT: port = '443' } = process.env;
+    const namespaceFile = path.join(SERVICE_ACCOUNT_DIR, 'namespace');
+    return {
+      server: `https://${host.includes(':') ? `[${host}]` : host}:${port}`,
+      namespace: options.namespace || process.env.KUBE_NAMESPACE
+        || (fs.existsSync(namespaceFile) ? fs.readFileSync(namespaceFile, 'utf8').trim() : 'default'),
+      auth: { token: fs.readFileSync(path.join(SERVICE_ACCOUNT_DIR, 'token'), 'utf8').trim() },
+      tls: { ca: fs.readFileSync(path.join(SERVICE_ACCOUNT_DIR, 'ca.crt')), rejectUnauthorized: true }
+    };
+  }
+
+  /**
+   * @returns {Promise<object|null>} Parsed JSON body; non-2xx responses reject with err.statusCode set
+   */
+  request(method, apiPath, { body, query, contentType = 'application/json' } = {}) {
+    const url = new URL(this.server + apiPath);
+    Object.entries(query || {}).forEach(([k, v]) => v !== undefined && url.searchParams.set(k, v));
+    const payload = body === undefined ? null : JSON.stringify(body);
+
+    const headers = { Accept: 'application/json' };
+    if (payload) Object.assign(headers, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(payload) });
+    if (this.auth.token) headers.Authorization = `Bearer ${this.auth.token}`;
+    else if (this.auth.username) {
+      headers.Authorization = `Basic ${Buffer.from(`${this.auth.username}:${this.auth.password || ''}`).toString('base64')}`;
+    }
+
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers, timeout: this.timeoutMs, ...this.tls }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed = null;
+          try { parsed = data ? JSON.parse(data) : null; } catch (e) { parsed = { message: data }; }
+          if (res.statusCode >= 200 && res.statusCode < 300) return resolve(parsed);
+          const err = new Error(`Kubernetes API ${method} ${apiPath} -> ${res.statusCode}: ${parsed?.message || res.statusMessage}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`Kubernetes API ${method} ${apiPath} timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  get(apiPath, query) {
+    return this.request('GET', apiPath, { query });
+  }
+
+  // Merge patch unless told otherwise; strategic merge and JSON patch are picked by content type
+  patch(apiPath, body, contentType = 'application/merge-patch+json') {
+    return this.request('PATCH', apiPath, { body, contentType });
+  }
+
+  delete(apiPath) {
+    return this.request('DELETE', apiPath);
+  }
+}
+
+module.exports = KubeClient;
@@ -0,0 +1,73 @@
+// service-orchestrator/src/agents/remediationPlanSchema.js
+// PLAN SCHEMA: Strict zod contract for model-proposed remediations, checked against the provider's manifest
+
+const { z } = require('zod');
+const providerRegistry = require('../providers/registry');
+
+// Commands and generic intents (aliases) a plan may name for this provider
+function allowedActions(provider) {
+  const Plugin = providerRegistry.get(provider);
+  return [...Object.keys(Plugin.commands), ...Object.keys(Plugin.aliases || {})];
+}
+
+/**
+ * Schema for one model answer on `provider`. Unknown fields are rejected, so the model cannot set
+ * incidentId, validated, governorOverride or anything else the pipeline relies on.
+ */
+function planSchema(provider) {
+  const id = String(providerRegistry.get(provider).id).toLowerCase();
+  const allowed = allowedActions(id);
+
+  return z.object({
+    action: z.string().trim().toUpperCase().refine(action => allowed.includes(action), action => ({
+      message: `Unknown command ${action} for ${id} (allowed: ${allowed.join(', ')})`
+    })),
+    resourceId: z.string().trim().min(1).max(256),
+    // The incident decides where the fix runs; the model may only repeat it
+    provider: z.string().trim().toLowerCase().refine(p => p === id, { message: `Incident runs on ${id}` }).default(id),
+    confidence: z.number().min(0).max(1),
+    citations: z.array(z.string().trim().min(1)).max(10).default([]),
+    rationale: z.string().trim().min(1).max(2000),
+    parameters: z.record(z.union([z.string(), z.number(), z.boolean()])).default({})
+  }).strict().superRefine((plan, ctx) => {
+    // Parameter schema of the resolved command (types, ranges, unknown parameters)
+    if (!allowed.includes(plan.action)) return;
+    try {
+      providerRegistry.validate(id, plan.action, plan.parameters);
+    } catch (err) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['parameters'], message: err.message });
+    }
+  });
+}
+
+/**
+ * Parses raw model output into a plan.
+ * @returns {{ success: true, plan: object }|{ success: false, errors: string[] }}
+ */
+function parsePlan(text, provider) {
+  // Models like to wrap JSON in prose or markdown fences; take the outermost object
+  const raw = String(text || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return { success: false, errors: ['Output contains no JSON object'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw.slice(start, end + 1));
+  } catch (err) {
+    return { success: false, errors: [`Output is not valid JSON: ${err.message}`] };
+  }
+
+  const result = planSchema(provider).safeParse(data);
+  if (!result.success) {
+    return {
+      success: false,
+      errors: result.error.issues.map(issue => (issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    };
+  }
+  return { success: true, plan: result.data };
+}
+
+module.exports = { planSchema, parsePlan, allowedActions };
@@ -3,61 +3,82 @@
 */
 
 const express = require('express');
-const router = express.Router();
 const EnterpriseSecurity = require('../middleware/Enterprise_Security_Policy');
 
-// 1. Agent Thought Streaming (Server-Sent Events)
-// Allows the UI to show "Thinking..." -> "Diagnosing..." -> "Acting..." in real time
-router.get('/stream/agent-thoughts', EnterpriseSecurity.enforce('read:events'), (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  const sendThought = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
-
-  // Send initial handshake
-  sendThought({ type: 'connected', msg: 'Listening to Agent Thought Stream...' });
-
-  // In a real app, you would hook into the EventEmitter here
-  // For demo, we simulate a thought stream
-  let step = 0;
-  const steps = [
-    { type: 'thought', msg: 'Ingesting CloudWatch Alarm: CPU_HIGH' },
-    { type: 'thought', msg: 'Querying Vector DB for past incidents...' },
-    { type: 'thought', msg: 'Found 3 matching runbooks.' },
-    { type: 'decision', msg: 'Plan formulated: Restart Instance (Confidence: 98%)' }
-  ];
-
-  const interval = setInterval(() => {
-    if (step < steps.length) {
-      sendThought(steps[step]);
-      step++;
-    } else {
-      clearInterval(interval);
-      // Keep connection open for new events
-    }
-  }, 1000);
-
-  req.on('close', () => {
-    clearInterval(interval);
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+const MAX_REPLAY = 1000;
+
+// EventSource cannot set request headers, so the stream also accepts the bearer token and tenant
+// as query parameters (?access_token=...&tenant=...). The token is still fully verified by enforce().
+function sseQueryAuth(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  if (!req.headers['x-tenant-id'] && req.query.tenant) {
+    req.headers['x-tenant-id'] = String(req.query.tenant);
+  }
+  next();
+}
+
+/**
+ * @param {object} deps - { eventStore, topology } the live event bus and the TopologyCorrelator from index.js
+ */
+function createDashboardApi({ eventStore, topology }) {
+  const router = express.Router();
+
+  // 1. Agent Thought Streaming (Server-Sent Events)
+  // Allows the UI to show "Thinking..." -> "Diagnosing..." -> "Acting..." in real time.
+  // Resume: the browser resends Last-Event-ID on reconnect; ?after=<seq> does the same for the first
+  // connection. Without a cursor, ?replay=N sends the newest N events before going live.
+  router.get('/stream/agent-thoughts', sseQueryAuth, EnterpriseSecurity.enforce('read:events'), (req, res) => {
+    const tenant = req.auditContext.tenant;
+    const incidentId = req.query.incidentId || undefined;
+    const cursor = req.headers['last-event-id'] || req.query.after;
+    const after = cursor !== undefined && /^\d+$/.test(String(cursor)) ? Number(cursor) : undefined;
+    const replay = Math.min(parseInt(req.query.replay, 10) || 0, MAX_REPLAY);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    res.flushHeaders();
+
+    const sendEvent = (entry) => {
+      res.write(`id: ${entry.seq}\ndata: ${JSON.stringify(entry)}\n\n`);
+    };
+
+    // Send initial handshake (named event, so onmessage consumers ignore it)
+    res.write(`event: connected\ndata: ${JSON.stringify({ msg: 'Listening to Agent Thought Stream...', lastSeq: eventStore.lastSeq() })}\n\n`);
+
+    // Replay and subscribe in the same tick so nothing is appended in between
+    const filter = { incidentId, tenant };
+    let backlog = [];
+    if (after !== undefined) backlog = eventStore.query({ ...filter, after });
+    else if (replay > 0) backlog = eventStore.query({ ...filter, limit: replay });
+    backlog.forEach(sendEvent);
+
+    const onEvent = (entry) => {
+      if (eventStore.matches(entry, filter)) sendEvent(entry);
+    };
+    eventStore.on('event', onEvent);
+
+    // Comment lines keep proxies and load balancers from closing an idle stream
+    const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      eventStore.off('event', onEvent);
+    });
   });
-});
-
-// 2. Incident Graph Topology
-// Returns the visual structure of the infrastructure for the UI graph view
-router.get('/topology', EnterpriseSecurity.enforce('read:reports'), (req, res) => {
-  res.json({
-    nodes: [
-      { id: 'aws-lambda-1', type: 'compute', status: 'healthy', provider: 'aws' },
-      { id: 'aws-rds-1', type: 'database', status: 'warning', provider: 'aws' },
-      { id: 'azure-app-1', type: 'compute', status: 'healthy', provider: 'azure' }
-    ],
-    edges: [
-      { source: 'aws-lambda-1', target: 'aws-rds-1' }
-    ]
+
+  // 2. Incident Graph Topology
+  // Returns the visual structure of the infrastructure for the UI graph view, with the tenant's open
+  // incidents marking root (critical) and symptom (warning) nodes
+  router.get('/topology', EnterpriseSecurity.enforce('read:reports'), (req, res) => {
+    res.json(topology.view(req.auditContext.tenant));
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  return router;
+}
+
+module.exports = createDashboardApi;
@@ -0,0 +1,191 @@
+// service-orchestrator/src/audit/evidenceBundle.js
+// COMPLIANCE EVIDENCE: Signed (Ed25519) per-incident bundles of events, decisions, approvals and audit entries
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AuditLogger } = require('./logger');
+
+const FORMAT = 'aura-evidence-bundle/v1';
+
+// Key order must not change the digest, so objects are serialised with sorted keys
+function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// The signature covers the header (who/when, chain state) and, through the digest, every record
+const signingInput = (bundle) =>
+  [bundle.format, bundle.incidentId, bundle.generatedAt, bundle.generatedBy, canonicalize(bundle.chain), bundle.digest.value].join('\n');
+
+const keyIdOf = (publicKey) => sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+
+class EvidenceBundler {
+  /**
+   * @param {object} options
+   * @param {string} [options.keyFile] - Ed25519 private key (PKCS#8 PEM). AUDIT_SIGNING_KEY_FILE;
+   *   without one a key is generated under data/keys/ so local exports still verify.
+   */
+  constructor(options = {}) {
+    this.keyFile = options.keyFile || process.env.AUDIT_SIGNING_KEY_FILE || null;
+    this.privateKey = null;
+  }
+
+  loadKey() {
+    if (this.privateKey) return this.privateKey;
+
+    let keyFile = this.keyFile;
+    if (!keyFile) {
+      keyFile = path.resolve('data/keys/audit-ed25519.pem');
+      if (!fs.existsSync(keyFile)) {
+        console.warn(`[Evidence] ⚠️ No AUDIT_SIGNING_KEY_FILE, generating a local signing key at ${keyFile}`);
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      }
+    }
+
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Audit signing key must be Ed25519, got ${privateKey.asymmetricKeyType}`);
+    }
+    this.privateKey = privateKey;
+    this.publicKey = crypto.createPublicKey(privateKey);
+    this.keyId = keyIdOf(this.publicKey);
+    return privateKey;
+  }
+
+  publicKeyPem() {
+    this.loadKey();
+    return this.publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  /**
+   * Digest of the evidence only, so the same incident state always yields the same digest
+   * (the RCA PDF quotes it and can be matched to any export taken at that point).
+   */
+  digest(contents) {
+    return sha256(canonicalize(contents));
+  }
+
+  /**
+   * @param {string} incidentId
+   * @param {object} sources - { incident, events, decisions, approvals, auditEntries, chain }
+   *   auditEntries are the incident's slice of the hash chain, chain the full-chain verify() result.
+   *   The chain state moves with unrelated activity, so it is signed in the header rather than digested.
+   * @param {object} [meta] - { generatedBy }
+   */
+  build(incidentId, { incident, events = [], decisions = [], approvals = [], auditEntries = [], chain = null }, { generatedBy = 'system' } = {}) {
+    const privateKey = this.loadKey();
+    const contents = { incident, events, decisions, approvals, auditEntries };
+
+    const bundle = {
+      format: FORMAT,
+      incidentId,
+      generatedAt: new Date().toISOString(),
+      generatedBy,
+      chain: chain ? { valid: chain.valid, entries: chain.entries, head: chain.head || null } : null,
+      contents,
+      digest: { algorithm: 'sha256', value: this.digest(contents) }
+    };
+    bundle.signature = {
+      algorithm: 'Ed25519',
+      keyId: this.keyId,
+      publicKey: this.publicKeyPem(),
+      value: crypto.sign(null, Buffer.from(signingInput(bundle)), privateKey).toString('base64')
+    };
+    return bundle;
+  }
+
+  // NDJSON layout: header line, one line per record, signature trailer
+  static toNdjson(bundle) {
+    const { contents } = bundle;
+    const lines = [
+      {
+        kind: 'header', format: bundle.format, incidentId: bundle.incidentId,
+        generatedAt: bundle.generatedAt, generatedBy: bundle.generatedBy, chain: bundle.chain
+      },
+      { kind: 'incident', data: contents.incident },
+      ...contents.events.map(data => ({ kind: 'event', data })),
+      ...contents.decisions.map(data => ({ kind: 'decision', data })),
+      ...contents.approvals.map(data => ({ kind: 'approval', data })),
+      ...contents.auditEntries.map(data => ({ kind: 'audit', data })),
+      { kind: 'signature', digest: bundle.digest, signature: bundle.signature }
+    ];
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  static fromNdjson(text) {
+    const bundle = { contents: { incident: null, events: [], decisions: [], approvals: [], auditEntries: [] } };
+    const lists = { event: 'events', decision: 'decisions', approval: 'approvals', audit: 'auditEntries' };
+    for (const line of text.split('\n').filter(Boolean)) {
+      const record = JSON.parse(line);
+      if (record.kind === 'header') {
+        const { kind, ...header } = record;
+        Object.assign(bundle, header);
+      } else if (record.kind === 'incident') {
+        bundle.contents.incident = record.data;
+      } else if (lists[record.kind]) {
+        bundle.contents[lists[record.kind]].push(record.data);
+      } else if (record.kind === 'signature') {
+        bundle.digest = record.digest;
+        bundle.signature = record.signature;
+      }
+    }
+    return bundle;
+  }
+
+  /**
+   * Checks a bundle (object, JSON text or NDJSON text).
+   * With a trusted public key the signer is authenticated; otherwise only the embedded key is used
+   * and the result says so (keyTrusted: false), which proves integrity but not origin.
+   */
+  static verify(input, { publicKey } = {}) {
+    let bundle = input;
+    if (typeof input === 'string') {
+      const text = input.trim();
+      bundle = text.startsWith('{"kind"') ? EvidenceBundler.fromNdjson(text) : JSON.parse(text);
+    }
+    if (bundle.format !== FORMAT) return { valid: false, reason: `Unsupported bundle format: ${bundle.format}` };
+    if (!bundle.digest || !bundle.signature) return { valid: false, reason: 'Bundle is not signed' };
+
+    const digest = sha256(canonicalize(bundle.contents));
+    if (digest !== bundle.digest.value) {
+      return { valid: false, incidentId: bundle.incidentId, reason: 'Digest mismatch: bundle contents were modified' };
+    }
+
+    const key = crypto.createPublicKey(publicKey || bundle.signature.publicKey);
+    const signatureValid = crypto.verify(null, Buffer.from(signingInput(bundle)), key, Buffer.from(bundle.signature.value, 'base64'));
+    if (!signatureValid) {
+      return { valid: false, incidentId: bundle.incidentId, reason: 'Signature does not match the bundle header' };
+    }
+
+    // Each audit entry must still hash to the value the chain recorded for it
+    const brokenEntry = bundle.contents.auditEntries.find(entry => AuditLogger.hashEntry(entry) !== entry.hash);
+    if (brokenEntry) {
+      return { valid: false, incidentId: bundle.incidentId, reason: `Audit entry ${brokenEntry.index} does not match its chain hash` };
+    }
+
+    return {
+      valid: true,
+      incidentId: bundle.incidentId,
+      digest,
+      keyId: keyIdOf(key),
+      keyTrusted: !!publicKey,
+      generatedAt: bundle.generatedAt,
+      generatedBy: bundle.generatedBy,
+      chain: bundle.chain
+    };
+  }
+}
+
+module.exports = new EvidenceBundler();
+module.exports.EvidenceBundler = EvidenceBundler;
+module.exports.canonicalize = canonicalize;
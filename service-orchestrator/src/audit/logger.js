@@ -1,11 +1,41 @@
 // service-orchestrator/src/audit/logger.js
+// AUDIT TRAIL: Append-only, SHA-256 hash-chained log of privileged actions (NDJSON on disk)
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 class AuditLogger {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {string} [options.filePath] - AUDIT_LOG_FILE, default data/audit.ndjson
+   */
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath || process.env.AUDIT_LOG_FILE || 'data/audit.ndjson');
     this.chain = [];
     this.loadChain();
   }
+
+  // Unparseable lines are kept as markers so verify() reports them instead of hiding them
+  readEntries() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch (e) { return { corrupt: line }; } });
+  }
+
+  loadChain() {
+    this.chain = this.readEntries();
+    if (this.chain.length) console.log(`[Audit] Loaded ${this.chain.length} audit entries from ${this.filePath}`);
+  }
+
+  persist(entry) {
+    if (!this.dirReady) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.dirReady = true;
+    }
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
   
   log(event) {
     const previousHash = this.chain.length > 0 
@@ -19,6 +49,8 @@ class AuditLogger {
       resource: event.resource,
       action: event.action,
       result: event.result,
+      tenant: event.tenant || null,
+      details: event.details || null,
       previousHash
     };
     
@@ -31,6 +63,11 @@ class AuditLogger {
   }
   
   calculateHash(entry) {
+    return AuditLogger.hashEntry(entry);
+  }
+
+  // Static so exported evidence can be re-hashed without an open log
+  static hashEntry(entry) {
     const data = JSON.stringify({
       timestamp: entry.timestamp,
       event: entry.event,
@@ -38,28 +75,69 @@ class AuditLogger {
       resource: entry.resource,
       action: entry.action,
       result: entry.result,
+      tenant: entry.tenant,
+      details: entry.details,
       previousHash: entry.previousHash
     });
     
     return crypto.createHash('sha256').update(data).digest('hex');
   }
   
-  verify() {
-    // Verify chain integrity
-    for (let i = 1; i < this.chain.length; i++) {
-      const current = this.chain[i];
-      const previous = this.chain[i - 1];
-      
-      if (current.previousHash !== previous.hash) {
-        return { valid: false, tamperedAt: i };
+  /**
+   * Verify chain integrity. Reads the file by default, since that is what an attacker would edit;
+   * pass { source: 'memory' } to check the in-process copy instead.
+   */
+  verify({ source = 'file' } = {}) {
+    const chain = source === 'memory' ? this.chain : this.readEntries();
+    const head = chain.length ? chain[chain.length - 1].hash : null;
+
+    for (let i = 0; i < chain.length; i++) {
+      const current = chain[i];
+      const expectedPrevious = i === 0 ? '0' : chain[i - 1].hash;
+
+      if (current.corrupt !== undefined) {
+        return { valid: false, entries: chain.length, tamperedAt: i, reason: 'unparseable entry' };
       }
-      
+      if (current.previousHash !== expectedPrevious) {
+        return { valid: false, entries: chain.length, tamperedAt: i, reason: 'broken link to previous entry' };
+      }
+
       const recalculatedHash = this.calculateHash(current);
       if (recalculatedHash !== current.hash) {
-        return { valid: false, tamperedAt: i };
+        return { valid: false, entries: chain.length, tamperedAt: i, reason: 'entry contents changed' };
       }
     }
-    
-    return { valid: true };
+
+    // Entries appended by this process but missing on disk mean the file was truncated
+    if (source === 'file' && chain.length < this.chain.length) {
+      return { valid: false, entries: chain.length, tamperedAt: chain.length, reason: 'entries removed from the end of the log' };
+    }
+
+    return { valid: true, entries: chain.length, head };
+  }
+
+  // Entries about one incident: HITL decisions use it as the resource, cloud actions carry it in details
+  forIncident(incidentId) {
+    return this.chain
+      .map((entry, index) => ({ index, ...entry }))
+      .filter(entry => entry.resource === incidentId || entry.details?.incidentId === incidentId);
+  }
+
+  /**
+   * Newest-last slice of the chain, filtered. Each entry keeps its index so it can be matched to verify().
+   */
+  query({ tenant, actor, event, resource, since, limit = 200 } = {}) {
+    const matched = this.chain
+      .map((entry, index) => ({ index, ...entry }))
+      .filter(entry => (!tenant || entry.tenant === tenant)
+        && (!actor || entry.actor === actor)
+        && (!event || (event.endsWith('*') ? entry.event?.startsWith(event.slice(0, -1)) : entry.event === event))
+        && (!resource || entry.resource === resource)
+        && (!since || entry.timestamp > since));
+    return matched.slice(-limit);
   }
 }
+
+// Shared trail for the whole process (AUDIT_LOG_FILE); construct AuditLogger directly for a separate file
+module.exports = new AuditLogger();
+module.exports.AuditLogger = AuditLogger;
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// service-orchestrator/src/audit/verifyBundle.js
+// VERIFY COMMAND: Offline check of an exported evidence bundle (JSON or NDJSON)
+//
+//   npm run audit:verify -- RCA-INC-123.bundle.json --key audit-signing.pub.pem
+//
+// --key (or AUDIT_VERIFY_KEY_FILE) pins the signer; without it only integrity is proven.
+// Exit code 0 = valid, 1 = invalid, 2 = usage error.
+
+const fs = require('fs');
+const { EvidenceBundler } = require('./evidenceBundle');
+
+function main(argv) {
+  const args = argv.slice(2);
+  const keyFlag = args.indexOf('--key');
+  const keyFile = keyFlag !== -1 ? args[keyFlag + 1] : process.env.AUDIT_VERIFY_KEY_FILE;
+  const file = args.find((arg, i) => !arg.startsWith('--') && (keyFlag === -1 || i !== keyFlag + 1));
+
+  if (!file) {
+    console.error('Usage: verifyBundle <bundle.json|bundle.ndjson> [--key <ed25519-public-key.pem>]');
+    return 2;
+  }
+
+  let result;
+  try {
+    result = EvidenceBundler.verify(fs.readFileSync(file, 'utf8'), {
+      publicKey: keyFile ? fs.readFileSync(keyFile, 'utf8') : undefined
+    });
+  } catch (err) {
+    result = { valid: false, reason: err.message };
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+  if (result.valid && !result.keyTrusted) {
+    console.warn('⚠️ Signature checked against the key embedded in the bundle. Pass --key to authenticate the signer.');
+  }
+  return result.valid ? 0 : 1;
+}
+
+process.exitCode = main(process.argv);
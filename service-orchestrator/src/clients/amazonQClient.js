@@ -1,16 +1,19 @@
 // service-orchestrator/src/clients/amazonQClient.js
 // ENTERPRISE VERSION: RAG-Enabled & FinOps Aware
 
-const { BedrockAgentRuntimeClient, InvokeAgentCommand } = require('@aws-sdk/client-bedrock-agent-runtime');
+const { BedrockAgentProvider } = require('../llm/providers/bedrock');
+const modelRegistry = require('../llm');
 const KnowledgeBase = require('../services/knowledgeBase'); // RAG Integration
 
 class AmazonQClient {
-  constructor() {
-    this.client = new BedrockAgentRuntimeClient({
-      region: process.env.AWS_REGION || 'us-east-1'
+  constructor(options = {}) {
+    // Same provider layer as the reasoning agent, so timeouts, retries and token accounting apply here too
+    this.provider = options.provider || new BedrockAgentProvider({
+      name: 'amazon-q',
+      onUsage: (record) => modelRegistry.recordUsage(record)
     });
-    this.agentId = process.env.AMAZON_Q_AGENT_ID;
-    this.agentAliasId = process.env.AMAZON_Q_AGENT_ALIAS_ID;
+    this.agentId = this.provider.agentId;
+    this.agentAliasId = this.provider.agentAliasId;
 
     if (!this.agentId || !this.agentAliasId) {
         console.error('[AmazonQClient] FATAL: AMAZON_Q_AGENT_ID or AMAZON_Q_AGENT_ALIAS_ID is not set in .env');
@@ -24,8 +27,7 @@ class AmazonQClient {
    */
   async analyzeIncident(alarmData) {
     // 1. RAG RETRIEVAL: Get relevant corporate policies
-    const alarmName = alarmData.AlarmName || 'Unknown';
-    const corporatePolicy = KnowledgeBase.getContext(alarmName);
+    const corporatePolicy = await KnowledgeBase.getContext(KnowledgeBase.alarmQuery(alarmData));
 
     // 2. PROMPT ENGINEERING: Inject Context & Business Logic
     const prompt = `
@@ -52,22 +54,9 @@ OUTPUT JSON FORMAT ONLY:
 }`;
 
     try {
-      const command = new InvokeAgentCommand({
-        agentId: this.agentId,
-        agentAliasId: this.agentAliasId,
-        sessionId: `incident-${Date.now()}`,
-        inputText: prompt
-      });
-
       console.log('[AmazonQClient] Invoking Agent with RAG Context...');
-      const response = await this.client.send(command);
-      
-      let fullResponse = '';
-      for await (const chunk of response.completion) {
-        if (chunk.chunk?.bytes) {
-          fullResponse += new TextDecoder().decode(chunk.chunk.bytes);
-        }
-      }
+      const response = await this.provider.complete({ prompt, tenant: alarmData.tenant });
+      const fullResponse = response.text;
       
       console.log('[AmazonQClient] Received Raw Response.');
       
@@ -91,10 +80,15 @@ OUTPUT JSON FORMAT ONLY:
     }
   }
 
+  intelligentFallback(alarmData, errorMsg) {
+    return AmazonQClient.intelligentFallback(alarmData, errorMsg);
+  }
+
   /**
    * Fallback Rule Engine (if AI fails)
+   * Static so the reasoning agent can fall back to the same rules without a Bedrock Agent client
    */
-  intelligentFallback(alarmData, errorMsg) {
+  static intelligentFallback(alarmData, errorMsg) {
     const alarmName = alarmData.AlarmName || '';
     let analysis = {
         root_cause_analysis: `AI Connectivity Error (${errorMsg}). Switched to deterministic fallback rules.`,
@@ -0,0 +1,181 @@
+// service-orchestrator/src/db/repository.js
+// REPOSITORY LAYER: The only module that writes SQL against the AURA schema
+
+const { db: defaultDb } = require('./schema');
+
+const toMs = (iso) => (iso ? new Date(iso).getTime() : null);
+
+class AuraRepository {
+  constructor(db = defaultDb) {
+    this.db = db;
+    this.statements = {
+      upsertIncident: db.prepare(`
+        INSERT INTO incidents (id, timestamp, alarm_name, function_name, root_cause, remediation_plan, command,
+          status, mode, approver, execution_time, provider, severity, tenant, updated_at, resolved_at, data)
+        VALUES (@id, @timestamp, @alarm_name, @function_name, @root_cause, @remediation_plan, @command,
+          @status, @mode, @approver, @execution_time, @provider, @severity, @tenant, @updated_at, @resolved_at, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          function_name = excluded.function_name, root_cause = excluded.root_cause,
+          remediation_plan = excluded.remediation_plan, command = excluded.command, status = excluded.status,
+          mode = excluded.mode, approver = excluded.approver, execution_time = excluded.execution_time,
+          updated_at = excluded.updated_at, resolved_at = excluded.resolved_at, data = excluded.data
+      `),
+      getIncident: db.prepare('SELECT * FROM incidents WHERE id = ?'),
+      insertDecision: db.prepare(`
+        INSERT INTO agent_decisions (incident_id, agent_name, decision_data, confidence, timestamp)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      decisionsFor: db.prepare('SELECT * FROM agent_decisions WHERE incident_id = ? ORDER BY timestamp ASC, id ASC'),
+      insertMetric: db.prepare('INSERT INTO metrics (timestamp, metric_name, value, incident_id) VALUES (?, ?, ?, ?)'),
+      insertEvent: db.prepare('INSERT INTO events (seq, ts, source, type, incident_id, data) VALUES (?, ?, ?, ?, ?, ?)'),
+      tailEvents: db.prepare('SELECT data FROM (SELECT seq, data FROM events ORDER BY seq DESC LIMIT ?) ORDER BY seq ASC'),
+      maxEventSeq: db.prepare('SELECT MAX(seq) AS seq FROM events'),
+      pruneEvents: db.prepare('DELETE FROM events WHERE seq < ?'),
+      clearEvents: db.prepare('DELETE FROM events')
+    };
+  }
+
+  // ===== INCIDENTS =====
+
+  saveIncident(incident) {
+    const createdAt = toMs(incident.createdAt);
+    const resolvedAt = toMs(incident.resolvedAt);
+    this.statements.upsertIncident.run({
+      id: incident.id,
+      timestamp: createdAt,
+      alarm_name: incident.alarmName,
+      function_name: incident.resourceId,
+      root_cause: incident.plan?.analysis || incident.reason || null,
+      remediation_plan: incident.plan ? JSON.stringify(incident.plan) : null,
+      command: incident.plan?.action || null,
+      status: incident.status,
+      mode: incident.mode || null,
+      approver: incident.approver || null,
+      // Seconds from detection to resolution (feeds the MTTR SLO)
+      execution_time: resolvedAt ? Math.round((resolvedAt - createdAt) / 1000) : null,
+      provider: incident.provider,
+      severity: incident.severity,
+      tenant: incident.tenant,
+      updated_at: toMs(incident.updatedAt),
+      resolved_at: resolvedAt,
+      data: JSON.stringify(incident)
+    });
+    return incident;
+  }
+
+  getIncident(id) {
+    const row = this.statements.getIncident.get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {number} [filters.since] - Opened after this time (ms)
+   * @param {number} [filters.activeSince] - Still unresolved, or resolved after this time (ms), whenever they opened
+   */
+  listIncidents({ status, tenant, since, activeSince } = {}) {
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (tenant) { where.push('tenant = ?'); params.push(tenant); }
+    if (since) { where.push('timestamp > ?'); params.push(since); }
+    if (activeSince) { where.push('(resolved_at IS NULL OR resolved_at > ?)'); params.push(activeSince); }
+
+    return this.db.prepare(`
+      SELECT * FROM incidents ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY timestamp DESC
+    `).all(...params).map(row => this.fromRow(row));
+  }
+
+  // Rows written before migration 2 have no JSON payload, so rebuild what we can
+  fromRow(row) {
+    if (row.data) return JSON.parse(row.data);
+    return {
+      id: row.id,
+      status: row.status,
+      alarmName: row.alarm_name,
+      resourceId: row.function_name,
+      reason: row.root_cause,
+      plan: row.remediation_plan ? JSON.parse(row.remediation_plan) : null,
+      mode: row.mode,
+      approver: row.approver,
+      createdAt: row.timestamp ? new Date(row.timestamp).toISOString() : null,
+      resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null,
+      history: []
+    };
+  }
+
+  // ===== AGENT DECISIONS =====
+
+  recordDecision(incidentId, agentName, decision, confidence = decision?.confidence) {
+    this.statements.insertDecision.run(
+      incidentId,
+      agentName,
+      JSON.stringify(decision),
+      typeof confidence === 'number' ? confidence : null,
+      Date.now()
+    );
+  }
+
+  listDecisions(incidentId) {
+    return this.statements.decisionsFor.all(incidentId).map(row => ({
+      id: row.id,
+      incidentId: row.incident_id,
+      agent: row.agent_name,
+      decision: JSON.parse(row.decision_data),
+      confidence: row.confidence,
+      timestamp: row.timestamp
+    }));
+  }
+
+  // ===== METRICS =====
+
+  recordMetric(name, value, incidentId = null) {
+    this.statements.insertMetric.run(Date.now(), name, value, incidentId);
+  }
+
+  // Metrics have no tenant column; `tenant` keeps those recorded against the tenant's incidents
+  listMetrics({ name, incidentId, tenant, since } = {}) {
+    const where = [];
+    const params = [];
+    if (name) { where.push('metric_name = ?'); params.push(name); }
+    if (incidentId) { where.push('incident_id = ?'); params.push(incidentId); }
+    if (tenant) { where.push('incident_id IN (SELECT id FROM incidents WHERE tenant = ?)'); params.push(tenant); }
+    if (since) { where.push('timestamp > ?'); params.push(since); }
+
+    return this.db.prepare(`
+      SELECT * FROM metrics ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY timestamp ASC
+    `).all(...params).map(row => ({
+      name: row.metric_name,
+      value: row.value,
+      incidentId: row.incident_id,
+      timestamp: row.timestamp
+    }));
+  }
+
+  // ===== EVENTS =====
+
+  appendEvent(entry) {
+    this.statements.insertEvent.run(entry.seq, entry.ts, entry.source, entry.type, entry.incidentId || null, JSON.stringify(entry));
+  }
+
+  loadEvents(limit) {
+    return this.statements.tailEvents.all(limit).map(row => JSON.parse(row.data));
+  }
+
+  lastEventSeq() {
+    return this.statements.maxEventSeq.get().seq || 0;
+  }
+
+  pruneEvents(minSeq) {
+    this.statements.pruneEvents.run(minSeq);
+  }
+
+  clearEvents() {
+    this.statements.clearEvents.run();
+  }
+}
+
+module.exports = new AuraRepository();
+module.exports.AuraRepository = AuraRepository;
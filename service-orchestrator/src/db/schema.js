@@ -1,7 +1,14 @@
+// service-orchestrator/src/db/schema.js
+// PERSISTENCE: SQLite connection + ordered schema migrations (tracked via PRAGMA user_version)
+
+const fs = require('fs');
+const path = require('path');
 const Database = require('better-sqlite3');
-const db = new Database('aura.db');
 
-db.exec(`
+// Append-only: never edit a shipped migration, add a new one instead
+const MIGRATIONS = [
+  // 1. Baseline tables
+  `
   CREATE TABLE IF NOT EXISTS incidents (
     id TEXT PRIMARY KEY,
     timestamp INTEGER,
@@ -15,7 +22,7 @@ db.exec(`
     approver TEXT,
     execution_time INTEGER
   );
-  
+
   CREATE TABLE IF NOT EXISTS metrics (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     timestamp INTEGER,
@@ -24,7 +31,7 @@ db.exec(`
     incident_id TEXT,
     FOREIGN KEY(incident_id) REFERENCES incidents(id)
   );
-  
+
   CREATE TABLE IF NOT EXISTS agent_decisions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     incident_id TEXT,
@@ -34,6 +41,58 @@ db.exec(`
     timestamp INTEGER,
     FOREIGN KEY(incident_id) REFERENCES incidents(id)
   );
-`);
+  `,
+  // 2. Incident lifecycle fields + lookup indexes
+  `
+  ALTER TABLE incidents ADD COLUMN provider TEXT;
+  ALTER TABLE incidents ADD COLUMN severity TEXT;
+  ALTER TABLE incidents ADD COLUMN tenant TEXT;
+  ALTER TABLE incidents ADD COLUMN updated_at INTEGER;
+  ALTER TABLE incidents ADD COLUMN resolved_at INTEGER;
+  ALTER TABLE incidents ADD COLUMN data TEXT;
+  CREATE INDEX IF NOT EXISTS idx_incidents_timestamp ON incidents(timestamp);
+  CREATE INDEX IF NOT EXISTS idx_metrics_name ON metrics(metric_name, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_decisions_incident ON agent_decisions(incident_id);
+  `,
+  // 3. Durable event bus (seq is the consumer cursor)
+  `
+  CREATE TABLE IF NOT EXISTS events (
+    seq INTEGER PRIMARY KEY,
+    ts TEXT,
+    source TEXT,
+    type TEXT,
+    incident_id TEXT,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_incident ON events(incident_id);
+  `
+];
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+    console.log(`[DB] Applied migration ${version + 1}/${MIGRATIONS.length}`);
+  }
+  return db;
+}
+
+/**
+ * Opens (or creates) the database and brings it to the latest schema.
+ * AURA_DB_PATH selects the file; ':memory:' gives a throwaway database.
+ */
+function openDatabase(filename = process.env.AURA_DB_PATH || 'aura.db') {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  return migrate(db);
+}
+
+const db = openDatabase();
 
-module.exports = db;
+module.exports = { db, openDatabase, migrate, SCHEMA_VERSION: MIGRATIONS.length };
@@ -7,12 +7,15 @@ const {
   GetFunctionConfigurationCommand 
 } = require('@aws-sdk/client-lambda');
 const { generateReport } = require('../reportGenerator');
+const RemediationVerifier = require('../orchestrator/remediationVerifier');
 
 class HealAgent {
   constructor(eventEmitter) {
     this.eventEmitter = eventEmitter || { emit: () => {} };
     this.lambda = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1' });
     
+    this.verifier = new RemediationVerifier({ pushEvent: (ev) => this.emit(ev.type, ev.detail) });
+
     this.playbook = {
       'RESTART_LAMBDA': this.restartLambda.bind(this),
       'INCREASE_LAMBDA_TIMEOUT': this.increaseTimeout.bind(this),
@@ -26,41 +29,43 @@ class HealAgent {
     const { incident_id, remediation_command, target_resource_id } = remediationDecision;
     
     this.emit('healing.started', `Supervisor initializing fix for ${target_resource_id}`);
+    const baseline = await this.verifier.captureBaseline('aws', target_resource_id);
 
     // 1. EXECUTION PHASE (Worker)
+    let healStart = new Date();
     let result = await this.executeAction(remediation_command, target_resource_id);
     
-    // 2. VERIFICATION PHASE (Supervisor)
+    // 2. VERIFICATION PHASE (Supervisor): CloudWatch health against the pre-incident baseline
     this.emit('healing.verification', 'Supervisor verifying metric stability...');
-    await this.sleep(1500); // Simulate checking CloudWatch metrics
-
-    // Simulate a 30% chance that the first fix fails (Chaos Theory)
-    const healthCheck = Math.random() > 0.3; 
+    let verification = await this.verifier.verify({ provider: 'aws', target: target_resource_id, baseline, since: healStart });
 
-    if (healthCheck) {
+    if (verification.status !== 'not_recovered') {
       this.emit('healing.completed', { 
         incidentId: incident_id, 
         status: 'healed', 
         actionsExecuted: [remediation_command],
-        verification: 'Metrics stabilized.'
+        verification: verification.status === 'recovered' ? 'Metrics stabilized.' : `Not verified: ${verification.reason}`
       });
-      return { success: true, action: remediation_command };
+      return { success: true, action: remediation_command, verification: verification.status };
     } 
     
     // 3. SELF-CORRECTION PHASE (Supervisor intervenes)
     this.emit('healing.correction', `⚠️ Metric regression detected. ${remediation_command} failed. Engaging Plan B.`);
     
     const planB = 'ROLLBACK_LAMBDA_VERSION'; // The nuclear option
+    healStart = new Date();
     await this.executeAction(planB, target_resource_id);
+    verification = await this.verifier.verify({ provider: 'aws', target: target_resource_id, baseline, since: healStart });
+    const recovered = verification.status !== 'not_recovered';
     
     this.emit('healing.completed', { 
       incidentId: incident_id, 
-      status: 'healed_after_correction', 
+      status: recovered ? 'healed_after_correction' : 'escalated', 
       actionsExecuted: [remediation_command, planB],
-      verification: 'Service recovered after Supervisor intervention.'
+      verification: recovered ? 'Service recovered after Supervisor intervention.' : verification.reason
     });
 
-    return { success: true, action: planB, correction: true };
+    return { success: recovered, action: planB, correction: true, verification: verification.status };
   }
 
   async executeAction(command, target) {
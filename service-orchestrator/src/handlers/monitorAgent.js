@@ -1,43 +1,165 @@
 // service-orchestrator/src/handlers/monitorAgent.js
-// MONITOR AGENT - DETECTS ALARMS & ROUTES TO REASONING - FULLY FIXED
+// MONITOR AGENT - DETECTS ALARMS & ROUTES TO REASONING
+
+const { runRemediation } = require('../orchestrator/remediationPipeline');
+const AlertCorrelator = require('../services/alertCorrelator');
+
+function parseAlarm(snsPayload) {
+  if (!snsPayload.Message) return snsPayload;
+  return typeof snsPayload.Message === 'string' ? JSON.parse(snsPayload.Message) : snsPayload.Message;
+}
+
+function resourceFromAlarm(alarmData) {
+  const dimensions = alarmData.Trigger?.Dimensions || [];
+  const fn = dimensions.find(d => (d.name || d.Name) === 'FunctionName');
+  return fn ? (fn.value || fn.Value) : null;
+}
 
 async function handleAlarm(snsPayload, context) {
-  const { pushEvent, hitlController, functionName } = context;
-  
+  const { pushEvent, incidentManager } = context;
+  // Correlation, topology and the incident are all scoped to this tenant; never leave it unset (that means every tenant)
+  const tenant = context.tenant || 'default';
+  // Long-lived correlator from the server; a fresh one still groups via incident fingerprints but forgets flapping history
+  const correlator = context.correlator || new AlertCorrelator({ incidentManager });
+
   try {
     pushEvent({ source: 'MonitorAgent', type: 'alarm.received', detail: 'SNS message received' });
-    
-    // Parse SNS message
-    let alarmData = {};
-    if (snsPayload.Message) {
-      alarmData = JSON.parse(snsPayload.Message);
-    } else {
-      alarmData = snsPayload;
-    }
-    
+
+    const alarmData = parseAlarm(snsPayload);
     const alarmName = alarmData.AlarmName || 'UnknownAlarm';
-    pushEvent({ source: 'MonitorAgent', type: 'alarm.parsed', detail: `Parsed alarm: ${alarmName}` });
-    
-    // Create incident ID
-    const incidentId = `incident-${Date.now()}`;
-    
-    // Load and instantiate ReasoningAgent - PROPERLY
+    const state = alarmData.NewStateValue || alarmData.NewState || 'ALARM';
+    pushEvent({ source: 'MonitorAgent', type: 'alarm.parsed', detail: `Parsed alarm: ${alarmName} (${state})` });
+
+    const resourceId = resourceFromAlarm(alarmData);
+    const correlation = correlator.correlate(alarmData, { tenant, resourceId });
+    const { incident: existing, fingerprint } = correlation;
+
+    if (correlation.flapStarted) {
+      pushEvent({
+        source: 'MonitorAgent',
+        type: 'alarm.flapping',
+        incidentId: existing?.id,
+        detail: `${alarmName} is flapping between ALARM and OK; its incident stays open and repeats join it until the alarm settles`
+      });
+    }
+    if (existing && correlation.flapping && !existing.flapping) incidentManager.update(existing.id, { flapping: true });
+
+    switch (correlation.action) {
+      case 'ignore':
+        pushEvent(state === 'OK'
+          ? { source: 'MonitorAgent', type: 'alarm.ok', detail: `${alarmName} returned to OK (no open incident)` }
+          : { source: 'MonitorAgent', type: 'alarm.ignored', detail: `${alarmName} entered ${state}` });
+        return { status: 'ignored', alarmName };
+
+      case 'hold':
+        pushEvent({ source: 'MonitorAgent', type: 'alarm.ok_held', incidentId: existing.id, detail: `${alarmName} returned to OK while flapping; ${existing.id} stays open` });
+        return { status: 'flapping', incidentId: existing.id };
+
+      case 'resolve':
+        if (incidentManager.canTransition(existing.id, 'resolved')) {
+          incidentManager.transition(existing.id, 'resolved', { actor: 'MonitorAgent', reason: `${alarmName} returned to OK` });
+          // Releases a pipeline waiting on approval; it sees the resolution and stops
+          context.hitlController?.cancel(existing.id, { actor: 'MonitorAgent', reason: `${alarmName} returned to OK` });
+        } else {
+          // Still remediating: the pipeline resolves it once it reaches verification
+          incidentManager.update(existing.id, { recoveredAt: new Date().toISOString() });
+        }
+        return { status: 'recovered', incidentId: existing.id };
+
+      case 'suppress':
+        pushEvent({ source: 'MonitorAgent', type: 'alarm.suppressed', detail: `${alarmName} suppressed by rule '${correlation.rule.name}'${correlation.rule.reason ? `: ${correlation.rule.reason}` : ''}` });
+        return { status: 'suppressed', alarmName, rule: correlation.rule.name };
+
+      case 'group': {
+        const now = new Date().toISOString();
+        incidentManager.update(existing.id, { alertCount: (existing.alertCount || 1) + 1, lastAlertAt: now });
+        pushEvent({
+          source: 'MonitorAgent',
+          type: 'alarm.grouped',
+          incidentId: existing.id,
+          detail: `${alarmName} grouped into ${existing.id} (${existing.status}${correlation.flapping ? ', flapping' : ''})`
+        });
+        return { status: 'grouped', incidentId: existing.id };
+      }
+
+      default:
+        break;
+    }
+
+    // An alarm below an already-alarming dependency is a symptom of that incident, not another remediation
+    const { topology } = context;
+    const placement = topology
+      ? topology.correlate({ alarmName, resourceId, provider: 'aws' }, { tenant })
+      : { role: 'unmapped', node: null, downstream: [] };
+    if (placement.role === 'symptom') {
+      const root = placement.rootIncident;
+      topology.attachSymptom(root, { nodeId: placement.node.id, alarmName, fingerprint });
+      pushEvent({
+        source: 'MonitorAgent',
+        type: 'alarm.symptom',
+        incidentId: root.id,
+        detail: `${alarmName} on ${placement.node.id} attached to ${root.id} (upstream ${root.topologyNode} is alarming)`
+      });
+      return { status: 'symptom', incidentId: root.id };
+    }
+
+    const incident = incidentManager.create({
+      alarmName,
+      reason: alarmData.NewStateReason,
+      resourceId,
+      tenant,
+      source: 'MonitorAgent',
+      fingerprint
+    });
+    if (placement.node) incidentManager.update(incident.id, { topologyNode: placement.node.id });
+    if (correlation.recurrenceOf) {
+      const previous = correlation.recurrenceOf;
+      incidentManager.update(incident.id, { recurrenceOf: previous.id, ...(correlation.flapping ? { flapping: true } : {}) });
+      pushEvent({
+        source: 'MonitorAgent',
+        type: 'alarm.recurred',
+        incidentId: incident.id,
+        detail: `${alarmName} is back shortly after ${previous.id} resolved${correlation.flapping ? ' (flapping)' : ''}`
+      });
+    }
+
+    // Incidents already open further downstream become symptoms of this one
+    if (placement.role === 'root') {
+      for (const leaf of placement.downstream) {
+        incidentManager.update(leaf.id, { rootIncidentId: incident.id });
+        topology.attachSymptom(incident, { nodeId: leaf.topologyNode, alarmName: leaf.alarmName, fingerprint: leaf.fingerprint, incidentId: leaf.id });
+      }
+      pushEvent({
+        source: 'MonitorAgent',
+        type: 'incident.root_identified',
+        incidentId: incident.id,
+        detail: `${placement.node.id} is upstream of ${placement.downstream.map(leaf => `${leaf.topologyNode} (${leaf.id})`).join(', ')}`
+      });
+    }
+
+    // Time between CloudWatch flipping the alarm and us opening the incident (feeds the MTTD SLO)
+    if (context.repository && alarmData.StateChangeTime) {
+      const detectionLatency = (Date.now() - new Date(alarmData.StateChangeTime).getTime()) / 1000;
+      if (detectionLatency >= 0) context.repository.recordMetric('detection_latency_seconds', detectionLatency, incident.id);
+    }
+
     try {
-      const ReasoningAgent = require('../agents/ReasoningAgent');
-      const reasoningAgent = new ReasoningAgent({ pushEvent, hitlController, functionName });
-      await reasoningAgent.analyze(alarmData, incidentId);
+      return await runRemediation(incident, alarmData, { ...context, awaitRecovery: true });
     } catch (err) {
-      console.error('[MonitorAgent] ReasoningAgent error:', err.message);
-      pushEvent({ source: 'MonitorAgent', type: 'error', detail: `ReasoningAgent: ${err.message}` });
-      
-      // Fallback: just log the alarm if ReasoningAgent fails
-      pushEvent({ 
-        source: 'MonitorAgent', 
-        type: 'fallback', 
-        detail: `Alarm logged: ${alarmName}, manual review required` 
+      console.error('[MonitorAgent] Remediation error:', err.message);
+      pushEvent({ source: 'MonitorAgent', type: 'error', incidentId: incident.id, detail: `Remediation: ${err.message}` });
+      pushEvent({
+        source: 'MonitorAgent',
+        type: 'fallback',
+        incidentId: incident.id,
+        detail: `Alarm logged: ${alarmName}, manual review required`
       });
+      if (incidentManager.canTransition(incident.id, 'escalated')) {
+        incidentManager.transition(incident.id, 'escalated', { actor: 'MonitorAgent', reason: err.message });
+      }
+      return { status: 'escalated', incidentId: incident.id, error: err.message };
     }
-    
+
   } catch (err) {
     console.error('[MonitorAgent] Error:', err.message);
     pushEvent({ source: 'MonitorAgent', type: 'error', detail: err.message });
@@ -46,5 +168,3 @@ async function handleAlarm(snsPayload, context) {
 }
 
 module.exports = { handleAlarm };
-
-module.exports = { handleAlarm };
\ No newline at end of file
@@ -15,14 +15,32 @@ const client = require('prom-client');
 
 // ===== ENTERPRISE MODULES (Corrected Paths) =====
 const EnterpriseSecurity = require('./middleware/Enterprise_Security_Policy');
-const ReasoningAgentV2 = require('./agents/ReasoningAgent_v2_LangGraph');
-const MultiCloudHealer = require('./agents/MultiCloudHealer');
 const DashboardApi = require('./api/DashboardApi');
 const FinOpsAgent = require('./agents/FinOpsAgent'); // Ensure this file exists
 const pdfGenerator = require('./utils/pdfGenerator'); // Ensure this file exists
 const HITLController = require('./middleware/hitlController');
+const IncidentManager = require('./services/incidentManager');
+const EventStore = require('./services/eventStore');
+const IncidentHistory = require('./services/incidentHistory');
+const AlertCorrelator = require('./services/alertCorrelator');
+const Topology = require('./services/topology');
+const TopologyCorrelator = require('./services/topologyCorrelator');
+const Notifier = require('./notifications');
+const repository = require('./db/repository');
+const sloTracker = require('./slo/tracker');
 const { handleGoal } = require('./orchestrator');
+const { runRemediation } = require('./orchestrator/remediationPipeline');
+const { handleAlarm } = require('./handlers/monitorAgent');
+const { SnsVerifier } = require('./middleware/snsVerifier');
 const { redact } = require('./middleware/piiRedactor');
+const auditLogger = require('./audit/logger');
+const evidenceBundler = require('./audit/evidenceBundle');
+const RunbookExecutor = require('./runbooks/executor');
+const providerRegistry = require('./providers/registry');
+const MultiCloudHealer = require('./agents/MultiCloudHealer');
+const remediationGovernor = require('./orchestrator/remediationGovernor');
+const modelRegistry = require('./llm');
+const knowledgeBase = require('./services/knowledgeBase');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -92,7 +110,7 @@ app.use((req, res, next) => {
 
   console.log(JSON.stringify({
     method: req.method,
-    path: req.originalUrl,
+    path: req.originalUrl.replace(/access_token=[^&]*/, 'access_token=[REDACTED]'),
     context: req.systemContext,
     requestId: req.requestId
   }));
@@ -113,22 +131,28 @@ app.get('/metrics', async (req, res) => {
 });
 
 // ===== EVENT BUS =====
-const events = [];
-const EVENTS_MAX = 3000;
-const hitlController = new HITLController();
-let cdkConfig = { lambdaFunctionName: 'mock-function', snsTopicArn: null };
+// EVENT_STORE=memory|file|sqlite (EVENT_STORE_FILE sets the NDJSON path for 'file')
+const eventStore = new EventStore({
+  persistence: EventStore.createPersistence(process.env.EVENT_STORE, { filePath: process.env.EVENT_STORE_FILE, repository })
+});
+const hitlController = new HITLController({ pushEvent, auditLogger });
+const incidentManager = new IncidentManager({ pushEvent, repository });
+const incidentHistory = new IncidentHistory({ incidentManager });
+const alertCorrelator = AlertCorrelator.load({ incidentManager });
+const topologyCorrelator = new TopologyCorrelator({ topology: Topology.load(), incidentManager });
+// Incident lifecycle events out to Slack / Teams / email / PagerDuty (config/notifications.json)
+const notifier = Notifier.load({ incidentManager, pushEvent }).subscribe(eventStore);
+const runbookExecutor = new RunbookExecutor({ pushEvent, onSnapshot: (incidentId, snapshot) => incidentManager.addSnapshot(incidentId, snapshot) });
+let cdkConfig = {
+  lambdaFunctionName: process.env.LAMBDA_FUNCTION_NAME || 'mock-function',
+  snsTopicArn: process.env.SNS_TOPIC_ARN || null,
+  snsTenant: process.env.SNS_TENANT || 'default' // Tenant that alarms arriving over SNS belong to
+};
 
 function pushEvent(ev) {
   try {
     const safeDetail = typeof ev.detail === 'string' ? redact(ev.detail) : ev.detail;
-    const entry = { 
-      eventId: `evt-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
-      ts: new Date().toISOString(), 
-      ...ev,
-      detail: safeDetail 
-    };
-    events.push(entry);
-    if (events.length > EVENTS_MAX) events.shift();
+    const entry = eventStore.append({ ...ev, detail: safeDetail });
     console.log(JSON.stringify({ level: 'INFO', ...entry }));
   } catch(e) { console.error('EventBus Error:', e); }
 }
@@ -154,8 +178,65 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', uptime: process.uptime(), version: 'AURA v3.0 Enterprise' });
 });
 
+// Cursor-based consumption: poll with ?after=<last seq seen> to get each event exactly once
+// Live push alternative: GET /stream/agent-thoughts (Server-Sent Events, see api/DashboardApi.js)
+app.use(DashboardApi({ eventStore, topology: topologyCorrelator }));
+
 app.get('/events', EnterpriseSecurity.enforce('read:events'), (req, res) => {
-  res.json(events); 
+  const { after, source, type, incidentId } = req.query;
+  if (after !== undefined && !/^\d+$/.test(after)) {
+    return res.status(400).json({ error: 'after must be a non-negative integer sequence number' });
+  }
+  const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit, 10) || 1, 1), 1000) : (after !== undefined ? 500 : undefined);
+  const list = eventStore.query({ after, limit, source, type, incidentId, tenant: req.auditContext.tenant });
+
+  // Cursor to resume from, plus the oldest retained seq so clients can detect gaps caused by retention
+  res.set('X-Event-Cursor', String(list.length ? list[list.length - 1].seq : (after ?? eventStore.lastSeq())));
+  res.set('X-Event-Oldest-Seq', String(eventStore.oldestSeq()));
+  res.json(list);
+});
+
+// CloudWatch Alarm Webhook (SNS HTTPS subscription)
+// SNS posts with Content-Type text/plain, so the body is parsed here rather than by express.json
+const snsVerifier = new SnsVerifier({ topicArn: cdkConfig.snsTopicArn });
+if (!snsVerifier.topicArn) {
+  console.warn(`[SNS] No SNS_TOPIC_ARN configured: ${snsVerifier.allowAnyTopic ? 'accepting any topic (SNS_ALLOW_ANY_TOPIC)' : 'POST /sns rejects every message'}`);
+}
+
+app.post('/sns', express.text({ type: '*/*', limit: '256kb' }), async (req, res) => {
+  let message;
+  try {
+    message = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    await snsVerifier.verify(message);
+  } catch (err) {
+    console.warn(`[SNS] ⚠️ Rejected message: ${err.message}`);
+    return res.status(403).json({ error: 'Invalid SNS message' });
+  }
+
+  try {
+    switch (message.Type) {
+      case 'SubscriptionConfirmation': {
+        const region = message.TopicArn.split(':')[3] || process.env.AWS_REGION || 'us-east-1';
+        const snsClient = new SNSClient({ region });
+        await snsClient.send(new ConfirmSubscriptionCommand({ TopicArn: message.TopicArn, Token: message.Token }));
+        pushEvent({ source: 'SNS', type: 'sns.subscription_confirmed', detail: `Subscribed to ${message.TopicArn}` });
+        return res.json({ status: 'subscription_confirmed' });
+      }
+      case 'Notification':
+        // Acknowledge immediately; SNS retries deliveries that take too long
+        handleAlarm(message, { pushEvent, hitlController, incidentManager, repository, history: incidentHistory, correlator: alertCorrelator, topology: topologyCorrelator, functionName: cdkConfig.lambdaFunctionName, tenant: cdkConfig.snsTenant })
+          .catch(err => pushEvent({ source: 'SNS', type: 'sns.error', detail: String(err) }));
+        return res.json({ status: 'accepted', messageId: message.MessageId });
+      case 'UnsubscribeConfirmation':
+        pushEvent({ source: 'SNS', type: 'sns.unsubscribed', detail: `Unsubscribed from ${message.TopicArn}` });
+        return res.json({ status: 'unsubscribed' });
+      default:
+        return res.status(400).json({ error: `Unsupported SNS message type: ${message.Type}` });
+    }
+  } catch (err) {
+    pushEvent({ source: 'SNS', type: 'sns.error', detail: err.message });
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Enhanced Deployment Endpoint (Feature 2: Shadow Mode)
@@ -179,32 +260,50 @@ app.post('/goal', EnterpriseSecurity.enforce('system:agent'), async (req, res) =
   }
 });
 
+// Responds 202 once the incident exists; the pipeline runs in the background because it may wait for a
+// human approval (up to HITL_TIMEOUT_MS). Progress is on /events and GET /incidents/:id.
 app.post('/simulate', EnterpriseSecurity.enforce('system:agent'), async (req, res) => {
   const startTime = Date.now();
   try {
-    const { type, severity = 'MEDIUM', provider = 'aws' } = req.body;
-    
-    pushEvent({ source: 'ChaosMonkey', type: 'simulate.triggered', detail: `Injecting ${type} on ${provider.toUpperCase()}` });
-    incidentCounter.inc({ severity: severity.toLowerCase(), tenant: req.headers['x-tenant-id'] || 'default' });
+    const { type, severity = 'MEDIUM', provider = 'aws', environment } = req.body;
+    if (!providerRegistry.has(provider)) {
+      return res.status(400).json({ error: `Unknown provider: ${provider}`, available: providerRegistry.ids() });
+    }
 
-    // The Brain
-    const brain = new ReasoningAgentV2({ pushEvent });
-    pushEvent({ source: 'Orchestrator', type: 'ai.handover', detail: `Engaging AI (Context: ${req.systemContext.loadState})...` });
-    
-    const simulatedAlarm = { AlarmName: `Critical-${type}-${provider}`, NewStateReason: `Threshold exceeded due to ${type}` };
-    const plan = await brain.run(simulatedAlarm);
-    
-    // The Hands
-    const healer = new MultiCloudHealer({ pushEvent });
-    const result = await healer.heal({ ...plan, targetProvider: provider });
+    pushEvent({ source: 'ChaosMonkey', type: 'simulate.triggered', tenant: req.auditContext.tenant, detail: `Injecting ${type} on ${provider.toUpperCase()}` });
+    incidentCounter.inc({ severity: severity.toLowerCase(), tenant: req.auditContext.tenant });
 
-    const duration = (Date.now() - startTime) / 1000;
-    healingDuration.observe(duration);
-    trackLatency(duration * 1000); // Feed metrics to Z-Score engine
+    const simulatedAlarm = { AlarmName: `Critical-${type}-${provider}`, NewStateReason: `Threshold exceeded due to ${type}` };
+    const incident = incidentManager.create({
+      alarmName: simulatedAlarm.AlarmName,
+      reason: simulatedAlarm.NewStateReason,
+      provider,
+      severity,
+      tenant: req.auditContext.tenant,
+      environment,
+      source: 'ChaosMonkey',
+      triggeredBy: req.auditContext.user
+    });
 
-    res.json({ status: 'healed', plan_executed: plan, healing_result: result, duration: `${duration}s` });
+    // The Brain + The Hands
+    pushEvent({ source: 'Orchestrator', type: 'ai.handover', incidentId: incident.id, tenant: incident.tenant, detail: `Engaging AI (Context: ${req.systemContext.loadState})...` });
+    runRemediation(incident, simulatedAlarm, { incidentManager, hitlController, repository, history: incidentHistory })
+      .then(() => {
+        const duration = (Date.now() - startTime) / 1000;
+        healingDuration.observe(duration);
+        repository.recordMetric('simulation_duration_seconds', duration, incident.id);
+        trackLatency(duration * 1000); // Feed metrics to Z-Score engine
+      })
+      .catch(err => pushEvent({ source: 'System', type: 'healing.fatal', incidentId: incident.id, tenant: incident.tenant, detail: err.message }));
+
+    res.status(202).json({
+      status: 'accepted',
+      incidentId: incident.id,
+      environment: incident.environment,
+      incident: `/incidents/${incident.id}`
+    });
   } catch (err) {
-    pushEvent({ source: 'System', type: 'healing.fatal', detail: err.message });
+    pushEvent({ source: 'System', type: 'healing.fatal', tenant: req.auditContext.tenant, detail: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -212,7 +311,7 @@ app.post('/simulate', EnterpriseSecurity.enforce('system:agent'), async (req, re
 // Enhanced Cost Endpoint (Feature 3: Budget Guardrails)
 app.post('/optimize-costs', EnterpriseSecurity.enforce('system:agent'), async (req, res) => {
   try {
-    const finOps = new FinOpsAgent({ pushEvent });
+    const finOps = new FinOpsAgent({ pushEvent, actor: req.auditContext.user, tenant: req.auditContext.tenant });
     const opportunities = await finOps.scanForWaste();
     
     // Feature 3: Smart Budget Logic
@@ -245,7 +344,7 @@ app.post('/optimize-costs', EnterpriseSecurity.enforce('system:agent'), async (r
 
 // Enhanced Risk Score (Feature 1: Predictive Z-Score)
 app.get('/risk-score', (req, res) => {
-  const errorCount = events.filter(e => e.type && e.type.includes('error')).length;
+  const errorCount = eventStore.all().filter(e => e.type && e.type.includes('error')).length;
   let riskScore = Math.min(100, errorCount * 5);
   
   // Feature 1: Z-Score Anomaly Injection
@@ -271,22 +370,376 @@ app.get('/risk-score', (req, res) => {
   });
 });
 
+// ===== INCIDENT LIFECYCLE =====
+app.get('/incidents', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  res.json(incidentManager.list({ status: req.query.status, tenant: req.auditContext.tenant }));
+});
+
+// Incidents belonging to another tenant are reported as missing
+const tenantIncident = (req, id = req.params.id) => {
+  const incident = incidentManager.get(id);
+  return incident && incident.tenant === req.auditContext.tenant ? incident : null;
+};
+
+app.get('/incidents/:id', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  const incident = tenantIncident(req);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  res.json({
+    ...incident,
+    decisions: repository.listDecisions(incident.id),
+    events: eventStore.query({ incidentId: incident.id })
+  });
+});
+
+// Closed incidents of the same tenant that looked like this one, and how they were fixed
+app.get('/incidents/:id/similar', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  const incident = tenantIncident(req);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  const k = Math.min(Number(req.query.k) || incidentHistory.topK, 20);
+  const similar = incidentHistory.similar(incident, { tenant: incident.tenant, k: k + 1 }).filter(r => r.id !== incident.id);
+  res.json({ incidentId: incident.id, similar: similar.slice(0, k) });
+});
+
+app.post('/incidents/:id/transition', EnterpriseSecurity.enforce('incident:transition'), (req, res) => {
+  const { to, reason } = req.body || {};
+  const incident = tenantIncident(req);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  if (!IncidentManager.STATES.includes(to)) {
+    return res.status(400).json({ error: `Unknown state: ${to}`, allowed: IncidentManager.STATES });
+  }
+  if (!incidentManager.canTransition(incident.id, to)) {
+    return res.status(409).json({
+      error: `Illegal transition: ${incident.status} -> ${to}`,
+      allowed: IncidentManager.TRANSITIONS[incident.status]
+    });
+  }
+  res.json(incidentManager.transition(incident.id, to, { actor: req.auditContext.user, reason }));
+});
+
+// Restores the state captured before the incident's remediations, newest first.
+// Body: { snapshotId } to revert a single action; default is every snapshot not restored yet.
+app.post('/incidents/:id/revert', EnterpriseSecurity.enforce('incident:revert'), async (req, res) => {
+  const incident = tenantIncident(req);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  if (incident.status === 'remediating') {
+    return res.status(409).json({ error: 'Remediation in progress, revert once it has finished' });
+  }
+
+  const { snapshotId } = req.body || {};
+  const snapshots = incident.snapshots || [];
+  if (snapshotId && !snapshots.some(s => s.id === snapshotId)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  const pending = snapshots.filter(s => !s.restoredAt && (!snapshotId || s.id === snapshotId)).reverse();
+  if (!pending.length) {
+    return res.status(409).json({ error: snapshotId ? 'Snapshot already restored' : 'Nothing to revert', snapshots });
+  }
+
+  const healer = new MultiCloudHealer({
+    pushEvent: incidentManager.scopedPushEvent(incident.id),
+    incidentId: incident.id,
+    tenant: incident.tenant
+  });
+  const reverted = [];
+  for (const snapshot of pending) {
+    try {
+      await healer.revert(snapshot, req.auditContext.user);
+      Object.assign(snapshot, { restoredAt: new Date().toISOString(), restoredBy: req.auditContext.user });
+      reverted.push({ id: snapshot.id, command: snapshot.command, resourceId: snapshot.resourceId, status: 'reverted' });
+    } catch (err) {
+      reverted.push({ id: snapshot.id, command: snapshot.command, resourceId: snapshot.resourceId, status: 'failed', error: err.message });
+    }
+  }
+  incidentManager.update(incident.id, { snapshots });
+
+  const failed = reverted.filter(r => r.status === 'failed').length;
+  const status = !failed ? 'reverted' : failed === reverted.length ? 'failed' : 'partial';
+  res.status(failed ? 422 : 200).json({ incidentId: incident.id, status, reverted });
+});
+
+// ===== NOTIFICATIONS =====
+// Channels (no secrets), the caller's tenant routes and recent deliveries (captured payloads in capture mode)
+app.get('/notifications', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  res.json(notifier.describe(req.auditContext.tenant));
+});
+
+app.post('/notifications/test', EnterpriseSecurity.enforce('notifications:test'), async (req, res) => {
+  try {
+    res.json({ deliveries: await notifier.test(req.auditContext.tenant, req.auditContext.user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== ALERT CORRELATION =====
+// Grouping windows, suppression rules and currently flapping alarms for the caller's tenant
+app.get('/alerts/correlation', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  res.json(alertCorrelator.describe(req.auditContext.tenant));
+});
+
+// ===== REMEDIATION GOVERNOR =====
+// Cooldowns and per-tenant caps (GOVERNOR_*) plus the global kill switch for every mutating action
+app.get('/governor', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  res.json(remediationGovernor.status(req.auditContext.tenant));
+});
+
+app.post('/governor/pause', EnterpriseSecurity.enforce('governor:pause'), (req, res) => {
+  const status = remediationGovernor.pause({ actor: req.auditContext.user, reason: req.body?.reason });
+  pushEvent({ source: 'Governor', type: 'governor.paused', tenant: req.auditContext.tenant, detail: `Remediation paused by ${req.auditContext.user}${status.reason ? `: ${status.reason}` : ''}` });
+  res.json(status);
+});
+
+app.post('/governor/resume', EnterpriseSecurity.enforce('governor:resume'), (req, res) => {
+  if (!remediationGovernor.paused) return res.status(409).json({ error: 'Remediation is not paused' });
+  const status = remediationGovernor.resume({ actor: req.auditContext.user });
+  pushEvent({ source: 'Governor', type: 'governor.resumed', tenant: req.auditContext.tenant, detail: `Remediation resumed by ${req.auditContext.user}` });
+  res.json(status);
+});
+
+// ===== PROVIDERS =====
+// Capability discovery: every provider plugin with its remediation commands and parameter schemas
+app.get('/providers', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  res.json({ providers: providerRegistry.list(), loadErrors: providerRegistry.loadErrors });
+});
+
+app.get('/providers/:id', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  if (!providerRegistry.has(req.params.id)) return res.status(404).json({ error: 'Provider not found' });
+  res.json(providerRegistry.describe(req.params.id));
+});
+
+// ===== MODEL PROVIDERS =====
+// LLM backend used for this tenant's reasoning (config/llm.json) and its token usage so far
+app.get('/llm', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  const tenant = req.auditContext.tenant;
+  res.json({ provider: modelRegistry.resolveName(tenant), providers: modelRegistry.list(), usage: modelRegistry.usageFor(tenant) });
+});
+
+// ===== KNOWLEDGE BASE =====
+// SOP retrieval behind the reasoning prompts (config/sops, KB_DOCS_DIR)
+app.get('/kb/search', EnterpriseSecurity.enforce('read:events'), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+  const k = Math.min(Math.max(parseInt(req.query.k, 10) || knowledgeBase.topK, 1), 20);
+  try {
+    res.json({ query: q, method: knowledgeBase.method, results: await knowledgeBase.search(q, { k }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: { id, title, content (markdown), pinned }. Same id replaces the document.
+app.post('/kb/documents', EnterpriseSecurity.enforce('kb:ingest'), async (req, res) => {
+  try {
+    const doc = await knowledgeBase.ingest(req.body || {}, { actor: req.auditContext.user, tenant: req.auditContext.tenant });
+    pushEvent({ source: 'KnowledgeBase', type: 'kb.document_ingested', tenant: req.auditContext.tenant, detail: `${doc.replaced ? 'Replaced' : 'Added'} ${doc.id} (${doc.chunks} chunks) by ${req.auditContext.user}` });
+    res.status(doc.replaced ? 200 : 201).json(doc);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ===== RUNBOOKS =====
+// Declarative runbooks from config/runbooks (RUNBOOK_DIR)
+app.get('/runbooks', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  res.json({ runbooks: runbookExecutor.list(), loadErrors: runbookExecutor.loadErrors });
+});
+
+app.get('/runbooks/:id', EnterpriseSecurity.enforce('read:events'), (req, res) => {
+  const runbook = runbookExecutor.get(req.params.id);
+  if (!runbook) return res.status(404).json({ error: 'Runbook not found' });
+  res.json(runbook);
+});
+
+// Body: { params, incidentId, dryRun } (or ?dryRun=true). A dry run returns the resolved plan only.
+app.post('/runbooks/:id/execute', EnterpriseSecurity.enforce('runbook:execute'), async (req, res) => {
+  const { params = {}, incidentId } = req.body || {};
+  const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+  if (!runbookExecutor.get(req.params.id)) return res.status(404).json({ error: 'Runbook not found' });
+
+  let incident = null;
+  if (incidentId) {
+    incident = tenantIncident(req, incidentId);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  }
+
+  try {
+    runbookExecutor.resolve(runbookExecutor.get(req.params.id), params, incident);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const execution = await runbookExecutor.execute(req.params.id, {
+      params, dryRun, incident, actor: req.auditContext.user, tenant: req.auditContext.tenant
+    });
+    res.status(dryRun || execution.status === 'succeeded' ? 200 : 422).json(execution);
+  } catch (err) {
+    console.error('[Runbook] Execution error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== HUMAN-IN-THE-LOOP APPROVALS =====
+// Pending remediations wait here in copilot mode; a decision resumes the waiting pipeline immediately.
+app.get('/approvals', EnterpriseSecurity.enforce('action:approve'), (req, res) => {
+  const status = req.query.status === 'all' ? undefined : (req.query.status || 'pending');
+  res.json(hitlController.list({ status, tenant: req.auditContext.tenant }));
+});
+
+app.get('/approvals/:id', EnterpriseSecurity.enforce('action:approve'), (req, res) => {
+  const approval = hitlController.find(req.params.id);
+  if (!approval || approval.tenant !== req.auditContext.tenant) return res.status(404).json({ error: 'Approval not found' });
+  res.json(approval);
+});
+
+// Quorum and separation-of-duties rules come from config/approval-policies.json (HITL_POLICY_FILE)
+function decideApproval(decision, decide) {
+  return (req, res) => {
+    const approval = hitlController.find(req.params.id);
+    if (!approval || approval.tenant !== req.auditContext.tenant) return res.status(404).json({ error: 'Approval not found' });
+    if (approval.status !== 'pending') return res.status(409).json({ error: `Approval already ${approval.status}`, approval });
+
+    const who = { actor: req.auditContext.user, roles: req.auditContext.roles, comment: req.body?.comment };
+    const { allowed, reason } = hitlController.canDecide(approval, who, decision);
+    if (!allowed) return res.status(403).json({ error: reason, policy: approval.policy });
+    try {
+      res.json(decide(approval, who, req.body || {}));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  };
+}
+
+app.post('/approvals/:id/approve', EnterpriseSecurity.enforce('action:approve'),
+  decideApproval('approve', (approval, who) => hitlController.approve(approval.id, who)));
+app.post('/approvals/:id/deny', EnterpriseSecurity.enforce('action:deny'),
+  decideApproval('deny', (approval, who) => hitlController.deny(approval.id, who)));
+// Body: { plan: { action, ...params }, comment }
+app.post('/approvals/:id/modify', EnterpriseSecurity.enforce('action:approve'),
+  decideApproval('approve', (approval, who, body) => hitlController.modify(approval.id, body.plan, who)));
+
+// ===== COMPLIANCE EVIDENCE =====
+// Compliance events (report/bundle generation) describe the evidence itself, so they are left out:
+// the digest then only changes when the incident record changes.
+function buildEvidenceBundle(incident, generatedBy) {
+  return evidenceBundler.build(incident.id, {
+    incident,
+    events: eventStore.query({ incidentId: incident.id }).filter(e => e.source !== 'Compliance'),
+    decisions: repository.listDecisions(incident.id),
+    approvals: hitlController.list().filter(a => a.incidentId === incident.id),
+    auditEntries: auditLogger.forIncident(incident.id),
+    chain: auditLogger.verify()
+  }, { generatedBy });
+}
+
+// ?format=json (default) | ndjson. Verify offline with `npm run audit:verify -- <file> --key <pem>`
+app.get('/incidents/:id/bundle', EnterpriseSecurity.enforce('read:audit'), (req, res) => {
+  const incident = tenantIncident(req);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  const format = req.query.format === 'ndjson' ? 'ndjson' : 'json';
+
+  try {
+    const bundle = buildEvidenceBundle(incident, req.auditContext.user);
+    auditLogger.log({
+      type: 'evidence.exported',
+      actor: req.auditContext.user,
+      resource: `evidence:${incident.id}`,
+      action: 'read:audit',
+      result: 'success',
+      tenant: req.auditContext.tenant,
+      details: { digest: bundle.digest.value, keyId: bundle.signature.keyId, format }
+    });
+    pushEvent({ source: 'Compliance', type: 'evidence.exported', incidentId: incident.id, tenant: incident.tenant, detail: `Evidence bundle ${bundle.digest.value.slice(0, 12)}… exported` });
+
+    res.setHeader('X-Bundle-Digest', bundle.digest.value);
+    res.setHeader('Content-Disposition', `attachment; filename=RCA-${incident.id}.bundle.${format}`);
+    if (format === 'ndjson') {
+      res.type('application/x-ndjson').send(evidenceBundler.EvidenceBundler.toNdjson(bundle));
+    } else {
+      res.json(bundle);
+    }
+  } catch (err) {
+    console.error('[Evidence] Export failed:', err.message);
+    res.status(500).json({ error: 'Failed to build evidence bundle' });
+  }
+});
+
+// Public half of the signing key, for pinning in the verify command
+app.get('/audit/signing-key', EnterpriseSecurity.enforce('read:audit'), (req, res) => {
+  res.type('application/x-pem-file').send(evidenceBundler.publicKeyPem());
+});
+
 app.get('/report/download/:incidentId', EnterpriseSecurity.enforce('read:reports'), async (req, res) => {
+  const incident = tenantIncident(req, req.params.incidentId);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
   try {
-    const pdfBytes = await pdfGenerator.generate(req.params.incidentId, events);
+    const bundle = buildEvidenceBundle(incident, req.auditContext.user);
+    const pdfBytes = await pdfGenerator.generate(incident.id, {
+      events: bundle.contents.events,
+      incident,
+      decisions: bundle.contents.decisions,
+      evidence: { digest: bundle.digest.value, keyId: bundle.signature.keyId }
+    });
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename=RCA-${req.params.incidentId}.pdf`);
     res.send(Buffer.from(pdfBytes));
-    pushEvent({ source: 'Compliance', type: 'report.generated', detail: `RCA generated for ${req.params.incidentId}` });
+    pushEvent({ source: 'Compliance', type: 'report.generated', incidentId: req.params.incidentId, detail: `RCA generated for ${req.params.incidentId}` });
   } catch (err) {
     res.status(500).json({ error: 'Failed to generate PDF report' });
   }
 });
 
+app.get('/slo', EnterpriseSecurity.enforce('read:reports'), (req, res) => {
+  try {
+    res.json(sloTracker.getReport({ tenant: req.auditContext.tenant }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Verified success rate of every remediation per alarm type, worst first
+app.get('/remediations/success-rates', EnterpriseSecurity.enforce('read:reports'), (req, res) => {
+  const { alarmType, provider } = req.query;
+  res.json({
+    minSamples: incidentHistory.minSamples,
+    minSuccessRate: incidentHistory.minSuccessRate,
+    rates: incidentHistory.successRates({ tenant: req.auditContext.tenant, alarmType, provider })
+  });
+});
+
+// ===== AUDIT TRAIL =====
+// Entries are scoped to the caller's tenant; verification always covers the whole chain
+app.get('/audit', EnterpriseSecurity.enforce('read:audit'), (req, res) => {
+  const { actor, event, resource } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+  const since = req.query.since ? new Date(req.query.since).getTime() : undefined;
+  if (Number.isNaN(since)) return res.status(400).json({ error: 'since must be an ISO date' });
+  res.json(auditLogger.query({ tenant: req.auditContext.tenant, actor, event, resource, since, limit }));
+});
+
+app.get('/audit/verify', EnterpriseSecurity.enforce('read:audit'), (req, res) => {
+  const result = auditLogger.verify();
+  if (!result.valid) {
+    pushEvent({ source: 'Compliance', type: 'audit.tampered', detail: `Audit chain broken at entry ${result.tamperedAt}: ${result.reason}` });
+  }
+  res.json({ ...result, verifiedAt: new Date().toISOString() });
+});
+
 // Admin Reset
+// The audit trail is append-only and deliberately survives a reset
 app.post('/reset', EnterpriseSecurity.enforce('system:reset'), (req, res) => {
-  events.length = 0;
-  pushEvent({ source: 'Admin', type: 'system.reset', detail: 'Audit log cleared' });
+  const cleared = eventStore.all().length;
+  eventStore.clear();
+  auditLogger.log({
+    type: 'system.reset',
+    actor: req.auditContext.user,
+    resource: 'event-store',
+    action: 'system:reset',
+    result: 'success',
+    tenant: req.auditContext.tenant,
+    details: { clearedEvents: cleared, ip: req.ip }
+  });
+  pushEvent({ source: 'Admin', type: 'system.reset', detail: `Event stream cleared by ${req.auditContext.user}` });
   res.json({ status: 'reset_complete' });
 });
 
@@ -312,6 +765,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   `);
   
   pushEvent({ source: 'System', type: 'system.startup', detail: `AURA initialized on port ${PORT}` });
+  knowledgeBase.ensureLoaded();
   
   const serverPublicUrl = process.env.PUBLIC_URL; 
   if (serverPublicUrl && cdkConfig.snsTopicArn) {
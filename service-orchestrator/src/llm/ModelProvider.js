@@ -0,0 +1,144 @@
+// service-orchestrator/src/llm/ModelProvider.js
+// MODEL PROVIDER: Base class for every LLM backend (timeouts, retries with backoff, token accounting)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough count for backends that do not report usage (about 4 characters per token)
+const estimateTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+class ModelProvider {
+  static type = 'base';
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name] - Name in config/llm.json (defaults to the type)
+   * @param {string} [options.model]
+   * @param {number} [options.timeoutMs] - Per attempt, LLM_TIMEOUT_MS (default 30 s)
+   * @param {number} [options.retries] - Extra attempts after a retryable failure, LLM_RETRIES (default 2)
+   * @param {number} [options.retryDelayMs] - First backoff delay, doubled per attempt (default 500 ms)
+   * @param {function} [options.onUsage] - (usage record) after every call, successful or not
+   * @param {string} [options.embeddingModel] - Model for embed(); providers without one are not used for retrieval
+   */
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.type;
+    this.model = options.model || null;
+    this.timeoutMs = options.timeoutMs ?? Number(process.env.LLM_TIMEOUT_MS || 30000);
+    this.retries = options.retries ?? Number(process.env.LLM_RETRIES ?? 2);
+    this.retryDelayMs = options.retryDelayMs ?? 500;
+    this.onUsage = options.onUsage || null;
+    this.embeddingModel = options.embeddingModel || null;
+  }
+
+  /**
+   * @param {object} request - { prompt, system, maxTokens, temperature, tenant, incidentId }
+   * @returns {Promise<{ text, provider, model, usage: { inputTokens, outputTokens, estimated }, attempts, latencyMs }>}
+   */
+  async complete(request) {
+    const started = Date.now();
+    const { raw, attempts } = await this.withRetries(request, (signal) => this.invoke({ ...request, signal }));
+    const response = {
+      text: raw.text,
+      provider: this.name,
+      model: raw.model || this.model,
+      usage: {
+        inputTokens: raw.usage?.inputTokens ?? estimateTokens(`${request.system || ''}${request.prompt}`),
+        outputTokens: raw.usage?.outputTokens ?? estimateTokens(raw.text),
+        estimated: !raw.usage
+      },
+      attempts,
+      latencyMs: Date.now() - started
+    };
+    this.account(request, response);
+    return response;
+  }
+
+  /**
+   * Embedding vectors, one per text, from the provider's embedding model (KnowledgeBase retrieval).
+   * @param {string[]} texts
+   * @param {object} [request] - { tenant } for token accounting
+   * @returns {Promise<number[][]|null>} null when no embedding model is configured
+   */
+  async embed(texts, request = {}) {
+    if (!this.supportsEmbeddings()) return null;
+    const started = Date.now();
+    const { raw, attempts } = await this.withRetries(request, (signal) => this.invokeEmbed({ texts, signal }));
+    this.account(request, {
+      provider: this.name,
+      model: this.embeddingModel,
+      usage: { inputTokens: raw.usage?.inputTokens ?? estimateTokens(texts.join('')), outputTokens: 0, estimated: !raw.usage },
+      attempts,
+      latencyMs: Date.now() - started
+    });
+    return raw.vectors;
+  }
+
+  supportsEmbeddings() {
+    return !!this.embeddingModel && this.invokeEmbed !== ModelProvider.prototype.invokeEmbed;
+  }
+
+  // Timeout per attempt, exponential backoff between retryable failures; the last error is accounted and thrown
+  async withRetries(request, call) {
+    const started = Date.now();
+    let lastError = null;
+    let attempts = 0;
+
+    while (attempts <= this.retries) {
+      attempts++;
+      const controller = new AbortController();
+      let timer;
+      try {
+        const timeout = new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(Object.assign(new Error(`${this.name} timed out after ${this.timeoutMs}ms`), { retryable: true }));
+          }, this.timeoutMs);
+        });
+        const raw = await Promise.race([call(controller.signal), timeout]);
+        return { raw, attempts };
+      } catch (err) {
+        lastError = err;
+        if (err.retryable === false || attempts > this.retries) break;
+        console.warn(`[LLM] ${this.name} attempt ${attempts} failed: ${err.message}`);
+        await sleep(this.retryDelayMs * 2 ** (attempts - 1));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    this.account(request, { provider: this.name, model: this.model, error: lastError.message, attempts, latencyMs: Date.now() - started });
+    throw lastError;
+  }
+
+  account(request, response) {
+    if (!this.onUsage) return;
+    try {
+      this.onUsage({ tenant: request.tenant || null, incidentId: request.incidentId || null, ...response, text: undefined });
+    } catch (e) {
+      console.error('[LLM] Usage accounting failed:', e.message);
+    }
+  }
+
+  /**
+   * Backend call. Returns { text, usage?: { inputTokens, outputTokens }, model? }.
+   * Errors with `retryable: false` (bad request, auth) are not retried.
+   */
+  async invoke(request) {
+    throw new Error(`${this.constructor.type} provider does not implement invoke()`);
+  }
+
+  /**
+   * Backend embedding call. Returns { vectors: number[][], usage?: { inputTokens } }.
+   */
+  async invokeEmbed(request) {
+    throw new Error(`${this.constructor.type} provider does not implement invokeEmbed()`);
+  }
+
+  // Safe to publish (GET /llm): no keys or endpoints with credentials
+  describe() {
+    return { name: this.name, type: this.constructor.type, model: this.model, embeddingModel: this.embeddingModel, timeoutMs: this.timeoutMs, retries: this.retries };
+  }
+}
+
+ModelProvider.estimateTokens = estimateTokens;
+
+module.exports = ModelProvider;
@@ -0,0 +1,109 @@
+// service-orchestrator/src/llm/index.js
+// MODEL REGISTRY: Named LLM providers from config/llm.json, selected per tenant, with token accounting
+
+const fs = require('fs');
+const path = require('path');
+const SimulatedProvider = require('./providers/simulated');
+const RecordedProvider = require('./providers/recorded');
+const { OpenAIProvider, OpenAICompatibleProvider } = require('./providers/openai');
+const { BedrockRuntimeProvider, BedrockAgentProvider } = require('./providers/bedrock');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/llm.json');
+
+const TYPES = Object.fromEntries([
+  SimulatedProvider, RecordedProvider, OpenAIProvider, OpenAICompatibleProvider, BedrockRuntimeProvider, BedrockAgentProvider
+].map(Provider => [Provider.type, Provider]));
+
+// Available without a config file; config/llm.json entries with the same name replace them
+const BUILTIN_PROVIDERS = {
+  simulated: { type: 'simulated' },
+  openai: { type: 'openai' },
+  local: { type: 'openai-compatible' },
+  bedrock: { type: 'bedrock-runtime' },
+  'bedrock-agent': { type: 'bedrock-agent' },
+  recorded: { type: 'recorded' }
+};
+
+class ModelRegistry {
+  /**
+   * @param {object} config - { default, defaults: { timeoutMs, retries }, providers: { name: { type, model, ... } },
+   *   tenants: { tenantId: providerName } }
+   *   default: provider name, or 'auto' (OpenAI when OPENAI_API_KEY is set, else simulated). LLM_PROVIDER wins.
+   */
+  constructor(config = {}) {
+    this.defaults = config.defaults || {};
+    this.definitions = { ...BUILTIN_PROVIDERS, ...config.providers };
+    this.defaultProvider = process.env.LLM_PROVIDER || config.default || 'auto';
+    this.tenants = config.tenants || {};
+    this.instances = new Map();
+    this.usage = new Map(); // tenant|provider -> counters
+
+    for (const [name, definition] of Object.entries(this.definitions)) {
+      if (!TYPES[definition.type]) throw new Error(`LLM provider '${name}' has unknown type '${definition.type}' (known: ${Object.keys(TYPES).join(', ')})`);
+    }
+  }
+
+  static load(configPath = process.env.LLM_CONFIG_FILE || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) return new ModelRegistry();
+    const registry = new ModelRegistry(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+    console.log(`[LLM] ${Object.keys(registry.definitions).length} model providers, default '${registry.defaultProvider}'`);
+    return registry;
+  }
+
+  resolveName(tenant) {
+    const name = (tenant && this.tenants[tenant]) || this.defaultProvider;
+    if (name !== 'auto') return name;
+    return process.env.OPENAI_API_KEY ? 'openai' : 'simulated';
+  }
+
+  get(name) {
+    if (!this.instances.has(name)) {
+      const definition = this.definitions[name];
+      if (!definition) throw new Error(`Unknown LLM provider: ${name} (available: ${Object.keys(this.definitions).join(', ')})`);
+      const { type, delegate, ...options } = definition;
+      this.instances.set(name, new TYPES[type]({
+        ...this.defaults,
+        ...options,
+        name,
+        delegate: delegate ? this.get(delegate) : undefined,
+        onUsage: (record) => this.recordUsage(record)
+      }));
+    }
+    return this.instances.get(name);
+  }
+
+  forTenant(tenant) {
+    return this.get(this.resolveName(tenant));
+  }
+
+  recordUsage({ tenant, provider, usage, error }) {
+    const key = `${tenant || 'default'}|${provider}`;
+    const counters = this.usage.get(key) || { tenant: tenant || 'default', provider, requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, estimatedTokens: 0 };
+    counters.requests++;
+    if (error) {
+      counters.failures++;
+    } else {
+      counters.inputTokens += usage.inputTokens;
+      counters.outputTokens += usage.outputTokens;
+      if (usage.estimated) counters.estimatedTokens += usage.inputTokens + usage.outputTokens;
+    }
+    this.usage.set(key, counters);
+  }
+
+  usageFor(tenant) {
+    return [...this.usage.values()].filter(counters => !tenant || counters.tenant === tenant);
+  }
+
+  // Provider definitions without instantiating them (no SDK clients, no secrets)
+  list() {
+    return Object.entries(this.definitions).map(([name, { type, model }]) => ({
+      name,
+      type,
+      model: model || null
+    }));
+  }
+}
+
+module.exports = ModelRegistry.load();
+module.exports.ModelRegistry = ModelRegistry;
+module.exports.types = TYPES;
@@ -0,0 +1,120 @@
+// service-orchestrator/src/llm/providers/bedrock.js
+// BEDROCK: Foundation models through the Converse API, and Bedrock Agents (e.g. the Amazon Q agent)
+
+const { BedrockRuntimeClient, ConverseCommand, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const ModelProvider = require('../ModelProvider');
+
+// Throttling and service-side failures are worth retrying; validation and auth errors are not
+const isRetryable = (err) => err.$retryable != null || err.$metadata?.httpStatusCode >= 500 ||
+  ['ThrottlingException', 'ServiceUnavailableException', 'ModelNotReadyException', 'InternalServerException'].includes(err.name);
+
+class BedrockRuntimeProvider extends ModelProvider {
+  static type = 'bedrock-runtime';
+
+  constructor(options = {}) {
+    super({ model: 'anthropic.claude-3-haiku-20240307-v1:0', embeddingModel: 'amazon.titan-embed-text-v2:0', ...options });
+    this.region = options.region || process.env.AWS_REGION || 'us-east-1';
+    this.client = options.client || new BedrockRuntimeClient({ region: this.region });
+  }
+
+  async invoke({ prompt, system, maxTokens = 1024, temperature = 0, signal }) {
+    try {
+      const res = await this.client.send(new ConverseCommand({
+        modelId: this.model,
+        system: system ? [{ text: system }] : undefined,
+        messages: [{ role: 'user', content: [{ text: prompt }] }],
+        inferenceConfig: { maxTokens, temperature }
+      }), { abortSignal: signal });
+      return {
+        text: (res.output?.message?.content || []).map(part => part.text || '').join(''),
+        usage: res.usage ? { inputTokens: res.usage.inputTokens, outputTokens: res.usage.outputTokens } : undefined
+      };
+    } catch (err) {
+      err.retryable = isRetryable(err);
+      throw err;
+    }
+  }
+
+  // Titan embeddings take one text per request
+  async invokeEmbed({ texts, signal }) {
+    try {
+      const vectors = [];
+      let inputTokens = 0;
+      for (const text of texts) {
+        const res = await this.client.send(new InvokeModelCommand({
+          modelId: this.embeddingModel,
+          contentType: 'application/json',
+          accept: 'application/json',
+          body: JSON.stringify({ inputText: text })
+        }), { abortSignal: signal });
+        const body = JSON.parse(Buffer.from(res.body).toString('utf8'));
+        vectors.push(body.embedding);
+        inputTokens += body.inputTextTokenCount || 0;
+      }
+      return { vectors, usage: { inputTokens } };
+    } catch (err) {
+      err.retryable = isRetryable(err);
+      throw err;
+    }
+  }
+
+  describe() {
+    return { ...super.describe(), region: this.region };
+  }
+}
+
+class BedrockAgentProvider extends ModelProvider {
+  static type = 'bedrock-agent';
+
+  /**
+   * @param {object} options - ModelProvider options plus agentId / agentAliasId
+   *   (default AMAZON_Q_AGENT_ID / AMAZON_Q_AGENT_ALIAS_ID)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.region = options.region || process.env.AWS_REGION || 'us-east-1';
+    this.agentId = options.agentId || process.env[options.agentIdEnv || 'AMAZON_Q_AGENT_ID'];
+    this.agentAliasId = options.agentAliasId || process.env[options.agentAliasIdEnv || 'AMAZON_Q_AGENT_ALIAS_ID'];
+    this.client = options.client || null;
+    this.model = this.model || (this.agentId ? `agent/${this.agentId}` : null);
+  }
+
+  // The agent runtime SDK is only needed when this provider is actually used
+  getClient() {
+    if (!this.client) {
+      const { BedrockAgentRuntimeClient } = require('@aws-sdk/client-bedrock-agent-runtime');
+      this.client = new BedrockAgentRuntimeClient({ region: this.region });
+    }
+    return this.client;
+  }
+
+  async invoke({ prompt, system, incidentId, signal }) {
+    if (!this.agentId || !this.agentAliasId) {
+      throw Object.assign(new Error('Bedrock agent id / alias id not configured (AMAZON_Q_AGENT_ID, AMAZON_Q_AGENT_ALIAS_ID)'), { retryable: false });
+    }
+    const { InvokeAgentCommand } = require('@aws-sdk/client-bedrock-agent-runtime');
+    try {
+      const response = await this.getClient().send(new InvokeAgentCommand({
+        agentId: this.agentId,
+        agentAliasId: this.agentAliasId,
+        sessionId: incidentId ? `incident-${incidentId}` : `incident-${Date.now()}`,
+        inputText: system ? `${system}\n\n${prompt}` : prompt
+      }), { abortSignal: signal });
+
+      let text = '';
+      for await (const chunk of response.completion) {
+        if (chunk.chunk?.bytes) text += new TextDecoder().decode(chunk.chunk.bytes);
+      }
+      return { text }; // Agents do not report token usage
+    } catch (err) {
+      err.retryable = isRetryable(err);
+      throw err;
+    }
+  }
+
+  describe() {
+    return { ...super.describe(), region: this.region, agentConfigured: !!(this.agentId && this.agentAliasId) };
+  }
+}
+
+module.exports = { BedrockRuntimeProvider, BedrockAgentProvider };
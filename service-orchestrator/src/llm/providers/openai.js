@@ -0,0 +1,72 @@
+// service-orchestrator/src/llm/providers/openai.js
+// OPENAI: Chat Completions API, also used for OpenAI-compatible local servers (Ollama, vLLM, LM Studio)
+
+const ModelProvider = require('../ModelProvider');
+
+class OpenAIProvider extends ModelProvider {
+  static type = 'openai';
+
+  /**
+   * @param {object} options - ModelProvider options plus
+   *   baseUrl: API root (default https://api.openai.com/v1)
+   *   apiKey / apiKeyEnv: key, or the env var holding it (default OPENAI_API_KEY)
+   *   embeddingModel: model for /embeddings (default text-embedding-3-small)
+   */
+  constructor(options = {}) {
+    super({ model: 'gpt-4o-mini', embeddingModel: 'text-embedding-3-small', ...options });
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env[options.apiKeyEnv || 'OPENAI_API_KEY'] || null;
+  }
+
+  async post(route, body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const res = await fetch(`${this.baseUrl}${route}`, { method: 'POST', headers, signal, body: JSON.stringify(body) });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      const err = new Error(`${this.name} returned ${res.status}: ${text.slice(0, 200)}`);
+      err.statusCode = res.status;
+      err.retryable = res.status === 429 || res.status >= 500;
+      throw err;
+    }
+    return res.json();
+  }
+
+  async invoke({ prompt, system, maxTokens = 1024, temperature = 0, signal }) {
+    const data = await this.post('/chat/completions', {
+      model: this.model,
+      messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature
+    }, signal);
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model,
+      usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : undefined
+    };
+  }
+
+  async invokeEmbed({ texts, signal }) {
+    const data = await this.post('/embeddings', { model: this.embeddingModel, input: texts }, signal);
+    return {
+      vectors: [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      usage: data.usage ? { inputTokens: data.usage.prompt_tokens } : undefined
+    };
+  }
+
+  describe() {
+    return { ...super.describe(), baseUrl: this.baseUrl };
+  }
+}
+
+// Local servers speak the same API but need no key; embeddings only with an explicitly configured model
+class OpenAICompatibleProvider extends OpenAIProvider {
+  static type = 'openai-compatible';
+
+  constructor(options = {}) {
+    super({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', apiKeyEnv: 'LOCAL_LLM_API_KEY', embeddingModel: null, ...options });
+  }
+}
+
+module.exports = { OpenAIProvider, OpenAICompatibleProvider };
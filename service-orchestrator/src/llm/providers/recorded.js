@@ -0,0 +1,63 @@
+// service-orchestrator/src/llm/providers/recorded.js
+// RECORDED: Deterministic replay of stored model responses (tests, demos, regression runs)
+
+const fs = require('fs');
+const crypto = require('crypto');
+const ModelProvider = require('../ModelProvider');
+
+const promptKey = ({ system, prompt }) => crypto.createHash('sha256').update(`${system || ''}\n${prompt}`).digest('hex');
+
+class RecordedProvider extends ModelProvider {
+  static type = 'recorded';
+
+  /**
+   * Recording file (LLM_RECORDINGS_FILE):
+   *   { "recordings": [{ "key"?: sha256(system + "\n" + prompt), "match"?: "substring", "text": "...", "usage"?: {...} }],
+   *     "default"?: "..." }
+   * Lookup order: exact key, first `match` contained in the prompt, then `default`. No hit is an error.
+   *
+   * @param {object} options - ModelProvider options plus
+   *   file: recording file; recordings: inline list (instead of a file)
+   *   delegate: provider whose answers are appended to `file` (record mode)
+   */
+  constructor(options = {}) {
+    super({ model: 'recorded', retries: 0, ...options });
+    this.file = options.file || process.env.LLM_RECORDINGS_FILE || null;
+    this.delegate = options.delegate || null;
+    const stored = options.recordings
+      ? { recordings: options.recordings, default: options.default }
+      : this.load();
+    this.recordings = stored.recordings || [];
+    this.fallback = stored.default ?? null;
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return {};
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  async invoke(request) {
+    const key = promptKey(request);
+    const hit = this.recordings.find(r => r.key === key) ||
+      this.recordings.find(r => r.match && request.prompt.includes(r.match));
+    if (hit) return { text: hit.text, usage: hit.usage };
+
+    if (this.delegate) {
+      const response = await this.delegate.complete(request);
+      this.recordings.push({ key, text: response.text, usage: response.usage });
+      if (this.file) fs.writeFileSync(this.file, JSON.stringify({ recordings: this.recordings, default: this.fallback ?? undefined }, null, 2));
+      return { text: response.text, usage: response.usage };
+    }
+    if (this.fallback != null) return { text: this.fallback };
+
+    throw Object.assign(new Error(`No recorded response for prompt ${key.slice(0, 12)}`), { retryable: false });
+  }
+
+  describe() {
+    return { ...super.describe(), recordings: this.recordings.length, recording: !!this.delegate };
+  }
+}
+
+RecordedProvider.promptKey = promptKey;
+
+module.exports = RecordedProvider;
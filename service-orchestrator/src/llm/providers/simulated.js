@@ -0,0 +1,29 @@
+// service-orchestrator/src/llm/providers/simulated.js
+// SIMULATED: Offline demo brain (no credentials needed), always proposes scaling out
+
+const ModelProvider = require('../ModelProvider');
+
+class SimulatedProvider extends ModelProvider {
+  static type = 'simulated';
+
+  constructor(options = {}) {
+    super({ model: 'simulated-brain', ...options });
+    this.delayMs = options.delayMs ?? 1000;
+  }
+
+  async invoke() {
+    console.log("🤖 [SimulatedBrain] Generating plan...");
+    await new Promise(r => setTimeout(r, this.delayMs));
+    return {
+      text: JSON.stringify({
+        action: "SCALE_UP",
+        resourceId: "primary-cluster",
+        confidence: 0.99,
+        citations: ["SOP-004"],
+        rationale: "Identified CPU spike in CloudWatch logs. Scaling ASG."
+      })
+    };
+  }
+}
+
+module.exports = SimulatedProvider;
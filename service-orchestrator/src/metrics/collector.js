@@ -3,14 +3,18 @@ const { CloudWatchClient, GetMetricStatisticsCommand } =
   require('@aws-sdk/client-cloudwatch');
 
 class MetricsCollector {
-  constructor() {
-    this.client = new CloudWatchClient({ region: 'us-east-1' });
+  constructor(options = {}) {
+    this.client = options.client || new CloudWatchClient({ region: options.region || process.env.AWS_REGION || 'us-east-1' });
   }
   
-  async collectLambdaMetrics(functionName) {
+  /**
+   * Health of a Lambda function over a window (default: the last hour in 5 minute periods).
+   * Verification passes short windows right after a remediation, so period shrinks with them.
+   */
+  async collectLambdaMetrics(functionName, { startTime, endTime = new Date(), period } = {}) {
     const metrics = ['Invocations', 'Errors', 'Duration', 'Throttles'];
-    const endTime = new Date();
-    const startTime = new Date(endTime - 3600000); // Last hour
+    startTime = startTime || new Date(endTime - 3600000); // Last hour
+    period = period || ((endTime - startTime) >= 3600000 ? 300 : 60);
     
     const results = await Promise.all(
       metrics.map(async (metric) => {
@@ -22,7 +26,7 @@ class MetricsCollector {
           ],
           StartTime: startTime,
           EndTime: endTime,
-          Period: 300, // 5 minute intervals
+          Period: period,
           Statistics: ['Average', 'Sum', 'Maximum']
         });
         
@@ -36,13 +40,18 @@ class MetricsCollector {
   
   calculateHealthScore(metrics) {
     // Weighted scoring: Errors (40%), Duration (30%), Throttles (30%)
-    const errors = metrics.find(m => m.metric === 'Errors').data;
-    const duration = metrics.find(m => m.metric === 'Duration').data;
-    const throttles = metrics.find(m => m.metric === 'Throttles').data;
-    
-    const errorRate = errors.reduce((sum, d) => sum + d.Sum, 0);
-    const avgDuration = duration.reduce((sum, d) => sum + d.Average, 0) / duration.length;
-    const throttleRate = throttles.reduce((sum, d) => sum + d.Sum, 0);
+    const total = (name) => (metrics.find(m => m.metric === name)?.data || []).reduce((sum, d) => sum + d.Sum, 0);
+    const duration = metrics.find(m => m.metric === 'Duration').data || [];
+
+    // Rates, not window sums: an hour-long baseline and a two-minute verification sample must be comparable
+    const invocations = total('Invocations');
+    const errors = total('Errors');
+    const throttles = total('Throttles');
+    const errorRate = invocations ? (errors / invocations) * 100 : 0; // % of invocations
+    const avgDuration = duration.length ? duration.reduce((sum, d) => sum + d.Average, 0) / duration.length : 0;
+    const throttleRate = (invocations + throttles) ? (throttles / (invocations + throttles)) * 100 : 0; // % of requests
+    // No datapoints at all means no traffic in the window, which says nothing about health
+    const datapoints = metrics.reduce((sum, m) => sum + (m.data || []).length, 0);
     
     const healthScore = 100 - (
       (errorRate * 0.4) +
@@ -53,7 +62,11 @@ class MetricsCollector {
     return {
       score: Math.max(0, Math.min(100, healthScore)),
       status: healthScore > 90 ? 'healthy' : healthScore > 70 ? 'degraded' : 'critical',
-      metrics: { errorRate, avgDuration, throttleRate }
+      metrics: { errorRate, avgDuration, throttleRate, invocations, errors, throttles },
+      datapoints
     };
   }
 }
+
+module.exports = MetricsCollector;
+
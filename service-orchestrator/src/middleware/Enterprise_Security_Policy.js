@@ -2,14 +2,25 @@
   PURPOSE: RBAC, PII Redaction, and "Tools Picker" Security
 */
 
+const fs = require('fs');
+const path = require('path');
 const { redact } = require('./piiRedactor'); // Assumes your existing redactor is here
+const JwtVerifier = require('./jwtVerifier');
+const auditLogger = require('../audit/logger');
 
-// 1. Role-Based Access Control Matrix
-const PERMISSIONS = {
-  'viewer': ['read:events', 'read:reports'],
-  'operator': ['read:events', 'read:reports', 'action:approve', 'action:deny'],
-  'admin': ['*', 'system:reset', 'config:edit'],
-  'system_agent': ['read:logs', 'write:cloudwatch', 'write:lambda'] // The AI's scope
+// 1. Role-Based Access Control Matrix (defaults; config/security.json or AURA_SECURITY_CONFIG overrides)
+const DEFAULT_POLICY = {
+  permissions: {
+    'viewer': ['read:events', 'read:reports'],
+    'operator': ['read:events', 'read:reports', 'action:approve', 'action:deny', 'incident:transition', 'incident:revert', 'runbook:execute', 'governor:pause', 'notifications:test'],
+    'admin': ['*', 'system:reset', 'config:edit'],
+    'auditor': ['read:audit', 'read:reports'],
+    'system_agent': ['read:logs', 'write:cloudwatch', 'write:lambda'] // The AI's scope
+  },
+  // Where identity lives in the token (dot paths allowed, e.g. "realm_access.roles")
+  claims: { user: 'sub', role: 'roles', tenant: 'tenant_id' },
+  // IdP group/role name -> AURA role
+  roleMapping: {}
 };
 
 // 2. Sensitive Action Governance
@@ -19,31 +30,146 @@ const BLOCKED_ACTIONS = [
   'DeleteBucket'
 ];
 
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/security.json');
+
+const claimAt = (claims, claimPath) =>
+  String(claimPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+const asList = (value) => (value == null ? [] : Array.isArray(value) ? value : String(value).split(/[\s,]+/)).filter(Boolean);
+
 class EnterpriseSecurity {
-  
+
+  static loadPolicy(configPath = process.env.AURA_SECURITY_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+      console.warn(`[Security] No policy file at ${configPath}, using built-in permissions`);
+      return DEFAULT_POLICY;
+    }
+    const fromFile = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return {
+      permissions: fromFile.permissions || DEFAULT_POLICY.permissions,
+      claims: { ...DEFAULT_POLICY.claims, ...fromFile.claims },
+      roleMapping: fromFile.roleMapping || {}
+    };
+  }
+
+  /**
+   * Replaces the active policy / verifier. Called lazily from env on first use;
+   * call it directly to inject a verifier or policy object.
+   * AUTH_MODE=header restores the old trust-the-headers behaviour for local demos only.
+   */
+  static configure(options = {}) {
+    EnterpriseSecurity.mode = (options.mode || process.env.AUTH_MODE || 'jwt').toLowerCase();
+    EnterpriseSecurity.policy = options.policy || EnterpriseSecurity.loadPolicy(options.configPath);
+    EnterpriseSecurity.verifier = options.verifier || new JwtVerifier({
+      secret: process.env.AUTH_JWT_SECRET,
+      jwksPath: process.env.AUTH_JWKS_FILE,
+      issuer: process.env.AUTH_ISSUER,
+      audience: process.env.AUTH_AUDIENCE
+    });
+
+    if (EnterpriseSecurity.mode === 'header') {
+      console.warn('[Security] ⚠️ AUTH_MODE=header: X-Role/X-Tenant-ID are trusted as sent. Never run this in production.');
+    }
+    return EnterpriseSecurity;
+  }
+
+  static permissionsFor(roles) {
+    const matrix = EnterpriseSecurity.policy.permissions;
+    return roles.flatMap(role => matrix[role] || []);
+  }
+
+  // Maps IdP role/group names onto AURA roles; names already in the matrix pass through
+  static rolesFromClaims(claims) {
+    const { claims: paths, roleMapping, permissions } = EnterpriseSecurity.policy;
+    const mapped = asList(claimAt(claims, paths.role))
+      .map(value => roleMapping[value] || (permissions[value] ? value : null))
+      .filter(Boolean);
+    return [...new Set(mapped)];
+  }
+
+  /**
+   * Resolves the caller identity or throws (-> 401).
+   * A token may carry several tenants; X-Tenant-ID then picks one of them.
+   */
+  static authenticate(req) {
+    if (!EnterpriseSecurity.policy) EnterpriseSecurity.configure();
+
+    if (EnterpriseSecurity.mode === 'header') {
+      const role = req.headers['x-role'] || 'operator';
+      const tenant = req.headers['x-tenant-id'];
+      if (!tenant) throw new Error('Missing X-Tenant-ID');
+      return { user: req.headers['x-user-id'] || 'anonymous', roles: [role], tenant, method: 'header' };
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (!/^Bearer$/i.test(scheme) || !token) throw new Error('Missing bearer token');
+
+    const claims = EnterpriseSecurity.verifier.verify(token);
+    const paths = EnterpriseSecurity.policy.claims;
+
+    const user = claimAt(claims, paths.user);
+    if (!user) throw new Error(`Token has no ${paths.user} claim`);
+
+    const tenants = asList(claimAt(claims, paths.tenant));
+    const requested = req.headers['x-tenant-id'];
+    if (!tenants.length) throw new Error(`Token has no ${paths.tenant} claim`);
+    if (requested && !tenants.includes(requested)) throw new Error(`Token is not valid for tenant ${requested}`);
+    if (!requested && tenants.length > 1) throw new Error('Token covers several tenants, set X-Tenant-ID');
+
+    return {
+      user: String(user),
+      roles: EnterpriseSecurity.rolesFromClaims(claims),
+      tenant: requested || tenants[0],
+      method: claims.iss ? `jwt:${claims.iss}` : 'jwt'
+    };
+  }
+
+  // Every failed request is recorded; successful ones only for state-changing permissions (reads would flood the chain)
+  static audit(req, requiredPerm, result, identity = {}, details = {}) {
+    if (result === 'granted' && requiredPerm.startsWith('read:')) return;
+    try {
+      auditLogger.log({
+        type: result === 'granted' ? 'access.granted' : result === 'denied' ? 'access.denied' : 'auth.failed',
+        actor: identity.user || 'anonymous',
+        resource: `${req.method} ${req.path}`,
+        action: requiredPerm,
+        result,
+        tenant: identity.tenant || null,
+        details: { roles: identity.roles, authMethod: identity.method, ip: req.ip, requestId: req.requestId, ...details }
+      });
+    } catch (e) {
+      console.error('[Security] Audit write failed:', e.message);
+    }
+  }
+
   static enforce(requiredPerm) {
     return (req, res, next) => {
-      // Stub: In real world, decode JWT from req.headers.authorization
-      const userRole = req.headers['x-role'] || 'operator'; 
-      const tenantId = req.headers['x-tenant-id'];
-
-      if (!tenantId) {
-        return res.status(401).json({ error: 'Security: Missing X-Tenant-ID' });
+      let identity;
+      try {
+        identity = EnterpriseSecurity.authenticate(req);
+      } catch (err) {
+        console.warn(`[Security] Authentication failed for ${req.method} ${req.path}: ${err.message}`);
+        EnterpriseSecurity.audit(req, requiredPerm, 'unauthenticated', {}, { reason: err.message });
+        return res.status(401).json({ error: `Security: ${err.message}` });
       }
 
-      const userPerms = PERMISSIONS[userRole] || [];
+      const userPerms = EnterpriseSecurity.permissionsFor(identity.roles);
       const hasPerm = userPerms.includes('*') || userPerms.includes(requiredPerm);
 
       if (!hasPerm) {
-        console.warn(`[Security] Blocked access to ${requiredPerm} for ${userRole}`);
+        console.warn(`[Security] Blocked access to ${requiredPerm} for ${identity.user} (${identity.roles.join(',') || 'no role'})`);
+        EnterpriseSecurity.audit(req, requiredPerm, 'denied', identity);
         return res.status(403).json({ error: 'Access Denied: Insufficient Privileges' });
       }
+      EnterpriseSecurity.audit(req, requiredPerm, 'granted', identity);
 
-      // Add audit context
+      // Add audit context (identity comes from the verified token, never from free-form headers)
       req.auditContext = {
-        user: req.headers['x-user-id'] || 'anonymous',
-        role: userRole,
-        tenant: tenantId,
+        user: identity.user,
+        role: identity.roles[0] || null,
+        roles: identity.roles,
+        tenant: identity.tenant,
+        authMethod: identity.method,
         ip: req.ip
       };
 
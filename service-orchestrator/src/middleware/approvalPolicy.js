@@ -0,0 +1,82 @@
+// service-orchestrator/src/middleware/approvalPolicy.js
+// CHANGE CONTROL: Declarative approval policies (quorum, eligible roles, separation of duties)
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/approval-policies.json');
+
+const BUILTIN_DEFAULT = {
+  requiredApprovals: 1,
+  eligibleRoles: ['operator', 'admin'],
+  allowSelfApproval: true
+};
+
+// Glob-style match: '*' matches any run of characters, comparison is case-insensitive
+const globToRegex = (pattern) =>
+  new RegExp(`^${String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+class ApprovalPolicy {
+  /**
+   * @param {object} config - { default: {...}, policies: [{ name, match: { action, provider, environment }, ... }] }
+   *   Policies are evaluated in order; the first whose every `match` field matches wins.
+   */
+  constructor(config = {}) {
+    this.defaultPolicy = { name: 'default', ...BUILTIN_DEFAULT, ...config.default };
+    this.policies = (config.policies || []).map((policy, i) => ({
+      ...BUILTIN_DEFAULT,
+      ...policy,
+      name: policy.name || `policy-${i + 1}`,
+      matchers: Object.entries(policy.match || {}).map(([field, patterns]) =>
+        [field, [].concat(patterns).map(globToRegex)])
+    }));
+  }
+
+  static load(configPath = process.env.HITL_POLICY_FILE || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+      console.warn(`[HITL] No approval policy file at ${configPath}, every action needs one approver`);
+      return new ApprovalPolicy();
+    }
+    const policy = new ApprovalPolicy(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+    console.log(`[HITL] Loaded ${policy.policies.length} approval policies from ${configPath}`);
+    return policy;
+  }
+
+  /**
+   * Returns the policy for a pending action as a plain object (it is stored on the approval record).
+   * @param {object} subject - { action, provider, environment }
+   */
+  resolve(subject) {
+    const match = this.policies.find(policy =>
+      policy.matchers.every(([field, patterns]) => patterns.some(re => re.test(String(subject[field] ?? '')))));
+    const { matchers, match: criteria, ...policy } = match || this.defaultPolicy;
+    return {
+      name: policy.name,
+      requiredApprovals: Math.max(1, Number(policy.requiredApprovals) || 1),
+      eligibleRoles: policy.eligibleRoles,
+      allowSelfApproval: policy.allowSelfApproval !== false
+    };
+  }
+
+  /**
+   * Separation-of-duties check for one approver. Returns { allowed, reason }.
+   * Denials are not a vote: any eligible role may veto, including the requester withdrawing a request.
+   */
+  static check(approval, { actor, roles = [] }, decision = 'approve') {
+    const { policy } = approval;
+    if (!roles.some(role => policy.eligibleRoles.includes(role))) {
+      return { allowed: false, reason: `Policy '${policy.name}' requires one of roles: ${policy.eligibleRoles.join(', ')}` };
+    }
+    if (decision === 'deny') return { allowed: true };
+    if (!policy.allowSelfApproval && actor === approval.requestedBy) {
+      return { allowed: false, reason: `Policy '${policy.name}' forbids approving your own request` };
+    }
+    if (approval.approvals.some(vote => vote.actor === actor)) {
+      return { allowed: false, reason: `${actor} has already approved this request` };
+    }
+    return { allowed: true };
+  }
+}
+
+module.exports = ApprovalPolicy;
+module.exports.globToRegex = globToRegex;
@@ -1,64 +1,319 @@
 // service-orchestrator/src/middleware/hitlController.js
-// HUMAN-IN-THE-LOOP CONTROLLER
+// HUMAN-IN-THE-LOOP CONTROLLER: approval queue, operator decisions and timeout/escalation policy
+
+const EnterpriseSecurity = require('./Enterprise_Security_Policy');
+const ApprovalPolicy = require('./approvalPolicy');
+const providerRegistry = require('../providers/registry');
+const defaultAuditLogger = require('../audit/logger');
+
+const TIMEOUT_POLICIES = ['deny', 'approve', 'escalate'];
+const MAX_DECIDED = 500; // Decided approvals kept for GET /approvals history
+
+// Policies an auto-approval would defeat: more than one approver, or the requester may not approve
+const isChangeControl = (policy) => policy.requiredApprovals > 1 || !policy.allowSelfApproval;
 
 class HITLController {
-  constructor() {
+  /**
+   * @param {object} context
+   * @param {function} [context.pushEvent]
+   * @param {object} [context.auditLogger] - AuditLogger receiving every decision (default: shared trail)
+   * @param {number} [context.timeoutMs] - HITL_TIMEOUT_MS, default 5 minutes
+   * @param {string} [context.timeoutPolicy] - HITL_TIMEOUT_POLICY: deny | approve | escalate
+   * @param {number} [context.maxEscalations] - HITL_MAX_ESCALATIONS, escalation rounds before the final deny
+   * @param {ApprovalPolicy} [context.policy] - Quorum / separation-of-duties rules (HITL_POLICY_FILE)
+   */
+  constructor(context = {}) {
+    this.pushEvent = context.pushEvent || (() => {});
+    this.auditLogger = context.auditLogger || defaultAuditLogger;
     this.pendingApprovals = new Map();
+    this.waiters = new Map(); // approvalId -> { resolve, timer }
     this.mode = process.env.HITL_MODE || 'autonomous'; // 'autonomous' or 'copilot'
-    console.log(`[HITL] Controller initialized in '${this.mode}' mode.`);
+    this.timeoutMs = context.timeoutMs || Number(process.env.HITL_TIMEOUT_MS) || 300000;
+    this.timeoutPolicy = (context.timeoutPolicy || process.env.HITL_TIMEOUT_POLICY || 'deny').toLowerCase();
+    this.maxEscalations = context.maxEscalations ?? (Number(process.env.HITL_MAX_ESCALATIONS) || 1);
+    this.policy = context.policy || ApprovalPolicy.load();
+
+    if (!TIMEOUT_POLICIES.includes(this.timeoutPolicy)) {
+      console.warn(`[HITL] Unknown timeout policy '${this.timeoutPolicy}', falling back to 'deny'`);
+      this.timeoutPolicy = 'deny';
+    }
+    console.log(`[HITL] Controller initialized in '${this.mode}' mode (timeout ${this.timeoutMs}ms -> ${this.timeoutPolicy}).`);
   }
 
-  async requestApproval(incidentId, remediationPlan) {
-    console.log(`[HITL] Requesting approval for ${incidentId}: ${remediationPlan}`);
-    
-    if (this.mode === 'autonomous') {
+  /**
+   * Resolves once a human (or the timeout policy) decides.
+   * Result: { approved, auto, timeout?, approvalId?, approver?, approvers?, plan? } - `plan` is set when the operator modified it.
+   * provider/environment select the approval policy together with the plan action.
+   * requireHuman queues the request even in autonomous mode (e.g. the remediation governor hit a limit);
+   * reason tells the approver why. Change-control policies are never auto-approved either (see needsHuman).
+   */
+  async requestApproval(incidentId, remediationPlan, { tenant, requestedBy = 'system', provider, environment, requireHuman = false, reason = null } = {}) {
+    const plan = typeof remediationPlan === 'string' ? { action: remediationPlan } : { ...remediationPlan };
+    const policy = this.policyFor(plan, { provider, environment });
+    if (this.mode === 'autonomous' && !requireHuman && isChangeControl(policy)) {
+      reason = `Policy '${policy.name}' requires ${policy.requiredApprovals} approver(s)${policy.allowSelfApproval ? '' : ', no self-approval'}`;
+    }
+    console.log(`[HITL] Requesting approval for ${incidentId}: ${plan.action}`);
+    this.pushEvent({ source: 'HITL', type: 'hitl.requested', incidentId, tenant, detail: `Approval requested: ${plan.action}${reason ? ` (${reason})` : ''}` });
+
+    if (!this.needsHuman(plan, { provider, environment, requireHuman })) {
       // Auto-approve
       return { approved: true, auto: true };
     }
 
-    // Store pending approval
-    this.pendingApprovals.set(incidentId, {
-      plan: remediationPlan,
-      timestamp: Date.now(),
-      status: 'pending'
-    });
+    const approval = {
+      id: `APR-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      incidentId,
+      tenant,
+      action: plan.action,
+      plan,
+      provider: provider || plan.targetProvider || null,
+      environment: environment || null,
+      requestedBy,
+      reason,
+      requestedAt: new Date().toISOString(),
+      expiresAt: null,
+      timeoutPolicy: this.timeoutPolicy,
+      escalations: 0,
+      policy: null,
+      approvals: [], // Votes so far: { actor, role, at, comment }
+      remaining: 0,
+      status: 'pending',
+      decidedBy: null,
+      decidedAt: null,
+      comment: null
+    };
+    approval.policy = policy;
+    approval.remaining = approval.policy.requiredApprovals;
+    this.pendingApprovals.set(approval.id, approval);
+    if (isChangeControl(approval.policy)) {
+      console.log(`[HITL] Policy '${approval.policy.name}': ${approval.policy.requiredApprovals} approver(s), self-approval ${approval.policy.allowSelfApproval ? 'allowed' : 'forbidden'}`);
+    }
 
-    // Wait for human approval (with 5-minute timeout)
     return new Promise((resolve) => {
-      const checkInterval = setInterval(() => {
-        const approval = this.pendingApprovals.get(incidentId);
-        
-        if (!approval) return; // Already cleared
-        
-        if (approval.status === 'approved') {
-          clearInterval(checkInterval);
-          resolve({ approved: true, auto: false });
-        } else if (approval.status === 'denied') {
-          clearInterval(checkInterval);
-          resolve({ approved: false, auto: false });
-        } else if (Date.now() - approval.timestamp > 300000) {
-          // 5-minute timeout - auto-approve
-          clearInterval(checkInterval);
-          resolve({ approved: false, timeout: true });
-        }
-      }, 1000);
+      this.waiters.set(approval.id, { resolve, timer: null });
+      this.armTimeout(approval);
+    });
+  }
+
+  policyFor(plan, { provider, environment } = {}) {
+    return this.policy.resolve({ action: plan.action, provider: provider || plan.targetProvider || null, environment: environment || null });
+  }
+
+  /**
+   * Whether a request waits for a human: always outside autonomous mode or when the caller requires it, and in
+   * autonomous mode whenever the matching policy asks for a quorum or separation of duties.
+   */
+  needsHuman(remediationPlan, { provider, environment, requireHuman = false } = {}) {
+    if (this.mode !== 'autonomous' || requireHuman) return true;
+    const plan = typeof remediationPlan === 'string' ? { action: remediationPlan } : remediationPlan;
+    return isChangeControl(this.policyFor(plan, { provider, environment }));
+  }
+
+  armTimeout(approval) {
+    const waiter = this.waiters.get(approval.id);
+    approval.expiresAt = new Date(Date.now() + this.timeoutMs).toISOString();
+    waiter.timer = setTimeout(() => this.handleTimeout(approval.id), this.timeoutMs);
+    waiter.timer.unref?.();
+  }
+
+  handleTimeout(approvalId) {
+    const approval = this.pendingApprovals.get(approvalId);
+    if (!approval || approval.status !== 'pending') return;
+
+    if (approval.timeoutPolicy === 'escalate' && approval.escalations < this.maxEscalations) {
+      approval.escalations++;
+      console.warn(`[HITL] ⏰ No decision for ${approval.incidentId}, escalating (round ${approval.escalations})`);
+      this.pushEvent({
+        source: 'HITL', type: 'hitl.escalated', incidentId: approval.incidentId, tenant: approval.tenant,
+        detail: { approvalId, action: approval.action, round: approval.escalations, msg: 'Approval overdue, paging escalation contacts' }
+      });
+      this.audit(approval, 'hitl.escalated', 'system:timeout', 'escalated');
+      this.armTimeout(approval);
+      return;
+    }
+
+    // 'escalate' ends in a deny once every escalation round has expired.
+    // Auto-approval never overrides a change-control policy (quorum or separation of duties).
+    const { policy } = approval;
+    const approve = approval.timeoutPolicy === 'approve' && policy.requiredApprovals === 1 && policy.allowSelfApproval;
+    this.settle(approval, approve ? 'approved' : 'denied', {
+      actor: 'system:timeout',
+      comment: `Timed out (${approval.timeoutPolicy} policy)`
+    }, { timeout: true });
+  }
+
+  /**
+   * Records the decision, notifies the waiting pipeline and writes the audit trail.
+   */
+  settle(approval, status, { actor, comment } = {}, extra = {}) {
+    approval.status = status;
+    approval.decidedBy = actor || 'anonymous';
+    approval.decidedAt = new Date().toISOString();
+    approval.comment = comment || null;
+
+    const approved = status === 'approved';
+    const icon = approved ? '✅' : '❌';
+    const label = { approved: 'Approved', denied: 'Denied', cancelled: 'Cancelled' }[status];
+    console.log(`[HITL] ${icon} ${status} by ${approval.decidedBy}: ${approval.incidentId}`);
+    this.pushEvent({
+      source: 'HITL',
+      type: `hitl.${status}`,
+      incidentId: approval.incidentId,
+      tenant: approval.tenant,
+      detail: `${label}: ${approval.action} (by ${approval.decidedBy}${extra.timeout ? ', timeout' : ''})`
     });
+    this.audit(approval, `hitl.${status}`, approval.decidedBy, status);
+
+    const waiter = this.waiters.get(approval.id);
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.waiters.delete(approval.id);
+      waiter.resolve({
+        approved,
+        auto: false,
+        approvalId: approval.id,
+        approver: approval.decidedBy,
+        approvers: approval.approvals.map(vote => vote.actor),
+        ...(approval.modified ? { plan: approval.plan } : {}),
+        ...extra
+      });
+    }
+    this.trimHistory();
+    return approval;
+  }
+
+  /**
+   * Withdraws every pending approval of an incident that no longer needs remediation (e.g. its alarm cleared).
+   * Waiting pipelines get { approved: false, cancelled: true }.
+   */
+  cancel(incidentId, { actor = 'system', reason } = {}) {
+    return this.list({ status: 'pending' })
+      .filter(approval => approval.incidentId === incidentId)
+      .map(approval => this.settle(approval, 'cancelled', { actor, comment: reason }, { cancelled: true }));
+  }
+
+  audit(approval, type, actor, result) {
+    if (!this.auditLogger) return;
+    try {
+      this.auditLogger.log({
+        type,
+        actor,
+        resource: approval.incidentId,
+        action: approval.action,
+        result,
+        tenant: approval.tenant,
+        details: {
+          approvalId: approval.id,
+          policy: approval.policy.name,
+          approvers: approval.approvals.map(vote => vote.actor),
+          comment: approval.comment,
+          modified: !!approval.modified,
+          escalations: approval.escalations
+        }
+      });
+    } catch (e) {
+      console.error('[HITL] Audit write failed:', e.message);
+    }
+  }
+
+  trimHistory() {
+    const decided = [...this.pendingApprovals.values()].filter(a => a.status !== 'pending');
+    decided.slice(0, Math.max(0, decided.length - MAX_DECIDED)).forEach(a => this.pendingApprovals.delete(a.id));
+  }
+
+  // Accepts an approval id or, for older callers, the incident id of a pending approval
+  find(id) {
+    if (this.pendingApprovals.has(id)) return this.pendingApprovals.get(id);
+    return [...this.pendingApprovals.values()].find(a => a.incidentId === id && a.status === 'pending') || null;
+  }
+
+  list({ status, tenant } = {}) {
+    return [...this.pendingApprovals.values()]
+      .filter(a => (!status || a.status === status) && (!tenant || a.tenant === tenant))
+      .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
   }
 
-  approve(incidentId) {
-    const approval = this.pendingApprovals.get(incidentId);
-    if (approval) {
-      approval.status = 'approved';
-      console.log(`[HITL] ✅ Approved: ${incidentId}`);
+  pendingFor(id) {
+    const approval = this.find(id);
+    if (!approval) throw new Error(`Approval ${id} not found`);
+    if (approval.status !== 'pending') throw new Error(`Approval ${approval.id} is already ${approval.status}`);
+    return approval;
+  }
+
+  // { allowed, reason } for this approver under the approval's policy
+  canDecide(approval, who, decision = 'approve') {
+    return ApprovalPolicy.check(approval, who, decision);
+  }
+
+  assertAllowed(approval, who, decision) {
+    const { allowed, reason } = this.canDecide(approval, who, decision);
+    if (!allowed) throw new Error(reason);
+  }
+
+  /**
+   * Counts one vote; the approval only settles once the policy's quorum is reached.
+   */
+  vote(approval, { actor, roles = [], comment }) {
+    approval.approvals.push({
+      actor,
+      role: roles.find(role => approval.policy.eligibleRoles.includes(role)),
+      at: new Date().toISOString(),
+      comment: comment || null
+    });
+    approval.remaining = approval.policy.requiredApprovals - approval.approvals.length;
+
+    if (approval.remaining > 0) {
+      console.log(`[HITL] 🗳️ ${actor} approved ${approval.incidentId}, ${approval.remaining} more approval(s) needed`);
+      this.pushEvent({
+        source: 'HITL', type: 'hitl.vote', incidentId: approval.incidentId, tenant: approval.tenant,
+        detail: `${actor} approved ${approval.action} (${approval.approvals.length}/${approval.policy.requiredApprovals})`
+      });
+      this.audit(approval, 'hitl.vote', actor, 'approved');
+      return approval;
     }
+    return this.settle(approval, 'approved', { actor, comment });
+  }
+
+  approve(id, { actor, roles, comment } = {}) {
+    const approval = this.pendingFor(id);
+    this.assertAllowed(approval, { actor, roles }, 'approve');
+    return this.vote(approval, { actor, roles, comment });
   }
 
-  deny(incidentId) {
-    const approval = this.pendingApprovals.get(incidentId);
-    if (approval) {
-      approval.status = 'denied';
-      console.log(`[HITL] ❌ Denied: ${incidentId}`);
+  deny(id, { actor, roles, comment } = {}) {
+    const approval = this.pendingFor(id);
+    this.assertAllowed(approval, { actor, roles }, 'deny');
+    return this.settle(approval, 'denied', { actor, comment });
+  }
+
+  /**
+   * Approves with operator changes to the plan (e.g. a different action or parameters).
+   * The modified action goes through the same AI action veto as agent-generated plans.
+   * Earlier votes were cast for the old plan, so they are discarded and the modifier's vote starts a new round.
+   */
+  modify(id, changes = {}, { actor, roles, comment } = {}) {
+    const approval = this.pendingFor(id);
+    this.assertAllowed(approval, { actor, roles }, 'approve');
+    if (!changes || typeof changes !== 'object' || !Object.keys(changes).length) {
+      throw new Error('Modify requires a plan object with the changes');
     }
+    const plan = { ...approval.plan, ...changes };
+    if (!plan.action) throw new Error('Modified plan must keep an action');
+    EnterpriseSecurity.validateAiAction(plan.action, plan);
+    // The replacement must be a command the target provider actually supports, with valid parameters
+    providerRegistry.validate(approval.provider || plan.targetProvider || 'aws', plan.action, plan.parameters);
+    // A different action may fall under a stricter policy; the modifier must be allowed to approve under that one too
+    const policy = this.policy.resolve({ ...approval, action: plan.action });
+    this.assertAllowed({ ...approval, policy, approvals: [] }, { actor, roles }, 'approve');
+
+    approval.originalPlan = approval.plan;
+    approval.plan = plan;
+    approval.action = plan.action;
+    approval.modified = true;
+    approval.approvals = [];
+    approval.policy = policy;
+    return this.vote(approval, { actor, roles, comment: comment || `Modified plan: ${Object.keys(changes).join(', ')}` });
   }
 }
 
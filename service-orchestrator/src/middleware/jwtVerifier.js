@@ -0,0 +1,110 @@
+// service-orchestrator/src/middleware/jwtVerifier.js
+// TOKEN VERIFICATION: HS256 (shared secret) and RS256 (local JWKS file) bearer JWTs, no external calls
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+class JwtVerifier {
+  /**
+   * @param {object} options
+   * @param {string} [options.secret] - HS256 shared secret
+   * @param {string} [options.jwksPath] - Path to a JWKS document ({ keys: [...] }) with RSA signing keys
+   * @param {string} [options.issuer] - Expected `iss` claim
+   * @param {string} [options.audience] - Expected `aud` claim
+   * @param {number} [options.clockToleranceSec] - Allowed clock skew for exp/nbf
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || null;
+    this.jwksPath = options.jwksPath || null;
+    this.issuer = options.issuer || null;
+    this.audience = options.audience || null;
+    this.clockToleranceSec = options.clockToleranceSec ?? 60;
+    this.keys = new Map();
+    this.jwksMtime = 0;
+
+    if (!this.secret && !this.jwksPath) {
+      console.warn('[Security] ⚠️ No JWT secret or JWKS configured: every bearer token will be rejected');
+    }
+  }
+
+  // Re-reads the JWKS file whenever it changes on disk (key rotation without restarts)
+  loadJwks() {
+    const { mtimeMs } = fs.statSync(this.jwksPath);
+    if (mtimeMs === this.jwksMtime) return;
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(this.jwksPath, 'utf8'));
+    this.keys.clear();
+    keys
+      .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig') && (!jwk.alg || jwk.alg === 'RS256'))
+      .forEach((jwk, i) => this.keys.set(jwk.kid || `key-${i}`, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+    this.jwksMtime = mtimeMs;
+  }
+
+  getPublicKey(kid) {
+    if (!this.jwksPath) throw new Error('RS256 tokens are not accepted (no JWKS configured)');
+    this.loadJwks();
+    if (kid) {
+      if (!this.keys.has(kid)) throw new Error(`Unknown signing key: ${kid}`);
+      return this.keys.get(kid);
+    }
+    if (this.keys.size !== 1) throw new Error('Token has no kid and the JWKS holds more than one key');
+    return this.keys.values().next().value;
+  }
+
+  verifySignature(header, signingInput, signature) {
+    // The algorithm decides which key type is used, so an RS256 public key can never act as an HS256 secret
+    switch (header.alg) {
+      case 'HS256': {
+        if (!this.secret) throw new Error('HS256 tokens are not accepted (no shared secret configured)');
+        const expected = crypto.createHmac('sha256', this.secret).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+      }
+      case 'RS256':
+        return crypto.verify('RSA-SHA256', Buffer.from(signingInput), this.getPublicKey(header.kid), signature);
+      default:
+        throw new Error(`Unsupported token algorithm: ${header.alg}`);
+    }
+  }
+
+  /**
+   * Returns the token claims, or throws if the token is malformed, forged, expired or not for us.
+   */
+  verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw new Error('Malformed token');
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch (e) {
+      throw new Error('Malformed token');
+    }
+
+    if (!this.verifySignature(header, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'))) {
+      throw new Error('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now > claims.exp + this.clockToleranceSec) {
+      throw new Error('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - this.clockToleranceSec) {
+      throw new Error('Token not yet valid');
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new Error('Unexpected token issuer');
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.audience)) throw new Error('Unexpected token audience');
+    }
+
+    return claims;
+  }
+}
+
+module.exports = JwtVerifier;
@@ -0,0 +1,116 @@
+// service-orchestrator/src/middleware/snsVerifier.js
+// SNS MESSAGE AUTHENTICATION: Verifies AWS SNS signatures before a payload is trusted
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+
+// AWS only serves signing certificates from sns.<region>.amazonaws.com over HTTPS
+const CERT_HOST_PATTERN = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Canonical field order per message type (see AWS "Verifying the signatures of Amazon SNS messages")
+const SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const SIGNATURE_ALGORITHMS = { '1': 'RSA-SHA1', '2': 'RSA-SHA256' };
+
+/**
+ * Builds the newline-delimited string AWS signs for a given message.
+ * Exported so a local fake signer can produce valid signatures.
+ */
+function buildStringToSign(message) {
+  const fields = SIGNED_FIELDS[message.Type];
+  if (!fields) throw new Error(`Unsupported SNS message type: ${message.Type}`);
+
+  return fields
+    .filter(key => message[key] !== undefined && message[key] !== null)
+    .map(key => `${key}\n${message[key]}\n`)
+    .join('');
+}
+
+function downloadCertificate(certUrl) {
+  return new Promise((resolve, reject) => {
+    https.get(certUrl, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Certificate download failed (HTTP ${res.statusCode})`));
+      }
+      let pem = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { pem += chunk; });
+      res.on('end', () => resolve(pem));
+    }).on('error', reject);
+  });
+}
+
+class SnsVerifier {
+  /**
+   * @param {object} options
+   * @param {string} [options.topicArn] - Only accept messages from this topic. Required unless allowAnyTopic is set.
+   * @param {boolean} [options.allowAnyTopic] - SNS_ALLOW_ANY_TOPIC=true: accept any topic when none is configured.
+   *   Local demos only - any AWS account could otherwise publish alarms to this endpoint.
+   * @param {string} [options.certificatePath] - Local PEM (certificate or public key) used instead of
+   *   downloading SigningCertURL. Intended for local testing with a fake signer.
+   * @param {function} [options.fetchCertificate] - async (url) => pem, overrides the HTTPS download
+   */
+  constructor(options = {}) {
+    this.topicArn = options.topicArn || null;
+    this.allowAnyTopic = options.allowAnyTopic ?? process.env.SNS_ALLOW_ANY_TOPIC === 'true';
+    this.certificatePath = options.certificatePath || process.env.SNS_SIGNING_CERT_FILE || null;
+    this.fetchCertificate = options.fetchCertificate || downloadCertificate;
+    this.certCache = new Map();
+  }
+
+  async getCertificate(certUrl) {
+    if (this.certificatePath) {
+      return fs.readFileSync(this.certificatePath, 'utf8');
+    }
+
+    const url = new URL(certUrl);
+    if (url.protocol !== 'https:' || !CERT_HOST_PATTERN.test(url.hostname) || !url.pathname.endsWith('.pem')) {
+      throw new Error(`Untrusted SigningCertURL: ${certUrl}`);
+    }
+
+    if (!this.certCache.has(certUrl)) {
+      this.certCache.set(certUrl, await this.fetchCertificate(certUrl));
+    }
+    return this.certCache.get(certUrl);
+  }
+
+  /**
+   * Throws if the message is malformed, from an unexpected topic, or not signed by SNS.
+   */
+  async verify(message) {
+    if (!message || typeof message !== 'object') {
+      throw new Error('SNS payload is not a JSON object');
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[String(message.SignatureVersion)];
+    if (!algorithm) {
+      throw new Error(`Unsupported SignatureVersion: ${message.SignatureVersion}`);
+    }
+    if (!message.Signature || (!message.SigningCertURL && !this.certificatePath)) {
+      throw new Error('SNS payload is missing signature fields');
+    }
+    if (!this.topicArn && !this.allowAnyTopic) {
+      throw new Error('No SNS topic configured (set SNS_TOPIC_ARN)');
+    }
+    if (this.topicArn && message.TopicArn !== this.topicArn) {
+      throw new Error(`Unexpected TopicArn: ${message.TopicArn}`);
+    }
+
+    const certificate = await this.getCertificate(message.SigningCertURL);
+    const verifier = crypto.createVerify(algorithm);
+    verifier.update(buildStringToSign(message), 'utf8');
+
+    if (!verifier.verify(certificate, message.Signature, 'base64')) {
+      throw new Error('SNS signature verification failed');
+    }
+    return true;
+  }
+}
+
+module.exports = { SnsVerifier, buildStringToSign };
@@ -0,0 +1,118 @@
+// service-orchestrator/src/notifications/NotificationChannel.js
+// NOTIFICATION CHANNEL: Base class for every destination (rendering, timeouts, retries with backoff, capture mode)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class NotificationChannel {
+  static type = 'base';
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name] - Name in config/notifications.json (defaults to the type)
+   * @param {number} [options.timeoutMs] - Per attempt, NOTIFY_TIMEOUT_MS (default 10 s)
+   * @param {number} [options.retries] - Extra attempts after a retryable failure, NOTIFY_RETRIES (default 3)
+   * @param {number} [options.retryDelayMs] - First backoff delay, doubled per attempt (default 1 s)
+   * @param {function} [options.capture] - When set, rendered payloads go here instead of over the network
+   */
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.type;
+    this.timeoutMs = options.timeoutMs ?? Number(process.env.NOTIFY_TIMEOUT_MS || 10000);
+    this.retries = options.retries ?? Number(process.env.NOTIFY_RETRIES ?? 3);
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.capture = options.capture || null;
+  }
+
+  /**
+   * Renders and sends one message.
+   * @param {object} message - Built by the Notifier: { event, incidentId, tenant, title, summary, severity, provider, ... }
+   * @returns {Promise<{ status: 'sent'|'captured'|'skipped', attempts, reason? }>}
+   */
+  async deliver(message) {
+    const payload = this.render(message);
+    if (this.capture) {
+      this.capture({ channel: this.name, type: this.constructor.type, tenant: message.tenant, incidentId: message.incidentId, payload });
+      return { status: 'captured', attempts: 0 };
+    }
+    const missing = this.missingConfig();
+    if (missing) return { status: 'skipped', attempts: 0, reason: missing };
+
+    let attempts = 0;
+    while (true) {
+      attempts++;
+      const controller = new AbortController();
+      let timer;
+      try {
+        const timeout = new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(Object.assign(new Error(`${this.name} timed out after ${this.timeoutMs}ms`), { retryable: true }));
+          }, this.timeoutMs);
+        });
+        await Promise.race([this.send(payload, controller.signal), timeout]);
+        return { status: 'sent', attempts };
+      } catch (err) {
+        if (err.retryable === false || attempts > this.retries) {
+          err.attempts = attempts;
+          throw err;
+        }
+        console.warn(`[Notify] ${this.name} attempt ${attempts} failed: ${err.message}`);
+        await sleep(this.retryDelayMs * 2 ** (attempts - 1));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  // Label/value pairs every format shows next to the summary
+  facts(message) {
+    return [
+      ['Severity', message.severity],
+      ['Status', message.status],
+      ['Provider', message.provider],
+      ['Resource', message.resourceId],
+      ['Environment', message.environment],
+      ['Action', message.action],
+      ['Alarm', message.alarmName]
+    ].filter(([, value]) => value);
+  }
+
+  async postJson(url, body, signal, headers = {}) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      const err = new Error(`${this.name} returned ${res.status}: ${text.slice(0, 200)}`);
+      err.statusCode = res.status;
+      err.retryable = res.status === 429 || res.status >= 500;
+      throw err;
+    }
+    return res;
+  }
+
+  /**
+   * Channel-specific payload (Block Kit, Adaptive Card, email fields...).
+   */
+  render(message) {
+    throw new Error(`${this.constructor.type} channel does not implement render()`);
+  }
+
+  async send(payload, signal) {
+    throw new Error(`${this.constructor.type} channel does not implement send()`);
+  }
+
+  // Reason the channel cannot send (e.g. webhook URL env var unset), or null
+  missingConfig() {
+    return null;
+  }
+
+  // Safe to publish (GET /notifications): no URLs, keys or addresses
+  describe() {
+    return { name: this.name, type: this.constructor.type, configured: !this.missingConfig(), retries: this.retries, timeoutMs: this.timeoutMs };
+  }
+}
+
+module.exports = NotificationChannel;
@@ -0,0 +1,57 @@
+// service-orchestrator/src/notifications/channels/pagerduty.js
+// PAGERDUTY: Events API v2 (trigger / acknowledge / resolve, deduplicated on the incident id).
+// Any receiver speaking the same payload (Opsgenie, Grafana OnCall, ...) works with `url`.
+
+const WebhookChannel = require('./webhook');
+
+const SEVERITIES = { CRITICAL: 'critical', HIGH: 'error', MEDIUM: 'warning', LOW: 'info' };
+
+class PagerDutyChannel extends WebhookChannel {
+  static type = 'pagerduty';
+
+  /**
+   * @param {object} options - WebhookChannel options plus
+   *   routingKey / routingKeyEnv: integration key, or the env var holding it (default PAGERDUTY_ROUTING_KEY)
+   *   url defaults to https://events.pagerduty.com/v2/enqueue
+   */
+  constructor(options = {}) {
+    super({ url: 'https://events.pagerduty.com/v2/enqueue', ...options });
+    this.routingKeyEnv = options.routingKeyEnv || 'PAGERDUTY_ROUTING_KEY';
+    this.routingKey = options.routingKey || process.env[this.routingKeyEnv] || null;
+  }
+
+  eventAction(message) {
+    if (message.status === 'resolved') return 'resolve';
+    // A human is on it: stop paging, keep the alert open
+    if (message.status === 'remediating' && message.approver) return 'acknowledge';
+    return 'trigger';
+  }
+
+  render(message) {
+    const eventAction = this.eventAction(message);
+    const event = { routing_key: this.routingKey, event_action: eventAction, dedup_key: message.incidentId };
+    // Only triggers carry a payload
+    if (eventAction !== 'trigger') return event;
+    return {
+      ...event,
+      payload: {
+        summary: message.title.slice(0, 1024),
+        source: message.resourceId || message.provider || 'aura',
+        severity: SEVERITIES[message.severity] || 'warning',
+        timestamp: message.at,
+        component: message.resourceId || undefined,
+        group: message.provider || undefined,
+        class: message.alarmName || undefined,
+        custom_details: { summary: message.summary, tenant: message.tenant, environment: message.environment, status: message.status, action: message.action }
+      },
+      client: 'AURA Incident Commander',
+      ...(message.url ? { client_url: message.url, links: [{ href: message.url, text: `AURA ${message.incidentId}` }] } : {})
+    };
+  }
+
+  missingConfig() {
+    return this.routingKey ? super.missingConfig() : `No routing key (${this.routingKeyEnv} is not set)`;
+  }
+}
+
+module.exports = PagerDutyChannel;
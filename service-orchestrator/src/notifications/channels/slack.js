@@ -0,0 +1,24 @@
+// service-orchestrator/src/notifications/channels/slack.js
+// SLACK: Block Kit message through an incoming webhook
+
+const WebhookChannel = require('./webhook');
+
+class SlackChannel extends WebhookChannel {
+  static type = 'slack';
+
+  render(message) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150), emoji: true } },
+      { type: 'section', text: { type: 'mrkdwn', text: message.summary.slice(0, 3000) } },
+      { type: 'section', fields: this.facts(message).slice(0, 10).map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` })) }
+    ];
+    if (message.url) {
+      blocks.push({ type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open incident' }, url: message.url }] });
+    }
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `${message.incidentId} | ${message.event} | ${message.at}` }] });
+    // `text` is the notification and screen-reader fallback
+    return { text: message.title, blocks };
+  }
+}
+
+module.exports = SlackChannel;
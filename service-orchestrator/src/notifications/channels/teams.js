@@ -0,0 +1,35 @@
+// service-orchestrator/src/notifications/channels/teams.js
+// MICROSOFT TEAMS: Adaptive Card through an incoming webhook / Workflows URL
+
+const WebhookChannel = require('./webhook');
+
+const COLORS = { CRITICAL: 'Attention', HIGH: 'Attention', MEDIUM: 'Warning', LOW: 'Default' };
+
+class TeamsChannel extends WebhookChannel {
+  static type = 'teams';
+
+  render(message) {
+    const resolved = message.status === 'resolved';
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', size: 'Large', weight: 'Bolder', wrap: true, text: message.title, color: resolved ? 'Good' : COLORS[message.severity] || 'Default' },
+            { type: 'TextBlock', wrap: true, text: message.summary },
+            { type: 'FactSet', facts: this.facts(message).map(([title, value]) => ({ title, value: String(value) })) },
+            { type: 'TextBlock', isSubtle: true, size: 'Small', wrap: true, text: `${message.incidentId} | ${message.event} | ${message.at}` }
+          ],
+          actions: message.url ? [{ type: 'Action.OpenUrl', title: 'Open incident', url: message.url }] : []
+        }
+      }]
+    };
+  }
+}
+
+module.exports = TeamsChannel;
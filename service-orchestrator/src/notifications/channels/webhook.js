@@ -0,0 +1,43 @@
+// service-orchestrator/src/notifications/channels/webhook.js
+// WEBHOOK: JSON POST of the message to any HTTP endpoint; Slack, Teams and PagerDuty reuse the transport
+
+const NotificationChannel = require('../NotificationChannel');
+
+class WebhookChannel extends NotificationChannel {
+  static type = 'webhook';
+
+  /**
+   * @param {object} options - NotificationChannel options plus
+   *   url / urlEnv: endpoint, or the env var holding it (webhook URLs are secrets)
+   *   headers: extra request headers (e.g. an Authorization header for the receiver)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url || (options.urlEnv && process.env[options.urlEnv]) || null;
+    this.urlEnv = options.urlEnv || null;
+    this.headers = options.headers || {};
+  }
+
+  render(message) {
+    return {
+      event: message.event,
+      incidentId: message.incidentId,
+      tenant: message.tenant,
+      title: message.title,
+      summary: message.summary,
+      url: message.url,
+      at: message.at,
+      incident: Object.fromEntries(this.facts(message).map(([label, value]) => [label.toLowerCase(), value]))
+    };
+  }
+
+  async send(payload, signal) {
+    await this.postJson(this.url, payload, signal, this.headers);
+  }
+
+  missingConfig() {
+    return this.url ? null : `No URL${this.urlEnv ? ` (${this.urlEnv} is not set)` : ''}`;
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,219 @@
+// service-orchestrator/src/notifications/index.js
+// NOTIFIER: Incident lifecycle events rendered per channel (Slack, Teams, email, webhooks, PagerDuty)
+// and routed per tenant by event, severity and provider, from config/notifications.json
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegex } = require('../middleware/approvalPolicy');
+const { redact } = require('../middleware/piiRedactor');
+const WebhookChannel = require('./channels/webhook');
+const SlackChannel = require('./channels/slack');
+const TeamsChannel = require('./channels/teams');
+const EmailChannel = require('./channels/email');
+const PagerDutyChannel = require('./channels/pagerduty');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/notifications.json');
+const MODES = ['live', 'capture', 'off'];
+const MAX_LOG = 200;
+
+const TYPES = Object.fromEntries([WebhookChannel, SlackChannel, TeamsChannel, EmailChannel, PagerDutyChannel]
+  .map(Channel => [Channel.type, Channel]));
+
+const DEFAULT_EVENTS = ['incident.opened', 'incident.awaiting_approval', 'incident.escalated', 'incident.resolved', 'incident.root_identified'];
+
+// {{field}} placeholders filled from the message; config/notifications.json `templates` override per event
+const DEFAULT_TEMPLATES = {
+  'incident.opened': { title: '[{{severity}}] {{alarmName}} on {{provider}}', summary: '{{incidentId}} opened: {{reason}}' },
+  'incident.awaiting_approval': { title: '[{{severity}}] Approval needed: {{action}} for {{alarmName}}', summary: '{{detail}}' },
+  'incident.escalated': { title: '[{{severity}}] Escalated: {{alarmName}}', summary: '{{detail}}. Needs a human.' },
+  'incident.resolved': { title: 'Resolved: {{alarmName}}', summary: '{{detail}}' },
+  'incident.root_identified': { title: '[{{severity}}] Upstream root found for {{alarmName}}', summary: '{{detail}}' },
+  default: { title: '[{{severity}}] {{alarmName}}: {{status}}', summary: '{{detail}}' }
+};
+
+const fill = (template, message) => String(template).replace(/\{\{(\w+)\}\}/g, (_, field) => (message[field] ?? '-'));
+
+class Notifier {
+  /**
+   * @param {object} options
+   * @param {object} options.incidentManager - Looks up the incident behind each event
+   * @param {function} [options.pushEvent] - notification.failed events
+   * @param {object} [options.config] - { mode, defaults, events, templates, channels: { name: { type, ... } },
+   *   routes: [{ name, match: { event, severity, provider, environment }, channels: [names] }], tenants: { tenantId: { routes } } }
+   *   Every matching route adds its channels; tenants without their own routes use the top-level ones.
+   *   mode: live | capture (render, keep in memory, send nothing) | off. NOTIFICATIONS_MODE wins.
+   * @param {string} [options.captureFile] - NOTIFICATIONS_CAPTURE_FILE, captured payloads appended as NDJSON
+   * @param {string} [options.baseUrl] - PUBLIC_URL, for incident links
+   */
+  constructor(options = {}) {
+    const config = options.config || {};
+    this.incidentManager = options.incidentManager;
+    this.pushEvent = options.pushEvent || (() => {});
+    this.mode = process.env.NOTIFICATIONS_MODE || config.mode || 'live';
+    if (!MODES.includes(this.mode)) throw new Error(`Unknown notification mode '${this.mode}' (known: ${MODES.join(', ')})`);
+    this.captureFile = options.captureFile ?? process.env.NOTIFICATIONS_CAPTURE_FILE ?? null;
+    this.baseUrl = (options.baseUrl ?? process.env.PUBLIC_URL ?? '').replace(/\/$/, '') || null;
+    this.events = config.events || DEFAULT_EVENTS;
+    this.templates = { ...DEFAULT_TEMPLATES, ...config.templates };
+    this.captured = [];
+    this.deliveries = [];
+
+    const capture = this.mode === 'capture' ? (record) => this.capture(record) : null;
+    this.channels = new Map(Object.entries(config.channels || {}).map(([name, definition]) => {
+      const { type, ...channelOptions } = definition;
+      if (!TYPES[type]) throw new Error(`Notification channel '${name}' has unknown type '${type}' (known: ${Object.keys(TYPES).join(', ')})`);
+      return [name, new TYPES[type]({ ...config.defaults, ...channelOptions, name, capture })];
+    }));
+
+    const compileRoutes = (routes = [], scope) => routes.map((route, i) => {
+      const unknown = (route.channels || []).filter(name => !this.channels.has(name));
+      if (unknown.length) throw new Error(`Notification route '${route.name || i + 1}' uses unknown channels: ${unknown.join(', ')}`);
+      return {
+        name: route.name || `${scope}-route-${i + 1}`,
+        channels: route.channels || [],
+        match: route.match || {},
+        matchers: Object.entries(route.match || {}).map(([field, patterns]) => [field, [].concat(patterns).map(globToRegex)])
+      };
+    });
+    this.routes = compileRoutes(config.routes, 'default');
+    this.tenantRoutes = new Map(Object.entries(config.tenants || {}).map(([tenant, t]) => [tenant, compileRoutes(t.routes, tenant)]));
+  }
+
+  static load(options = {}, configPath = process.env.NOTIFICATIONS_FILE || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+      console.warn(`[Notify] No notification config at ${configPath}, incidents are only visible on the dashboard`);
+      return new Notifier(options);
+    }
+    const notifier = new Notifier({ ...options, config: JSON.parse(fs.readFileSync(configPath, 'utf8')) });
+    console.log(`[Notify] ${notifier.channels.size} channels, ${notifier.routes.length} default routes, mode '${notifier.mode}'`);
+    return notifier;
+  }
+
+  /**
+   * Listens to the event bus; delivery runs in the background so a slow channel never holds up the pipeline.
+   */
+  subscribe(eventStore) {
+    eventStore.on('event', (entry) => {
+      this.handle(entry).catch(err => console.error('[Notify] Dispatch failed:', err.message));
+    });
+    return this;
+  }
+
+  async handle(entry) {
+    if (this.mode === 'off' || !this.events.includes(entry.type) || !entry.incidentId) return [];
+    const incident = this.incidentManager.get(entry.incidentId);
+    if (!incident) return [];
+    const message = this.buildMessage(entry, incident);
+    return Promise.all(this.route(message).map(channel => this.dispatch(channel, message)));
+  }
+
+  buildMessage(entry, incident) {
+    const fields = {
+      event: entry.type,
+      incidentId: incident.id,
+      tenant: incident.tenant,
+      status: incident.status,
+      severity: incident.severity,
+      provider: incident.provider,
+      resourceId: incident.resourceId,
+      environment: incident.environment,
+      alarmName: incident.alarmName,
+      reason: incident.reason,
+      action: incident.plan?.action || null,
+      approver: incident.approver || null,
+      detail: typeof entry.detail === 'string' ? entry.detail : incident.reason,
+      url: this.baseUrl ? `${this.baseUrl}/incidents/${incident.id}` : null,
+      at: entry.ts || new Date().toISOString()
+    };
+    const template = this.templates[entry.type] || this.templates.default;
+    // Messages leave the platform: same PII scrubbing as the event log
+    return { ...fields, title: redact(fill(template.title, fields)), summary: redact(fill(template.summary, fields)) };
+  }
+
+  routesFor(tenant) {
+    return this.tenantRoutes.get(tenant) || this.routes;
+  }
+
+  /**
+   * Channels for a message: the union over every matching route of its tenant.
+   */
+  route(message) {
+    const names = new Set();
+    for (const route of this.routesFor(message.tenant)) {
+      if (route.matchers.every(([field, patterns]) => patterns.some(re => re.test(String(message[field] ?? ''))))) {
+        route.channels.forEach(name => names.add(name));
+      }
+    }
+    return [...names].map(name => this.channels.get(name));
+  }
+
+  async dispatch(channel, message) {
+    const record = { at: new Date().toISOString(), tenant: message.tenant, incidentId: message.incidentId, event: message.event, channel: channel.name };
+    try {
+      Object.assign(record, await channel.deliver(message));
+    } catch (err) {
+      Object.assign(record, { status: 'failed', attempts: err.attempts || 1, error: err.message });
+      console.error(`[Notify] ${channel.name} gave up on ${message.incidentId}:`, err.message);
+      this.pushEvent({
+        source: 'Notifier',
+        type: 'notification.failed',
+        incidentId: message.incidentId,
+        tenant: message.tenant,
+        detail: `${channel.name}: ${err.message} after ${record.attempts} attempt(s)`
+      });
+    }
+    this.deliveries.push(record);
+    if (this.deliveries.length > MAX_LOG) this.deliveries.shift();
+    return record;
+  }
+
+  capture(record) {
+    const entry = { at: new Date().toISOString(), ...record };
+    this.captured.push(entry);
+    if (this.captured.length > MAX_LOG) this.captured.shift();
+    if (this.captureFile) {
+      try {
+        fs.appendFileSync(this.captureFile, `${JSON.stringify(entry)}\n`);
+      } catch (e) {
+        console.error('[Notify] Capture write failed:', e.message);
+      }
+    }
+  }
+
+  /**
+   * Sends a test message to every channel the tenant's routes use.
+   */
+  async test(tenant, actor) {
+    const message = {
+      event: 'notification.test',
+      incidentId: 'TEST',
+      tenant,
+      status: 'open',
+      severity: 'LOW',
+      provider: null,
+      title: 'AURA test notification',
+      summary: `Requested by ${actor}; no action needed.`,
+      url: null,
+      at: new Date().toISOString()
+    };
+    const names = new Set(this.routesFor(tenant).flatMap(route => route.channels));
+    return Promise.all([...names].map(name => this.dispatch(this.channels.get(name), message)));
+  }
+
+  /**
+   * Tenant view for GET /notifications: channels (no secrets), routes and recent deliveries.
+   */
+  describe(tenant) {
+    return {
+      mode: this.mode,
+      events: this.events,
+      channels: [...this.channels.values()].map(channel => channel.describe()),
+      routes: this.routesFor(tenant).map(({ matchers, ...route }) => route),
+      deliveries: this.deliveries.filter(d => d.tenant === tenant).slice(-50).reverse(),
+      ...(this.mode === 'capture' ? { captured: this.captured.filter(c => c.tenant === tenant).slice(-50).reverse() } : {})
+    };
+  }
+}
+
+module.exports = Notifier;
+module.exports.types = TYPES;
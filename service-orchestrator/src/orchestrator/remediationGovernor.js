@@ -0,0 +1,143 @@
+// service-orchestrator/src/orchestrator/remediationGovernor.js
+// REMEDIATION GOVERNOR: Blast-radius limits in front of every mutating heal (cooldowns, caps, kill switch)
+
+const auditLogger = require('../audit/logger');
+
+const HOUR_MS = 3600000;
+
+class RemediationGovernor {
+  /**
+   * @param {object} options
+   * @param {number} [options.cooldownMs] - GOVERNOR_COOLDOWN_MS, minimum gap between actions on one resource (default 5 min)
+   * @param {number} [options.maxConcurrent] - GOVERNOR_MAX_CONCURRENT, actions running at once per tenant (default 3)
+   * @param {number} [options.maxPerHour] - GOVERNOR_MAX_PER_HOUR, actions started per tenant in the last hour (default 20)
+   */
+  constructor(options = {}) {
+    this.cooldownMs = options.cooldownMs ?? Number(process.env.GOVERNOR_COOLDOWN_MS || 300000);
+    this.maxConcurrent = options.maxConcurrent ?? Number(process.env.GOVERNOR_MAX_CONCURRENT || 3);
+    this.maxPerHour = options.maxPerHour ?? Number(process.env.GOVERNOR_MAX_PER_HOUR || 20);
+    this.paused = null; // { by, at, reason } while the kill switch is on
+    this.lastAction = new Map(); // tenant:provider:resource -> started at (ms)
+    this.active = new Map(); // tenant -> actions in flight
+    this.history = new Map(); // tenant -> start times within the last hour
+  }
+
+  resourceKey({ tenant, provider, resourceId }) {
+    return `${tenant || 'default'}:${String(provider || 'aws').toLowerCase()}:${resourceId}`;
+  }
+
+  recent(tenant) {
+    const cutoff = Date.now() - HOUR_MS;
+    const starts = (this.history.get(tenant) || []).filter(at => at > cutoff);
+    this.history.set(tenant, starts);
+    return starts;
+  }
+
+  /**
+   * First limit the action would break, or null when it may run.
+   * @returns {{ limit: 'paused'|'cooldown'|'concurrency'|'hourly', reason: string, retryAfterMs?: number }|null}
+   */
+  check(request) {
+    const tenant = request.tenant || 'default';
+    if (this.paused) {
+      return { limit: 'paused', reason: `Remediation paused by ${this.paused.by}${this.paused.reason ? `: ${this.paused.reason}` : ''}` };
+    }
+
+    const last = this.lastAction.get(this.resourceKey(request));
+    if (last && Date.now() - last < this.cooldownMs) {
+      const retryAfterMs = this.cooldownMs - (Date.now() - last);
+      return { limit: 'cooldown', reason: `${request.resourceId} was remediated ${Math.round((Date.now() - last) / 1000)}s ago (cooldown ${Math.round(this.cooldownMs / 1000)}s)`, retryAfterMs };
+    }
+    if ((this.active.get(tenant) || 0) >= this.maxConcurrent) {
+      return { limit: 'concurrency', reason: `${this.maxConcurrent} remediations already running for tenant ${tenant}` };
+    }
+    const starts = this.recent(tenant);
+    if (starts.length >= this.maxPerHour) {
+      return { limit: 'hourly', reason: `Tenant ${tenant} reached ${this.maxPerHour} remediations in the last hour`, retryAfterMs: starts[0] + HOUR_MS - Date.now() };
+    }
+    return null;
+  }
+
+  /**
+   * Reserves a slot for one action. Throws (err.governor = the violated limit) when a limit applies.
+   * override: a human decided this action (HITL approval, operator-run runbook); it skips the limits
+   * but never the kill switch, and still counts towards them.
+   * @param {object} request - { tenant, provider, resourceId, action, incidentId }
+   * @returns {{ release: function }}
+   */
+  acquire(request, { override = false, actor } = {}) {
+    const tenant = request.tenant || 'default';
+    const violation = this.check(request);
+    if (violation && (!override || violation.limit === 'paused')) {
+      this.audit('governor.blocked', actor, request, violation.limit, { reason: violation.reason });
+      const err = new Error(`Remediation governor: ${violation.reason}`);
+      err.governor = violation;
+      throw err;
+    }
+    if (violation) {
+      this.audit('governor.override', actor, request, violation.limit, { reason: violation.reason });
+    }
+
+    const now = Date.now();
+    this.lastAction.set(this.resourceKey(request), now);
+    this.active.set(tenant, (this.active.get(tenant) || 0) + 1);
+    this.recent(tenant).push(now);
+
+    let released = false;
+    return {
+      release: () => {
+        if (released) return;
+        released = true;
+        this.active.set(tenant, Math.max(0, (this.active.get(tenant) || 1) - 1));
+      }
+    };
+  }
+
+  // ===== KILL SWITCH =====
+
+  pause({ actor, reason } = {}) {
+    this.paused = { by: actor || 'unknown', at: new Date().toISOString(), reason: reason || null };
+    console.warn(`[Governor] ⛔ Autonomous remediation paused by ${this.paused.by}`);
+    this.audit('governor.paused', actor, null, 'success', { reason });
+    return this.status();
+  }
+
+  resume({ actor } = {}) {
+    const wasPaused = this.paused;
+    this.paused = null;
+    console.log(`[Governor] ▶️ Remediation resumed by ${actor || 'unknown'}`);
+    this.audit('governor.resumed', actor, null, 'success', { pausedBy: wasPaused?.by || null, pausedAt: wasPaused?.at || null });
+    return this.status();
+  }
+
+  status(tenant) {
+    const tenants = tenant ? [tenant] : [...new Set([...this.active.keys(), ...this.history.keys()])];
+    return {
+      paused: !!this.paused,
+      pausedBy: this.paused?.by || null,
+      pausedAt: this.paused?.at || null,
+      reason: this.paused?.reason || null,
+      limits: { cooldownMs: this.cooldownMs, maxConcurrent: this.maxConcurrent, maxPerHour: this.maxPerHour },
+      usage: Object.fromEntries(tenants.map(t => [t, { running: this.active.get(t) || 0, lastHour: this.recent(t).length }]))
+    };
+  }
+
+  audit(event, actor, request, result, details) {
+    try {
+      auditLogger.log({
+        type: event,
+        actor: actor || 'agent:Governor',
+        resource: request?.resourceId || 'remediation',
+        action: request?.action || event,
+        result,
+        tenant: request?.tenant || null,
+        details: { incidentId: request?.incidentId || null, provider: request?.provider || null, ...details }
+      });
+    } catch (e) {
+      console.error('[Governor] Audit write failed:', e.message);
+    }
+  }
+}
+
+module.exports = new RemediationGovernor();
+module.exports.RemediationGovernor = RemediationGovernor;
@@ -0,0 +1,258 @@
+// service-orchestrator/src/orchestrator/remediationPipeline.js
+// REMEDIATION PIPELINE: Drives one incident through triage -> approval -> remediation -> verification (-> fallback)
+
+const SupervisorAgent = require('./supervisor');
+const MultiCloudHealer = require('../agents/MultiCloudHealer');
+const RemediationVerifier = require('./remediationVerifier');
+const providerRegistry = require('../providers/registry');
+const IncidentHistory = require('../services/incidentHistory');
+
+/**
+ * Runs the reasoning/heal flow for an open incident.
+ *
+ * @param {object} incident - Incident created by IncidentManager
+ * @param {object} alarmData - Raw alarm payload handed to the reasoning agent
+ * @param {object} ctx - { incidentManager, hitlController, repository, functionName, awaitRecovery, verifier, supervisor, history }
+ *   awaitRecovery: when health cannot be measured, leave the incident in 'verifying' until an external
+ *   signal (alarm OK) resolves it
+ *   verifier: RemediationVerifier used after every heal (default one built from VERIFY_* settings)
+ *   supervisor: SupervisorAgent producing the plan and the auto-execute decision (default one per incident)
+ *   history: IncidentHistory the reasoning agent learns from (default one over the incident manager's incidents)
+ */
+async function runRemediation(incident, alarmData, ctx) {
+  const { incidentManager, hitlController, repository, functionName, awaitRecovery = false } = ctx;
+  const incidentId = incident.id;
+  const pushEvent = incidentManager.scopedPushEvent(incidentId);
+
+  incidentManager.transition(incidentId, 'triaging', { reason: 'AI analysis started' });
+
+  const supervisor = ctx.supervisor || new SupervisorAgent({
+    pushEvent, incidentId, tenant: incident.tenant, provider: incident.provider, resourceId: incident.resourceId || functionName, repository,
+    history: ctx.history || new IncidentHistory({ incidentManager })
+  });
+  const { plan, decision } = await supervisor.orchestrate(incident, alarmData);
+  incidentManager.update(incidentId, { plan, decision, mode: hitlController?.mode || 'autonomous' });
+  pushEvent({ source: 'ReasoningAgent', type: 'reasoning.completed', detail: plan });
+
+  // The alarm's OK resolves the incident while it is still being triaged: nothing left to remediate
+  if (isResolved(incidentManager, incidentId)) {
+    return { status: 'resolved', incidentId, plan, decision };
+  }
+
+  if (decision.vetoed) {
+    incidentManager.transition(incidentId, 'escalated', { reason: `Security veto: ${decision.reasons.join('; ')}` });
+    return { status: 'escalated', incidentId, plan, decision };
+  }
+
+  let approvedPlan = plan;
+  if (hitlController) {
+    // Anything the supervisor did not clear waits for a human, even in autonomous mode (so do change-control policies)
+    const requireHuman = !decision.autoExecute;
+    if (hitlController.needsHuman(plan, { provider: incident.provider, environment: incident.environment, requireHuman })) {
+      incidentManager.transition(incidentId, 'awaiting_approval', { reason: `Approval requested for ${plan.action}` });
+    }
+    const approval = await hitlController.requestApproval(incidentId, plan, {
+      tenant: incident.tenant,
+      requestedBy: incident.triggeredBy || incident.source,
+      provider: incident.provider,
+      environment: incident.environment,
+      requireHuman,
+      reason: requireHuman ? decision.reasons.join('; ') : null
+    });
+    if (isResolved(incidentManager, incidentId)) {
+      hitlController.cancel(incidentId, { actor: 'Orchestrator', reason: 'Incident resolved before remediation' });
+      return { status: 'resolved', incidentId, plan, decision };
+    }
+    if (approval.approver) {
+      incidentManager.update(incidentId, { approver: approval.approvers?.length ? approval.approvers.join(', ') : approval.approver });
+    }
+    if (!approval.approved) {
+      incidentManager.transition(incidentId, 'escalated', {
+        actor: approval.approver,
+        reason: approval.timeout ? 'Approval timed out' : 'Remediation denied by operator'
+      });
+      return { status: 'escalated', incidentId, plan, decision };
+    }
+    // The approver may have changed the action or its parameters
+    if (approval.plan) {
+      approvedPlan = approval.plan;
+      incidentManager.update(incidentId, { plan: approvedPlan });
+    }
+  }
+
+  // Folded into an upstream incident meanwhile (topology correlation): its remediation covers this one
+  const { rootIncidentId } = incidentManager.get(incidentId);
+  if (rootIncidentId) {
+    incidentManager.transition(incidentId, 'resolved', { reason: `Symptom of ${rootIncidentId}; remediation left to the upstream incident` });
+    return { status: 'resolved', incidentId, plan: approvedPlan, decision, symptomOf: rootIncidentId };
+  }
+
+  const provider = (incident.provider || approvedPlan.targetProvider || 'aws').toLowerCase();
+  const target = incident.resourceId || functionName || approvedPlan.resourceId;
+  const verifier = ctx.verifier || new RemediationVerifier({ pushEvent });
+  const baseline = await verifier.captureBaseline(provider, target, RemediationVerifier.alarmOnset(alarmData, incident.createdAt));
+
+  // Each attempt is heal -> verify; when health does not recover the next fallback command is tried
+  const fallbacks = fallbackQueue(approvedPlan, provider);
+  const attempts = [];
+  let step = approvedPlan;
+  let result;
+
+  while (step) {
+    if (isResolved(incidentManager, incidentId)) {
+      return { status: 'resolved', incidentId, plan: step, result, attempts };
+    }
+    if (incidentManager.get(incidentId).status !== 'remediating') {
+      incidentManager.transition(incidentId, 'remediating', { reason: `Executing ${step.action}` });
+    }
+
+    let error = null;
+    const healStart = Date.now();
+    try {
+      const healer = new MultiCloudHealer({
+        pushEvent,
+        incidentId,
+        tenant: incident.tenant,
+        approvedBy: incidentManager.get(incidentId).approver || (hitlController?.mode === 'autonomous' ? 'auto' : null),
+        onSnapshot: (snapshot) => incidentManager.addSnapshot(incidentId, snapshot)
+      });
+      result = await healer.heal({ ...step, incidentId, targetProvider: provider, resourceId: target });
+      incidentManager.update(incidentId, { result });
+      if (repository) repository.recordMetric('healing_duration_seconds', (Date.now() - healStart) / 1000, incidentId);
+    } catch (err) {
+      error = err;
+    }
+
+    // The governor stopped the action before it ran: a human decides whether to go past the limit
+    if (error?.governor) {
+      attempts.push({ action: step.action, error: error.message, blocked: error.governor.limit });
+      incidentManager.update(incidentId, { attempts });
+      step = await approveOverride(step, error.governor, incident, ctx);
+      if (!step) return { status: incidentManager.get(incidentId).status, incidentId, plan: approvedPlan, result, attempts, error: error.message };
+      continue;
+    }
+
+    let verification = null;
+    if (!error) {
+      incidentManager.transition(incidentId, 'verifying', { reason: `Verifying ${step.action}` });
+      verification = await verifier.verify({
+        provider,
+        target,
+        baseline,
+        since: new Date(healStart),
+        isRecovered: () => !!incidentManager.get(incidentId).recoveredAt || incidentManager.get(incidentId).status === 'resolved'
+      });
+    }
+    attempts.push({
+      action: step.action,
+      error: error?.message,
+      verification: verification && { status: verification.status, reason: verification.reason, threshold: verification.threshold, samples: verification.samples.length }
+    });
+    incidentManager.update(incidentId, { attempts, verification: attempts[attempts.length - 1].verification });
+
+    // The alarm's OK may already have resolved the incident while we were verifying
+    if (incidentManager.get(incidentId).status === 'resolved') {
+      return { status: 'resolved', incidentId, plan: step, result, attempts };
+    }
+
+    if (verification?.status === 'recovered') {
+      incidentManager.transition(incidentId, 'resolved', { reason: `Health recovered after ${step.action}` });
+      return { status: 'resolved', incidentId, plan: step, result, attempts };
+    }
+
+    // No health source: fall back to the previous behaviour (trust the heal, or wait for the alarm to clear)
+    if (verification?.status === 'unverifiable') {
+      if (!awaitRecovery || incidentManager.get(incidentId).recoveredAt) {
+        incidentManager.transition(incidentId, 'resolved', { reason: `Remediation completed (not verified: ${verification.reason})` });
+      }
+      return { status: incidentManager.get(incidentId).status, incidentId, plan: step, result, attempts };
+    }
+
+    const failure = error ? `Remediation failed: ${error.message}` : `${step.action} did not restore health (${verification.reason})`;
+    const next = fallbacks.shift();
+    if (!next) {
+      incidentManager.transition(incidentId, 'escalated', { reason: `${failure}; no fallback left` });
+      return { status: 'escalated', incidentId, plan: step, result, attempts, error: error?.message };
+    }
+
+    pushEvent({ source: 'Orchestrator', type: 'remediation.fallback', detail: `${failure}. Trying ${next}` });
+    step = await approveFallback({ ...step, action: next, parameters: undefined, fallbackOf: step.action }, incident, ctx, pushEvent);
+    if (!step) return { status: incidentManager.get(incidentId).status, incidentId, plan: approvedPlan, result, attempts };
+  }
+}
+
+// An OK can resolve the incident from triage or while an approval is pending (see MonitorAgent)
+function isResolved(incidentManager, incidentId) {
+  return incidentManager.get(incidentId).status === 'resolved';
+}
+
+// Plan-level fallbacks win over the provider's default chain; the executed action is never retried
+function fallbackQueue(plan, provider) {
+  const executed = String(plan.action || '').toUpperCase();
+  let executedCommand = executed;
+  try { executedCommand = providerRegistry.resolveCommand(provider, executed); } catch (e) { /* validated by the healer */ }
+  const chain = Array.isArray(plan.fallbacks) ? plan.fallbacks : providerRegistry.fallbacksFor(provider, executedCommand);
+  return chain.filter(action => ![executed, executedCommand].includes(String(action).toUpperCase()));
+}
+
+// Over a limit: always ask a human, even in autonomous mode. The kill switch cannot be approved away.
+async function approveOverride(plan, violation, incident, ctx) {
+  const { incidentManager, hitlController } = ctx;
+  if (violation.limit === 'paused' || !hitlController) {
+    incidentManager.transition(incident.id, 'escalated', { reason: violation.reason });
+    return null;
+  }
+
+  incidentManager.transition(incident.id, 'awaiting_approval', { reason: `Governor limit (${violation.limit}): ${violation.reason}` });
+  const approval = await hitlController.requestApproval(incident.id, plan, {
+    tenant: incident.tenant,
+    requestedBy: 'agent:Governor',
+    provider: incident.provider,
+    environment: incident.environment,
+    requireHuman: true,
+    reason: violation.reason
+  });
+  if (isResolved(incidentManager, incident.id)) return null;
+  if (!approval.approved) {
+    incidentManager.transition(incident.id, 'escalated', {
+      actor: approval.approver,
+      reason: approval.timeout ? 'Governor override timed out' : 'Governor override denied by operator'
+    });
+    return null;
+  }
+  if (approval.approver) {
+    incidentManager.update(incident.id, { approver: approval.approvers?.length ? approval.approvers.join(', ') : approval.approver });
+  }
+  return { ...(approval.plan || plan), governorOverride: true };
+}
+
+// A fallback is a new change to the resource, so it goes through the same approval policy as the original plan
+async function approveFallback(plan, incident, ctx, pushEvent) {
+  const { incidentManager, hitlController } = ctx;
+  if (!hitlController) return plan;
+
+  if (hitlController.needsHuman(plan, { provider: incident.provider, environment: incident.environment })) {
+    incidentManager.transition(incident.id, 'awaiting_approval', { reason: `Approval requested for fallback ${plan.action}` });
+  }
+  const approval = await hitlController.requestApproval(incident.id, plan, {
+    tenant: incident.tenant,
+    requestedBy: incident.triggeredBy || incident.source,
+    provider: incident.provider,
+    environment: incident.environment
+  });
+  if (isResolved(incidentManager, incident.id)) return null;
+  if (!approval.approved) {
+    pushEvent({ source: 'Orchestrator', type: 'remediation.fallback_denied', detail: `Fallback ${plan.action} not approved` });
+    incidentManager.transition(incident.id, 'escalated', {
+      actor: approval.approver,
+      reason: approval.timeout ? 'Fallback approval timed out' : 'Fallback denied by operator'
+    });
+    return null;
+  }
+  if (approval.approver) {
+    incidentManager.update(incident.id, { approver: approval.approvers?.length ? approval.approvers.join(', ') : approval.approver });
+  }
+  return approval.plan || plan;
+}
+
+module.exports = { runRemediation };
@@ -0,0 +1,134 @@
+// service-orchestrator/src/orchestrator/remediationVerifier.js
+// VERIFICATION: Polls the provider's health source after a remediation and compares it to the pre-incident baseline
+
+const providerRegistry = require('../providers/registry');
+
+const HEALTHY_SCORE = 90; // Threshold when there is no baseline to compare against
+const DEFAULT_EVALUATION_MS = 300000; // Alarms without Trigger details: one standard CloudWatch period
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class RemediationVerifier {
+  /**
+   * @param {object} options
+   * @param {function} [options.pushEvent]
+   * @param {object} [options.registry] - Provider registry (default: the shared one)
+   * @param {number} [options.windowMs] - VERIFY_WINDOW_MS, how long to wait for recovery (default 5 min)
+   * @param {number} [options.intervalMs] - VERIFY_INTERVAL_MS, time between samples (default 30 s)
+   * @param {number} [options.baselineWindowMs] - VERIFY_BASELINE_WINDOW_MS, pre-incident window (default 1 h)
+   * @param {number} [options.tolerance] - VERIFY_TOLERANCE, score points below baseline still counted as recovered (default 5)
+   * @param {number} [options.healthySamples] - VERIFY_HEALTHY_SAMPLES, consecutive healthy samples required (default 2)
+   */
+  constructor(options = {}) {
+    this.pushEvent = options.pushEvent || (() => {});
+    this.registry = options.registry || providerRegistry;
+    this.windowMs = options.windowMs ?? Number(process.env.VERIFY_WINDOW_MS || 300000);
+    this.intervalMs = options.intervalMs ?? Number(process.env.VERIFY_INTERVAL_MS || 30000);
+    this.baselineWindowMs = options.baselineWindowMs ?? Number(process.env.VERIFY_BASELINE_WINDOW_MS || 3600000);
+    this.tolerance = options.tolerance ?? Number(process.env.VERIFY_TOLERANCE || 5);
+    this.healthySamples = Math.max(1, options.healthySamples ?? Number(process.env.VERIFY_HEALTHY_SAMPLES || 2));
+  }
+
+  emit(type, detail) {
+    this.pushEvent({ source: 'Verifier', type, detail });
+  }
+
+  // One health reading: { at, score, status, metrics } | { at, noData } | { at, error }
+  async sample(provider, target, window) {
+    const at = new Date().toISOString();
+    try {
+      const agent = this.registry.getHealAgent(provider);
+      const health = await agent.health(target, window);
+      return health ? { at, score: health.score, status: health.status, metrics: health.metrics } : { at, noData: true };
+    } catch (err) {
+      return { at, error: err.message };
+    }
+  }
+
+  /**
+   * When the alarm's metric started going bad: its evaluation window (Period x EvaluationPeriods) before the
+   * state change. The baseline has to end there, or it would include the spike that fired the alarm.
+   */
+  static alarmOnset(alarmData = {}, fallback = new Date()) {
+    const changedAt = Date.parse(alarmData.StateChangeTime || fallback);
+    const period = Number(alarmData.Trigger?.Period);
+    const evaluations = Number(alarmData.Trigger?.EvaluationPeriods) || 1;
+    return new Date(changedAt - (period ? period * 1000 * evaluations : DEFAULT_EVALUATION_MS));
+  }
+
+  /**
+   * Health over the window before the alarm's metric degraded (see alarmOnset). { available: false } means the
+   * provider has no health source or it cannot be reached, in which case verification is skipped rather than guessed.
+   */
+  async captureBaseline(provider, target, until = new Date()) {
+    if (!this.registry.supportsHealth(provider)) {
+      return { available: false, reason: `${provider} has no health source` };
+    }
+    const end = new Date(until);
+    const sample = await this.sample(provider, target, { from: new Date(end - this.baselineWindowMs), to: end });
+    if (sample.error) return { available: false, reason: `Health source unavailable: ${sample.error}` };
+
+    const baseline = { available: true, ...sample };
+    this.emit('verification.baseline', sample.noData
+      ? `No pre-incident data for ${target}, recovery threshold ${HEALTHY_SCORE}`
+      : `Pre-incident health of ${target}: ${sample.score.toFixed(1)} (${sample.status})`);
+    return baseline;
+  }
+
+  threshold(baseline) {
+    return baseline?.score == null ? HEALTHY_SCORE : Math.max(0, baseline.score - this.tolerance);
+  }
+
+  /**
+   * Samples [since, now] every interval until `healthySamples` consecutive readings reach the threshold
+   * or the window runs out.
+   * @param {object} options - { provider, target, baseline, since, isRecovered }
+   *   isRecovered: external recovery signal (alarm back to OK) that ends the loop early
+   * @returns {{ status: 'recovered'|'not_recovered'|'unverifiable', threshold, samples, reason }}
+   */
+  async verify({ provider, target, baseline, since = new Date(), isRecovered = () => false }) {
+    if (!baseline?.available) {
+      this.emit('verification.skipped', baseline?.reason || 'No baseline');
+      return { status: 'unverifiable', samples: [], reason: baseline?.reason || 'No baseline' };
+    }
+
+    const threshold = this.threshold(baseline);
+    const deadline = Date.now() + this.windowMs;
+    const samples = [];
+    let healthyStreak = 0;
+
+    this.emit('verification.started', `Watching ${target} for ${Math.round(this.windowMs / 1000)}s (recovered at score >= ${threshold.toFixed(1)})`);
+
+    while (Date.now() < deadline) {
+      await sleep(Math.min(this.intervalMs, Math.max(0, deadline - Date.now())));
+
+      if (isRecovered()) {
+        this.emit('verification.recovered', `${target} recovered (external signal)`);
+        return { status: 'recovered', threshold, samples, reason: 'Recovery signal received' };
+      }
+
+      const sample = await this.sample(provider, target, { from: new Date(since), to: new Date() });
+      samples.push(sample);
+      healthyStreak = sample.score != null && sample.score >= threshold ? healthyStreak + 1 : 0;
+      this.emit('verification.sample', sample.score != null
+        ? `${target} health ${sample.score.toFixed(1)} (${sample.status}), ${healthyStreak}/${this.healthySamples} healthy`
+        : `${target}: ${sample.error || 'no datapoints yet'}`);
+
+      if (healthyStreak >= this.healthySamples) {
+        this.emit('verification.recovered', `${target} back to health (${sample.score.toFixed(1)} >= ${threshold.toFixed(1)})`);
+        return { status: 'recovered', threshold, samples, reason: 'Health score recovered' };
+      }
+    }
+
+    const measured = samples.filter(s => s.score != null);
+    if (!measured.length) {
+      this.emit('verification.skipped', `No health data for ${target} within the window`);
+      return { status: 'unverifiable', threshold, samples, reason: 'No health data within the verification window' };
+    }
+    const last = measured[measured.length - 1];
+    this.emit('verification.failed', `${target} still at ${last.score.toFixed(1)} (needs ${threshold.toFixed(1)})`);
+    return { status: 'not_recovered', threshold, samples, reason: `Health ${last.score.toFixed(1)} below ${threshold.toFixed(1)}` };
+  }
+}
+
+module.exports = RemediationVerifier;
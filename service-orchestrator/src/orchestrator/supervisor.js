@@ -1,45 +1,186 @@
 // service-orchestrator/src/orchestrator/supervisor.js
+// SUPERVISOR: Reasoning proposes a plan, security / cost / compliance analysts review it in parallel,
+// and the combined decision picks auto-execution or human approval
+
+const ReasoningAgentV2 = require('../agents/ReasoningAgent_v2_LangGraph');
+const FinOpsAgent = require('../agents/FinOpsAgent');
+const EnterpriseSecurity = require('../middleware/Enterprise_Security_Policy');
+const KnowledgeBase = require('../services/knowledgeBase');
+const providerRegistry = require('../providers/registry');
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+// Commands that change what is deployed or where it runs; restarts, scaling and config bumps stay low risk
+const MEDIUM_RISK = /ROLLBACK|CORDON|DELETE/;
+
+const withTimeout = (promise, ms, label) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
 class SupervisorAgent {
-  constructor() {
+  /**
+   * @param {object} context
+   * @param {function} context.pushEvent
+   * @param {string} [context.incidentId]
+   * @param {string} [context.tenant] - Selects the tenant's model provider for the reasoning agent
+   * @param {string} [context.provider] - Incident provider; the reasoning agent may only propose its commands
+   * @param {string} [context.resourceId] - Resource the reasoning agent's diagnostic tools inspect
+   * @param {object} [context.repository] - Decisions are persisted next to the reasoning agent's
+   * @param {object} [context.history] - IncidentHistory; similar past incidents and remediation track records for the reasoning agent
+   * @param {number} [context.analystTimeoutMs] - SUPERVISOR_ANALYST_TIMEOUT_MS, per analyst (default 10 s)
+   * @param {number} [context.maxAutoCost] - SUPERVISOR_MAX_AUTO_COST, USD/day auto-execution may add (default 10, SOP-004)
+   * @param {object} [context.agents] - Overrides for { reasoning, finOps }
+   */
+  constructor(context) {
+    this.context = context;
+    this.incidentId = context.incidentId || null;
+    this.analystTimeoutMs = context.analystTimeoutMs ?? Number(process.env.SUPERVISOR_ANALYST_TIMEOUT_MS || 10000);
+    this.maxAutoCost = context.maxAutoCost ?? Number(process.env.SUPERVISOR_MAX_AUTO_COST || 10);
     this.agents = {
-      monitor: new MonitorAgent(),
-      security: new SecurityAgent(),
-      cost: new CostOptimizationAgent(),
-      reasoning: new ReasoningAgent(),
-      heal: new HealAgent(),
-      compliance: new ComplianceAgent()
+      reasoning: context.agents?.reasoning || new ReasoningAgentV2(context),
+      finOps: context.agents?.finOps || new FinOpsAgent(context)
     };
+    this.analysts = {
+      security: this.analyzeSecurity.bind(this),
+      cost: this.estimateCost.bind(this),
+      compliance: this.checkCompliance.bind(this)
+    };
+  }
+
+  emit(type, detail) {
+    this.context.pushEvent({ source: 'Supervisor', type, detail, incidentId: this.incidentId });
   }
-  
-  async orchestrate(incident) {
-    // Step 1: Parallel analysis
-    const [securityAnalysis, costAnalysis, complianceCheck] = 
-      await Promise.all([
-        this.agents.security.analyze(incident),
-        this.agents.cost.estimateImpact(incident),
-        this.agents.compliance.verify(incident)
-      ]);
-    
-    // Step 2: Reasoning agent considers all inputs
-    const decision = await this.agents.reasoning.decide({
-      incident,
-      securityAnalysis,
-      costAnalysis,
-      complianceCheck
+
+  /**
+   * @param {object} incident - Incident record (provider, environment, alarmName...)
+   * @param {object} alarmData - Raw alarm handed to the reasoning agent
+   * @returns {{ plan, decision }}
+   */
+  async orchestrate(incident, alarmData) {
+    // Step 1: Reasoning agent proposes a remediation
+    const plan = await this.agents.reasoning.run(alarmData);
+    const reviewed = { ...plan, targetProvider: (incident.provider || plan.targetProvider || 'aws').toLowerCase() };
+
+    // Step 2: Parallel analysis; a failing or slow analyst leaves a gap instead of sinking the others
+    this.emit('supervisor.analysis', `Reviewing ${plan.action}: ${Object.keys(this.analysts).join(', ')}`);
+    const names = Object.keys(this.analysts);
+    const settled = await Promise.allSettled(names.map(name =>
+      withTimeout(Promise.resolve().then(() => this.analysts[name](incident, reviewed, alarmData)), this.analystTimeoutMs, `${name} analysis`)
+    ));
+    const analyses = {};
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        analyses[names[i]] = { status: 'ok', ...outcome.value };
+      } else {
+        analyses[names[i]] = { status: 'failed', error: outcome.reason?.message || String(outcome.reason) };
+        this.emit('supervisor.analyst_failed', `${names[i]}: ${analyses[names[i]].error}`);
+      }
     });
-    
-    // Step 3: Execute if approved
-    if (this.shouldExecute(decision)) {
-      return await this.agents.heal.execute(decision);
+
+    // Step 3: Combined decision
+    const decision = this.decide(reviewed, analyses);
+    this.emit('supervisor.decision', decision.autoExecute
+      ? `${plan.action} cleared for auto-execution (risk ${decision.riskLevel}, $${decision.estimatedCost}/day)`
+      : `${plan.action} needs approval: ${decision.reasons.join('; ')}`);
+    this.recordDecision(decision);
+    return { plan, decision };
+  }
+
+  async analyzeSecurity(incident, plan) {
+    try {
+      EnterpriseSecurity.validateAiAction(String(plan.action), plan.parameters);
+    } catch (err) {
+      return { riskLevel: 'critical', vetoed: true, findings: [err.message] };
+    }
+
+    const findings = [];
+    let risk;
+    try {
+      const command = providerRegistry.resolveCommand(plan.targetProvider, plan.action);
+      const { mutating } = providerRegistry.get(plan.targetProvider).commands[command];
+      risk = !mutating ? 0 : MEDIUM_RISK.test(command) ? 1 : 0;
+      if (MEDIUM_RISK.test(command)) findings.push(`${command} changes the running version or placement`);
+    } catch (err) {
+      risk = 2;
+      findings.push(err.message);
     }
-    
-    return { status: 'awaiting_approval', decision };
+    // Routine changes stay low risk everywhere; anything riskier is one level worse in production
+    if (risk > 0 && /^prod/i.test(incident.environment || '')) {
+      risk += 1;
+      findings.push('Production environment');
+    }
+    return { riskLevel: RISK_LEVELS[Math.min(risk, 2)], vetoed: false, findings };
+  }
+
+  async estimateCost(incident, plan) {
+    return this.agents.finOps.estimateImpact(plan);
   }
-  
+
+  async checkCompliance(incident, plan, alarmData) {
+    // Only SOPs that clearly govern this alarm, not ones sharing a stray keyword with it
+    const sops = await KnowledgeBase.search(alarmData?.AlarmName || incident.alarmName || '', { minRelativeScore: 0.5 });
+    const violations = [];
+    const action = String(plan.action).toUpperCase();
+    if (sops.some(s => s.id === 'SOP-001') && action.includes('MEMORY')) {
+      violations.push('SOP-001: memory must not be raised for latency incidents without approval');
+    }
+    // SOP-004 (cost over $10/day needs HITL) is enforced through the cost analysis
+    return { approved: violations.length === 0, violations, sops: [...new Set(sops.map(s => s.id))] };
+  }
+
+  /**
+   * Missing analyses count against auto-execution: unknown risk, unknown cost or unchecked compliance
+   * all mean a human decides.
+   */
+  decide(plan, analyses) {
+    const { security, cost, compliance } = analyses;
+    const decision = {
+      action: plan.action,
+      targetProvider: plan.targetProvider,
+      riskLevel: security.status === 'ok' ? security.riskLevel : 'unknown',
+      vetoed: security.status === 'ok' && security.vetoed,
+      estimatedCost: cost.status === 'ok' ? cost.estimatedCost : null,
+      complianceApproved: compliance.status === 'ok' && compliance.approved,
+      // Only plans the reasoning graph accepted; rule fallbacks, crash plans and low-confidence plans need a human
+      planValidated: plan.validated === true,
+      degraded: Object.keys(analyses).filter(name => analyses[name].status !== 'ok'),
+      analyses,
+      reasons: []
+    };
+
+    if (decision.vetoed) decision.reasons.push(...security.findings);
+    if (!decision.planValidated) decision.reasons.push(`Plan not validated: ${plan.validationNote || 'not checked by the reasoning graph'}`);
+    if (decision.riskLevel !== 'low') decision.reasons.push(`Risk level ${decision.riskLevel}`);
+    if (decision.estimatedCost == null) decision.reasons.push('Cost unknown');
+    else if (decision.estimatedCost >= this.maxAutoCost) decision.reasons.push(`Adds $${decision.estimatedCost}/day (limit $${this.maxAutoCost})`);
+    if (!decision.complianceApproved) {
+      decision.reasons.push(...(compliance.status === 'ok' ? compliance.violations : ['Compliance not checked']));
+    }
+    decision.autoExecute = this.shouldExecute(decision);
+    return decision;
+  }
+
   shouldExecute(decision) {
     // Enterprise logic: auto-execute only low-risk changes
-    return decision.riskLevel === 'low' && 
-           decision.estimatedCost < 10 &&
+    return !decision.vetoed &&
+           decision.planValidated &&
+           decision.riskLevel === 'low' &&
+           decision.estimatedCost != null && decision.estimatedCost < this.maxAutoCost &&
            decision.complianceApproved;
   }
+
+  recordDecision(decision) {
+    const { repository } = this.context;
+    if (!repository || !this.incidentId) return;
+    try {
+      repository.recordDecision(this.incidentId, 'SupervisorAgent', decision, null);
+    } catch (e) {
+      console.error('[Supervisor] Decision persist failed:', e.message);
+    }
+  }
 }
+
+module.exports = SupervisorAgent;
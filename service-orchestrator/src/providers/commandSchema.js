@@ -0,0 +1,46 @@
+// service-orchestrator/src/providers/commandSchema.js
+// COMMAND SCHEMAS: Validation of remediation parameters against a plugin's declared schema
+//
+// A schema is a plain object so it can be published as-is by GET /providers:
+//   { timeoutSeconds: { type: 'integer', min: 1, max: 900, required?, enum?, default?, description? } }
+
+const TYPES = {
+  string: (v) => typeof v === 'string',
+  integer: (v) => Number.isInteger(v),
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  boolean: (v) => typeof v === 'boolean'
+};
+
+/**
+ * Returns the parameters with defaults applied, or throws listing every problem.
+ * Unknown parameters are rejected so a typo never silently falls back to the default behaviour.
+ */
+function validateParams(command, schema = {}, params = {}) {
+  const errors = [];
+  const result = {};
+
+  for (const name of Object.keys(params)) {
+    if (!schema[name]) errors.push(`unknown parameter '${name}'`);
+  }
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = params[name] ?? spec.default;
+    if (value === undefined) {
+      if (spec.required) errors.push(`'${name}' is required`);
+      continue;
+    }
+    if (spec.type && TYPES[spec.type] && !TYPES[spec.type](value)) {
+      errors.push(`'${name}' must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}`);
+      continue;
+    }
+    if (spec.enum && !spec.enum.includes(value)) errors.push(`'${name}' must be one of ${spec.enum.join(', ')}`);
+    if (spec.min !== undefined && value < spec.min) errors.push(`'${name}' must be >= ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) errors.push(`'${name}' must be <= ${spec.max}`);
+    result[name] = value;
+  }
+
+  if (errors.length) throw new Error(`Invalid parameters for ${command}: ${errors.join('; ')}`);
+  return result;
+}
+
+module.exports = { validateParams };
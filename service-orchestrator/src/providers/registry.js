@@ -0,0 +1,148 @@
+// service-orchestrator/src/providers/registry.js
+// PROVIDER REGISTRY: Every cloud plugin, the remediation commands it supports and their parameter schemas
+//
+// Built-in plugins are the BaseAgent subclasses under src/agents (AWS, GCP, Azure, Kubernetes).
+// Third-party providers are dropped into plugins/ (PROVIDER_PLUGIN_DIR) as modules exporting
+// a BaseAgent subclass; see plugins/README.md.
+
+const fs = require('fs');
+const path = require('path');
+const BaseAgent = require('../agents/BaseAgent');
+const AwsHealAgent = require('../agents/aws/AwsHealAgent');
+const GcpHealAgent = require('../agents/gcp/GcpHealAgent');
+const AzureHealAgent = require('../agents/azure/AzureHealAgent');
+const KubernetesHealAgent = require('../agents/kubernetes/KubernetesHealAgent');
+const { validateParams } = require('./commandSchema');
+
+const BUILTIN_PLUGINS = [AwsHealAgent, GcpHealAgent, AzureHealAgent, KubernetesHealAgent];
+const DEFAULT_PLUGIN_DIR = path.resolve(__dirname, '../../plugins');
+
+class ProviderRegistry {
+  /**
+   * @param {object} options
+   * @param {Array} [options.builtins] - Plugin classes registered before the plugin directory
+   * @param {string} [options.pluginDir] - PROVIDER_PLUGIN_DIR, default service-orchestrator/plugins
+   */
+  constructor(options = {}) {
+    this.plugins = new Map();
+    this.loadErrors = [];
+    this.pluginDir = options.pluginDir || process.env.PROVIDER_PLUGIN_DIR || DEFAULT_PLUGIN_DIR;
+    (options.builtins || BUILTIN_PLUGINS).forEach(Plugin => this.register(Plugin, 'builtin'));
+    this.loadPlugins(this.pluginDir);
+  }
+
+  // Rejects a malformed manifest up front rather than at 3am when the command is first used
+  register(Plugin, source = 'runtime') {
+    if (typeof Plugin !== 'function' || !(Plugin.prototype instanceof BaseAgent)) {
+      throw new Error('a provider plugin must export a BaseAgent subclass');
+    }
+    const id = String(Plugin.id || '').toLowerCase();
+    if (!id) throw new Error(`${Plugin.name} has no static id`);
+    if (this.plugins.has(id)) throw new Error(`provider '${id}' is already registered`);
+
+    const commands = Plugin.commands || {};
+    if (!Object.keys(commands).length) throw new Error(`${Plugin.name} declares no commands`);
+    for (const [name, command] of Object.entries(commands)) {
+      if (typeof Plugin.prototype[command.handler] !== 'function') {
+        throw new Error(`${Plugin.name}: command ${name} points at missing handler '${command.handler}'`);
+      }
+    }
+    for (const [alias, target] of Object.entries(Plugin.aliases || {})) {
+      if (!commands[target]) throw new Error(`${Plugin.name}: alias ${alias} points at unknown command ${target}`);
+    }
+    for (const fallback of Plugin.fallbacks || []) {
+      if (!commands[fallback]) throw new Error(`${Plugin.name}: fallback ${fallback} is not a declared command`);
+    }
+
+    this.plugins.set(id, { Plugin, source });
+    return this;
+  }
+
+  loadPlugins(dir) {
+    if (!fs.existsSync(dir)) return this;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+      try {
+        this.register(require(path.join(dir, file)), file);
+        console.log(`[Providers] Loaded plugin ${file}`);
+      } catch (err) {
+        console.error(`[Providers] Skipping plugin ${file}: ${err.message}`);
+        this.loadErrors.push({ file, error: err.message });
+      }
+    }
+    return this;
+  }
+
+  has(provider) {
+    return this.plugins.has(String(provider || '').toLowerCase());
+  }
+
+  get(provider) {
+    const entry = this.plugins.get(String(provider || '').toLowerCase());
+    if (!entry) throw new Error(`Unknown provider: ${provider} (available: ${this.ids().join(', ')})`);
+    return entry.Plugin;
+  }
+
+  ids() {
+    return [...this.plugins.keys()];
+  }
+
+  getHealAgent(provider, ctx = {}) {
+    const Plugin = this.get(provider);
+    return new Plugin(ctx);
+  }
+
+  // Plan actions may name a concrete command or a generic intent (RESTART, SCALE_UP) the plugin aliases
+  resolveCommand(provider, action) {
+    const Plugin = this.get(provider);
+    const name = String(action || '').toUpperCase();
+    const command = Plugin.commands[name] ? name : (Plugin.aliases || {})[name];
+    if (!command) {
+      throw new Error(`Provider '${Plugin.id}' does not support ${action} (supported: ${Object.keys(Plugin.commands).join(', ')})`);
+    }
+    return command;
+  }
+
+  /**
+   * Resolves and validates a remediation without running it.
+   * Returns { provider, command, params } with parameter defaults applied; throws on anything invalid.
+   */
+  validate(provider, action, params = {}) {
+    const Plugin = this.get(provider);
+    const command = this.resolveCommand(provider, action);
+    return { provider: String(Plugin.id).toLowerCase(), command, params: validateParams(command, Plugin.commands[command].params, params) };
+  }
+
+  // Commands to try, in order, after `command` failed to bring the resource back to health
+  fallbacksFor(provider, command) {
+    return (this.get(provider).fallbacks || []).filter(fallback => fallback !== command);
+  }
+
+  // Whether post-remediation health can be measured for this provider
+  supportsHealth(provider) {
+    return this.get(provider).prototype.health !== BaseAgent.prototype.health;
+  }
+
+  // Capability document for GET /providers (handler method names stay internal)
+  describe(provider) {
+    const Plugin = this.get(provider);
+    const { source } = this.plugins.get(String(provider).toLowerCase());
+    return {
+      id: String(Plugin.id).toLowerCase(),
+      displayName: Plugin.displayName || Plugin.id,
+      source,
+      aliases: Plugin.aliases || {},
+      fallbacks: Plugin.fallbacks || [],
+      healthVerification: this.supportsHealth(provider),
+      commands: Object.entries(Plugin.commands).map(([name, { handler, params, ...spec }]) => ({
+        name, ...spec, params: params || {}
+      }))
+    };
+  }
+
+  list() {
+    return this.ids().map(id => this.describe(id));
+  }
+}
+
+module.exports = new ProviderRegistry();
+module.exports.ProviderRegistry = ProviderRegistry;
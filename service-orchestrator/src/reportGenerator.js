@@ -4,11 +4,25 @@
 const { PDFDocument, rgb, degrees } = require('pdf-lib');
 const fs = require('fs');
 const path = require('path');
+const repository = require('./db/repository');
 
 const reportsDir = path.resolve(__dirname, '../reports');
 
+// Builds the report payload from the persisted incident when the caller has none
+function loadIncidentData(incidentId) {
+  const incident = repository.getIncident(incidentId);
+  if (!incident) throw new Error(`Incident ${incidentId} not found`);
+  return {
+    timestamp: incident.createdAt,
+    alarm: incident.plan?.analysis || incident.reason || incident.alarmName || 'Unknown',
+    remediation: incident.plan?.action || 'NONE'
+  };
+}
+
 async function generateReport(incidentId, incidentData) {
   try {
+    incidentData = incidentData || loadIncidentData(incidentId);
+
     console.log(`[ReportGenerator] Generating report for ${incidentId}...`);
     
     // Create PDF document
@@ -0,0 +1,414 @@
+// service-orchestrator/src/runbooks/executor.js
+// RUNBOOK ENGINE: Declarative YAML/JSON runbooks (preconditions, steps, retries, verification, rollback)
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const providerRegistry = require('../providers/registry');
+const remediationGovernor = require('../orchestrator/remediationGovernor');
+const auditLogger = require('../audit/logger');
+
+const DEFAULT_DIR = path.resolve(__dirname, '../../config/runbooks');
+const DEFAULT_STEP_TIMEOUT_MS = 30000;
+
+// Engine-level actions that never reach a cloud provider
+const BUILTIN_ACTIONS = {
+  WAIT: async (step) => {
+    await new Promise(resolve => setTimeout(resolve, Number(step.durationMs) || 1000));
+    return { success: true, waitedMs: Number(step.durationMs) || 1000 };
+  },
+  LOG: async (step) => {
+    console.log(`[Runbook] ${step.message || step.id}`);
+    return { success: true, message: step.message || null };
+  }
+};
+
+// Rollback-only action: restores the prior state the provider captured when the step ran (BaseAgent.snapshot)
+const RESTORE_SNAPSHOT = 'RESTORE_SNAPSHOT';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`${label} timed out after ${ms}ms`), { timedOut: true })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// "{{functionName}}" / "{{incident.id}}" -> value from the execution scope (recurses into objects/arrays)
+function interpolate(value, scope) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    const lookup = (key) => key.split('.').reduce((v, k) => (v == null ? undefined : v[k]), scope);
+    if (whole) return lookup(whole[1]); // Keep non-string types for a lone placeholder
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const resolved = lookup(key);
+      return resolved == null ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, scope));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, scope)]));
+  }
+  return value;
+}
+
+class RunbookExecutor {
+  /**
+   * @param {object} context
+   * @param {function} [context.pushEvent]
+   * @param {string} [context.dir] - Runbook directory (RUNBOOK_DIR, default config/runbooks)
+   * @param {object} [context.registry] - Provider plugin registry (default: the shared one)
+   * @param {function} [context.onSnapshot] - (incidentId, snapshot), prior state captured by steps run for an incident
+   * @param {object} [context.governor] - RemediationGovernor (default: the shared one)
+   */
+  constructor(context = {}) {
+    this.pushEvent = context.pushEvent || (() => {});
+    this.onSnapshot = context.onSnapshot || null;
+    this.dir = context.dir || process.env.RUNBOOK_DIR || DEFAULT_DIR;
+    this.registry = context.registry || providerRegistry;
+    this.governor = context.governor || remediationGovernor;
+    this.runbooks = new Map();
+    this.loadErrors = [];
+    this.load();
+  }
+
+  // ===== LOADING =====
+
+  load() {
+    this.runbooks.clear();
+    this.loadErrors = [];
+    if (!fs.existsSync(this.dir)) {
+      console.warn(`[Runbook] Directory ${this.dir} not found, no runbooks loaded`);
+      return this;
+    }
+
+    for (const file of fs.readdirSync(this.dir).filter(f => /\.(ya?ml|json)$/i.test(f)).sort()) {
+      try {
+        const text = fs.readFileSync(path.join(this.dir, file), 'utf8');
+        const runbook = this.validate(file.endsWith('.json') ? JSON.parse(text) : yaml.load(text));
+        if (this.runbooks.has(runbook.id)) throw new Error(`duplicate runbook id '${runbook.id}'`);
+        this.runbooks.set(runbook.id, { ...runbook, source: file });
+      } catch (err) {
+        console.error(`[Runbook] Skipping ${file}: ${err.message}`);
+        this.loadErrors.push({ file, error: err.message });
+      }
+    }
+    console.log(`[Runbook] Loaded ${this.runbooks.size} runbooks from ${this.dir}`);
+    return this;
+  }
+
+  validate(runbook) {
+    if (!runbook || typeof runbook !== 'object') throw new Error('runbook must be an object');
+    if (!runbook.id) throw new Error('runbook needs an id');
+    if (!Array.isArray(runbook.steps) || !runbook.steps.length) throw new Error(`${runbook.id}: at least one step is required`);
+
+    const ids = new Set();
+    for (const step of runbook.steps) {
+      if (!step.id || !step.action) throw new Error(`${runbook.id}: every step needs an id and an action`);
+      if (ids.has(step.id)) throw new Error(`${runbook.id}: duplicate step id '${step.id}'`);
+      ids.add(step.id);
+      if (step.rollback && !step.rollback.action) throw new Error(`${runbook.id}/${step.id}: rollback needs an action`);
+      if (String(step.action).toUpperCase() === RESTORE_SNAPSHOT) {
+        throw new Error(`${runbook.id}/${step.id}: ${RESTORE_SNAPSHOT} is only valid as a rollback`);
+      }
+    }
+    return {
+      name: runbook.id,
+      description: '',
+      provider: 'aws',
+      parameters: {},
+      preconditions: [],
+      ...runbook
+    };
+  }
+
+  list() {
+    return [...this.runbooks.values()].map(({ id, name, description, provider, parameters, steps, source }) => ({
+      id, name, description, provider, parameters, source, steps: steps.map(s => s.id)
+    }));
+  }
+
+  get(id) {
+    return this.runbooks.get(id) || null;
+  }
+
+  // ===== PLAN RESOLUTION =====
+
+  /**
+   * Applies parameter defaults, checks required parameters and fills in {{placeholders}}.
+   * The result is exactly what execute() will run, so dry-run output is trustworthy.
+   */
+  resolve(runbook, params = {}, incident = null) {
+    const values = {};
+    const missing = [];
+    for (const [name, spec] of Object.entries(runbook.parameters || {})) {
+      const value = params[name] ?? spec?.default;
+      if (value === undefined && spec?.required) missing.push(name);
+      values[name] = value;
+    }
+    if (missing.length) throw new Error(`Missing required parameters: ${missing.join(', ')}`);
+
+    const scope = { ...params, ...values, incident: incident || {} };
+    const resolveStep = (step) => {
+      const resolved = {
+        ...interpolate(step, scope),
+        provider: (step.provider || runbook.provider || 'aws').toLowerCase(),
+        timeoutMs: Number(step.timeoutMs) || DEFAULT_STEP_TIMEOUT_MS,
+        retries: Math.max(0, Number(step.retries) || 0),
+        retryDelayMs: Number(step.retryDelayMs) || 1000
+      };
+      if (BUILTIN_ACTIONS[String(resolved.action).toUpperCase()]) return resolved;
+      if (String(resolved.action).toUpperCase() === RESTORE_SNAPSHOT) return { ...resolved, action: RESTORE_SNAPSHOT };
+
+      // Unsupported commands or bad parameters surface in the dry run, not halfway through execution
+      const { command, params } = this.registry.validate(resolved.provider, resolved.action, resolved.parameters);
+      return { ...resolved, action: command, parameters: params };
+    };
+
+    return {
+      runbookId: runbook.id,
+      name: runbook.name,
+      params: values,
+      preconditions: interpolate(runbook.preconditions || [], scope),
+      steps: runbook.steps.map(step => ({
+        ...resolveStep(step),
+        verify: interpolate(step.verify || [], scope),
+        rollback: step.rollback ? resolveStep({ id: `${step.id}:rollback`, provider: step.provider, ...step.rollback }) : null
+      }))
+    };
+  }
+
+  // ===== CHECKS (preconditions + verification) =====
+
+  /**
+   * Supported checks:
+   *   { type: 'param', param, equals | matches | oneOf }
+   *   { type: 'http', url, expectStatus?, bodyContains?, timeoutMs? }
+   *   { type: 'provider_test', provider?, target } - BaseAgent.test() of the heal agent
+   */
+  async runCheck(check, plan) {
+    const label = check.name || check.type;
+    try {
+      switch (check.type) {
+        case 'param': {
+          const value = plan.params[check.param];
+          const ok = check.equals !== undefined ? value === check.equals
+            : check.matches ? new RegExp(check.matches).test(String(value ?? ''))
+            : check.oneOf ? check.oneOf.includes(value)
+            : value !== undefined && value !== null && value !== '';
+          return { check: label, passed: ok, detail: `${check.param}=${JSON.stringify(value)}` };
+        }
+        case 'http': {
+          const res = await fetch(check.url, { signal: AbortSignal.timeout(Number(check.timeoutMs) || 5000) });
+          const body = check.bodyContains ? await res.text() : '';
+          const statusOk = check.expectStatus ? res.status === Number(check.expectStatus) : res.ok;
+          const bodyOk = !check.bodyContains || body.includes(check.bodyContains);
+          return { check: label, passed: statusOk && bodyOk, detail: `HTTP ${res.status}` };
+        }
+        case 'provider_test': {
+          const agent = this.registry.getHealAgent(check.provider || plan.steps[0]?.provider || 'aws');
+          const result = await withTimeout(agent.test(check.target), Number(check.timeoutMs) || DEFAULT_STEP_TIMEOUT_MS, label);
+          return { check: label, passed: result?.success !== false, detail: result?.status || null };
+        }
+        default:
+          return { check: label, passed: false, detail: `Unknown check type: ${check.type}` };
+      }
+    } catch (err) {
+      return { check: label, passed: false, detail: err.message };
+    }
+  }
+
+  async runChecks(checks, plan) {
+    const results = [];
+    for (const check of checks) results.push(await this.runCheck(check, plan));
+    return { passed: results.every(r => r.passed), results };
+  }
+
+  // ===== EXECUTION =====
+
+  isMutating(step) {
+    if (BUILTIN_ACTIONS[step.action.toUpperCase()]) return false;
+    if (step.action === RESTORE_SNAPSHOT) return true;
+    return !!this.registry.get(step.provider).commands[step.action]?.mutating;
+  }
+
+  async invoke(step, { incidentId, tenant, actor, snapshots, restoring }) {
+    const builtin = BUILTIN_ACTIONS[step.action.toUpperCase()];
+    if (builtin) return builtin(step);
+
+    // An operator started the runbook, so its steps count as human-approved: only the kill switch stops them
+    const lease = this.isMutating(step)
+      ? this.governor.acquire({ tenant, provider: step.provider, resourceId: step.target, action: step.action, incidentId }, { override: true, actor })
+      : null;
+    try {
+      const agent = this.registry.getHealAgent(step.provider, {
+        incidentId,
+        onSnapshot: (snapshot) => {
+          // Kept per step for RESTORE_SNAPSHOT rollbacks, and on the incident for POST /incidents/:id/revert
+          snapshots.set(step.id, [...(snapshots.get(step.id) || []), snapshot]);
+          if (incidentId && this.onSnapshot) this.onSnapshot(incidentId, snapshot);
+        }
+      });
+      if (step.action === RESTORE_SNAPSHOT) return await this.restore(agent, restoring, actor);
+      return await agent.heal({
+        remediation_command: step.action,
+        target_resource_id: step.target,
+        incident_id: incidentId,
+        parameters: step.parameters || {}
+      });
+    } finally {
+      if (lease) lease.release();
+    }
+  }
+
+  async runStep(step, ctx) {
+    const started = Date.now();
+    let lastError = null;
+    let attempts = 0;
+
+    while (attempts <= step.retries) {
+      attempts++;
+      try {
+        const result = await withTimeout(this.invoke(step, ctx), step.timeoutMs, `Step ${step.id}`);
+        if (result?.success === false) throw new Error(result.error || `${step.action} reported failure`);
+        return { id: step.id, action: step.action, status: 'succeeded', attempts, durationMs: Date.now() - started, result };
+      } catch (err) {
+        lastError = err;
+        if (err.governor) break; // Retrying cannot get past the kill switch
+        // The timed-out call may still be changing the resource; a retry would run the change twice at once
+        if (err.timedOut && this.isMutating(step)) {
+          ctx.emit('runbook.step.timeout', `${step.id} timed out; ${step.action} may still be running, not retried`);
+          break;
+        }
+        ctx.emit('runbook.step.retry', `${step.id} attempt ${attempts} failed: ${err.message}`);
+        if (attempts <= step.retries) await sleep(step.retryDelayMs);
+      }
+    }
+    return { id: step.id, action: step.action, status: 'failed', attempts, durationMs: Date.now() - started, error: lastError.message };
+  }
+
+  /**
+   * RESTORE_SNAPSHOT: puts back every snapshot the step captured, newest first, so a retried step ends at the
+   * state from before its first attempt. Nothing captured (e.g. a simulated command) means nothing to undo.
+   */
+  async restore(agent, snapshots = [], actor) {
+    const pending = snapshots.filter(snapshot => !snapshot.restoredAt).reverse();
+    for (const snapshot of pending) {
+      await agent.restore(snapshot);
+      Object.assign(snapshot, { restoredAt: new Date().toISOString(), restoredBy: actor });
+    }
+    return { success: true, status: pending.length ? 'restored' : 'nothing_to_restore', restored: pending.map(s => s.id) };
+  }
+
+  // Undo applied steps newest-first; a failing rollback is recorded but does not stop the others
+  async rollback(applied, ctx) {
+    const results = [];
+    for (const step of [...applied].reverse()) {
+      if (!step.rollback) continue;
+      ctx.emit('runbook.rollback', `Rolling back ${step.id} with ${step.rollback.action}`);
+      results.push(await this.runStep(step.rollback, { ...ctx, restoring: ctx.snapshots.get(step.id) }));
+    }
+    return results;
+  }
+
+  /**
+   * @param {string} id - Runbook id
+   * @param {object} options - { params, dryRun, incident, actor, tenant }
+   * Returns the execution record; status is one of
+   * planned | succeeded | failed | rolled_back | precondition_failed.
+   */
+  async execute(id, { params = {}, dryRun = false, incident = null, actor = 'system', tenant = null } = {}) {
+    const runbook = this.get(id);
+    if (!runbook) throw new Error(`Runbook not found: ${id}`);
+
+    const plan = this.resolve(runbook, params, incident);
+    const execution = {
+      executionId: `RB-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      runbookId: id,
+      incidentId: incident?.id || null,
+      dryRun,
+      actor,
+      startedAt: new Date().toISOString(),
+      status: 'running',
+      steps: [],
+      rollback: []
+    };
+    const ctx = {
+      incidentId: execution.incidentId,
+      tenant,
+      actor,
+      snapshots: new Map(), // step id -> snapshots captured while it ran
+      emit: (type, detail) => this.pushEvent({ source: 'RunbookEngine', type, incidentId: execution.incidentId, tenant, detail })
+    };
+
+    // Dry run: show the resolved plan, evaluate nothing that could touch infrastructure
+    if (dryRun) {
+      ctx.emit('runbook.dry_run', `Dry run of ${id} (${plan.steps.length} steps)`);
+      return { ...execution, status: 'planned', plan, finishedAt: new Date().toISOString() };
+    }
+
+    ctx.emit('runbook.started', `Executing ${id} as ${actor}`);
+
+    const pre = await this.runChecks(plan.preconditions, plan);
+    execution.preconditions = pre.results;
+    if (!pre.passed) {
+      ctx.emit('runbook.precondition_failed', pre.results.filter(r => !r.passed));
+      return this.finish(execution, 'precondition_failed', ctx, tenant);
+    }
+
+    const applied = [];
+    for (const step of plan.steps) {
+      ctx.emit('runbook.step.started', `${step.id}: ${step.action} on ${step.target || step.provider}`);
+      const outcome = await this.runStep(step, ctx);
+      execution.steps.push(outcome);
+
+      if (outcome.status === 'succeeded') {
+        applied.push(step);
+        if (step.verify.length) {
+          const verification = await this.runChecks(step.verify, plan);
+          outcome.verification = verification.results;
+          if (!verification.passed) {
+            outcome.status = 'verification_failed';
+          }
+        }
+      }
+
+      ctx.emit(`runbook.step.${outcome.status}`, { step: step.id, attempts: outcome.attempts, error: outcome.error });
+      if (outcome.status !== 'succeeded' && !step.continueOnError) {
+        execution.rollback = await this.rollback(applied, ctx);
+        return this.finish(execution, execution.rollback.length ? 'rolled_back' : 'failed', ctx, tenant);
+      }
+    }
+
+    return this.finish(execution, 'succeeded', ctx, tenant);
+  }
+
+  finish(execution, status, ctx, tenant) {
+    execution.status = status;
+    execution.finishedAt = new Date().toISOString();
+    ctx.emit(status === 'succeeded' ? 'runbook.completed' : 'runbook.failed', `${execution.runbookId}: ${status}`);
+    try {
+      auditLogger.log({
+        type: 'runbook.executed',
+        actor: execution.actor,
+        resource: execution.incidentId || `runbook:${execution.runbookId}`,
+        action: execution.runbookId,
+        result: status,
+        tenant,
+        details: {
+          executionId: execution.executionId,
+          incidentId: execution.incidentId,
+          steps: execution.steps.map(s => `${s.id}:${s.status}`),
+          rollback: execution.rollback.map(s => `${s.id}:${s.status}`)
+        }
+      });
+    } catch (e) {
+      console.error('[Runbook] Audit write failed:', e.message);
+    }
+    return execution;
+  }
+}
+
+module.exports = RunbookExecutor;
@@ -0,0 +1,166 @@
+// service-orchestrator/src/services/alertCorrelator.js
+// ALERT CORRELATION: Fingerprints incoming alarms, groups repeats into one incident, detects flapping
+// and applies per-tenant suppression rules before anything reaches remediation
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { globToRegex } = require('../middleware/approvalPolicy');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/alert-rules.json');
+
+const BUILTIN_DEFAULTS = {
+  recurrenceWindowMs: 300000, // an alarm within 5 min of its last incident resolving opens a new one linked to it
+  flapWindowMs: 1800000,
+  flapThreshold: 4 // ALARM/OK state changes within flapWindowMs
+};
+
+const dimensionsOf = (alarmData) => (alarmData.Trigger?.Dimensions || [])
+  .map(d => `${d.name || d.Name}=${d.value || d.Value}`)
+  .sort();
+
+class AlertCorrelator {
+  /**
+   * @param {object} options
+   * @param {object} options.incidentManager - Incidents carry the fingerprint they were opened for
+   * @param {object} [options.config] - { defaults: { recurrenceWindowMs, flapWindowMs, flapThreshold },
+   *   tenants: { tenantId: { ...overrides, suppress: [{ name, match: { alarmName, provider, resourceId }, until, reason }] } } }
+   *   Suppression `match` fields are globs; every field must match. `until` (ISO time) ends a rule, e.g. a maintenance window.
+   */
+  constructor(options = {}) {
+    const config = options.config || {};
+    this.incidentManager = options.incidentManager;
+    this.defaults = { ...BUILTIN_DEFAULTS, ...config.defaults };
+    this.tenants = Object.fromEntries(Object.entries(config.tenants || {}).map(([tenant, settings]) => [tenant, {
+      ...settings,
+      suppress: (settings.suppress || []).map((rule, i) => ({
+        ...rule,
+        name: rule.name || `${tenant}-suppress-${i + 1}`,
+        matchers: Object.entries(rule.match || {}).map(([field, patterns]) => [field, [].concat(patterns).map(globToRegex)])
+      }))
+    }]));
+    this.transitions = new Map(); // fingerprint -> { state, changes: [timestamps], flapping }
+  }
+
+  static load(options = {}, configPath = process.env.ALERT_RULES_FILE || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+      console.warn(`[AlertCorrelator] No alert rules at ${configPath}, using built-in windows and no suppression`);
+      return new AlertCorrelator(options);
+    }
+    const correlator = new AlertCorrelator({ ...options, config: JSON.parse(fs.readFileSync(configPath, 'utf8')) });
+    const rules = Object.values(correlator.tenants).reduce((sum, t) => sum + t.suppress.length, 0);
+    console.log(`[AlertCorrelator] Loaded ${rules} suppression rules for ${Object.keys(correlator.tenants).length} tenants from ${configPath}`);
+    return correlator;
+  }
+
+  settings(tenant) {
+    const { suppress, ...overrides } = this.tenants[tenant] || {};
+    return { ...this.defaults, ...overrides };
+  }
+
+  /**
+   * Same alarm on the same resource of the same provider and tenant -> same fingerprint.
+   */
+  fingerprint(alarmData, { tenant = 'default', provider = 'aws' } = {}) {
+    const key = [tenant, provider, alarmData.AlarmName || 'UnknownAlarm', ...dimensionsOf(alarmData)].join('|');
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  suppression(alert) {
+    const now = Date.now();
+    return (this.tenants[alert.tenant]?.suppress || []).find(rule =>
+      (!rule.until || now < Date.parse(rule.until)) &&
+      rule.matchers.every(([field, patterns]) => patterns.some(re => re.test(String(alert[field] ?? ''))))) || null;
+  }
+
+  /**
+   * Records an ALARM/OK state change and reports whether the fingerprint is flapping.
+   * Repeats of the current state are not changes.
+   */
+  observe(fingerprint, state, { flapWindowMs, flapThreshold }, now = Date.now()) {
+    // Forget fingerprints that have been quiet for a whole window
+    for (const [key, entry] of this.transitions) {
+      if (key !== fingerprint && now - (entry.changes[entry.changes.length - 1] ?? entry.seenAt) > flapWindowMs) this.transitions.delete(key);
+    }
+
+    const entry = this.transitions.get(fingerprint) || { state: null, changes: [], flapping: false, seenAt: now };
+    if (entry.state && entry.state !== state) entry.changes.push(now);
+    entry.state = state;
+    entry.seenAt = now;
+    entry.changes = entry.changes.filter(at => now - at <= flapWindowMs);
+
+    const wasFlapping = entry.flapping;
+    entry.flapping = entry.changes.length >= flapThreshold;
+    this.transitions.set(fingerprint, entry);
+    return { flapping: entry.flapping, started: entry.flapping && !wasFlapping, changes: entry.changes.length };
+  }
+
+  // Latest incident opened for the fingerprint; incidents from before fingerprinting match on alarm name while open
+  latestIncident(fingerprint, alert) {
+    return this.incidentManager.list({ tenant: alert.tenant }).find(incident =>
+      incident.fingerprint === fingerprint ||
+      (!incident.fingerprint && incident.alarmName === alert.alarmName && this.incidentManager.isOpen(incident.id))) || null;
+  }
+
+  /**
+   * Decides what an incoming alarm does:
+   *   open     - new incident (and remediation); `recurrenceOf` is the resolved incident it follows closely
+   *              (inside the recurrence window, or while the alarm is flapping)
+   *   group    - joins `incident`, which is still open
+   *   resolve  - OK for an open incident
+   *   hold     - OK for an open incident that is flapping; it stays open until the alarm settles
+   *   suppress - matched suppression `rule`
+   *   ignore   - OK without an open incident, or a state other than ALARM/OK
+   *
+   * @returns {{ action, fingerprint, state, alert, incident?, recurrenceOf?, rule?, flapping, flapStarted }}
+   */
+  correlate(alarmData, { tenant = 'default', provider = 'aws', resourceId = null } = {}) {
+    const state = alarmData.NewStateValue || alarmData.NewState || 'ALARM';
+    const alert = { tenant, provider, alarmName: alarmData.AlarmName || 'UnknownAlarm', resourceId, dimensions: dimensionsOf(alarmData) };
+    const fingerprint = this.fingerprint(alarmData, { tenant, provider });
+    const settings = this.settings(tenant);
+    const decision = (action, extra = {}) => ({ action, fingerprint, state, alert, flapping: false, flapStarted: false, ...extra });
+
+    if (state !== 'ALARM' && state !== 'OK') return decision('ignore');
+
+    const flap = this.observe(fingerprint, state, settings);
+    const flapInfo = { flapping: flap.flapping, flapStarted: flap.started };
+    const latest = this.latestIncident(fingerprint, alert);
+    const open = latest && this.incidentManager.isOpen(latest.id) ? latest : null;
+
+    if (state === 'OK') {
+      if (!open) return decision('ignore', flapInfo);
+      return decision(flap.flapping ? 'hold' : 'resolve', { ...flapInfo, incident: open });
+    }
+
+    const rule = this.suppression(alert);
+    if (rule) return decision('suppress', { ...flapInfo, rule: { name: rule.name, reason: rule.reason || null } });
+
+    if (open) return decision('group', { ...flapInfo, incident: open });
+    // A resolved incident is never reopened: the alarm is back, so it gets its own incident and remediation
+    if (latest) {
+      const sinceResolved = Date.now() - Date.parse(latest.resolvedAt || latest.updatedAt);
+      if (sinceResolved < settings.recurrenceWindowMs || flap.flapping) {
+        return decision('open', { ...flapInfo, recurrenceOf: latest });
+      }
+    }
+    return decision('open', flapInfo);
+  }
+
+  /**
+   * Tenant view for GET /alerts/correlation.
+   */
+  describe(tenant) {
+    return {
+      tenant,
+      settings: this.settings(tenant),
+      suppress: (this.tenants[tenant]?.suppress || []).map(({ matchers, ...rule }) => rule),
+      flapping: this.incidentManager.list({ tenant })
+        .filter((incident, i, all) => incident.fingerprint && this.transitions.get(incident.fingerprint)?.flapping &&
+          all.findIndex(other => other.fingerprint === incident.fingerprint) === i)
+        .map(incident => ({ fingerprint: incident.fingerprint, incidentId: incident.id, alarmName: incident.alarmName, changes: this.transitions.get(incident.fingerprint).changes.length }))
+    };
+  }
+}
+
+module.exports = AlertCorrelator;
@@ -0,0 +1,62 @@
+// service-orchestrator/src/services/bm25Index.js
+// BM25: Keyword relevance index, the KnowledgeBase's retrieval when no embedding model is configured
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Lowercased words; snake_case and kebab-case names split into their parts, plural "s" dropped
+const tokenize = (text = '') => String(text).toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token))
+  .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.entries = []; // { id, terms: Map(term -> count), length }
+    this.df = new Map(); // term -> entries containing it
+    this.avgLength = 0;
+  }
+
+  /**
+   * Replaces the indexed entries.
+   * @param {Array<{ id: string, text: string }>} items
+   */
+  build(items) {
+    this.entries = items.map(({ id, text }) => {
+      const tokens = tokenize(text);
+      const terms = new Map();
+      tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+      return { id, terms, length: tokens.length };
+    });
+    this.df = new Map();
+    this.entries.forEach(entry => entry.terms.forEach((_, term) => this.df.set(term, (this.df.get(term) || 0) + 1)));
+    this.avgLength = this.entries.reduce((sum, entry) => sum + entry.length, 0) / (this.entries.length || 1);
+    return this;
+  }
+
+  /**
+   * @returns {Array<{ id, score }>} Entries sharing at least one term with the query, best first
+   */
+  search(query, k = 5) {
+    const terms = [...new Set(tokenize(query))];
+    const n = this.entries.length;
+    return this.entries
+      .map(entry => {
+        const score = terms.reduce((sum, term) => {
+          const tf = entry.terms.get(term);
+          if (!tf) return sum;
+          const df = this.df.get(term);
+          const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+          return sum + idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * entry.length / (this.avgLength || 1)));
+        }, 0);
+        return { id: entry.id, score };
+      })
+      .filter(hit => hit.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
+
+module.exports = Bm25Index;
+module.exports.tokenize = tokenize;
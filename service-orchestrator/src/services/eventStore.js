@@ -0,0 +1,217 @@
+// service-orchestrator/src/services/eventStore.js
+// EVENT BUS: Sequenced, replayable event log with retention and optional persistence
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// --- PERSISTENCE ADAPTERS ---
+// Each adapter implements load(limit), lastSeq(), append(entry), prune(minSeq), clear()
+
+class FileEventPersistence {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch (e) { return null; } })
+      .filter(Boolean);
+  }
+
+  load(limit) {
+    return this.readAll().slice(-limit);
+  }
+
+  lastSeq() {
+    const all = this.readAll();
+    return all.length ? all[all.length - 1].seq : 0;
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  // NDJSON is append-only, so retention rewrites the file
+  prune(minSeq) {
+    const kept = this.readAll().filter(e => e.seq >= minSeq);
+    fs.writeFileSync(this.filePath, kept.map(e => JSON.stringify(e) + '\n').join(''));
+  }
+
+  clear() {
+    fs.writeFileSync(this.filePath, '');
+  }
+}
+
+class SqliteEventPersistence {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  load(limit) { return this.repository.loadEvents(limit); }
+  lastSeq() { return this.repository.lastEventSeq(); }
+  append(entry) { this.repository.appendEvent(entry); }
+  prune(minSeq) { this.repository.pruneEvents(minSeq); }
+  clear() { this.repository.clearEvents(); }
+}
+
+// --- THE STORE ---
+class EventStore extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {number} [options.maxEvents] - Count-based retention (EVENTS_MAX, default 3000)
+   * @param {number} [options.maxAgeMs] - Age-based retention (EVENTS_MAX_AGE_HOURS, default off)
+   * @param {object} [options.persistence] - Adapter from EventStore.createPersistence()
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per SSE client
+    this.maxEvents = options.maxEvents || Number(process.env.EVENTS_MAX) || 3000;
+    this.maxAgeMs = options.maxAgeMs ?? (Number(process.env.EVENTS_MAX_AGE_HOURS) || 0) * 3600 * 1000;
+    this.persistence = options.persistence || null;
+    this.events = [];
+    this.seq = 0;
+    // Persisted events are pruned in batches to avoid rewriting storage on every append
+    this.pruneEvery = Math.max(1, Math.floor(this.maxEvents / 10));
+    this.sincePrune = 0;
+
+    if (this.persistence) {
+      try {
+        this.events = this.persistence.load(this.maxEvents);
+        this.seq = Math.max(this.persistence.lastSeq(), this.events.length ? this.events[this.events.length - 1].seq : 0);
+        console.log(`[EventStore] Restored ${this.events.length} events (seq ${this.seq})`);
+      } catch (e) {
+        console.error('[EventStore] Failed to restore events:', e.message);
+      }
+    }
+  }
+
+  static createPersistence(kind, { filePath, repository } = {}) {
+    switch ((kind || 'memory').toLowerCase()) {
+      case 'file':
+        return new FileEventPersistence(filePath || 'data/events.ndjson');
+      case 'sqlite':
+        return new SqliteEventPersistence(repository || require('../db/repository'));
+      case 'memory':
+        return null;
+      default:
+        console.warn(`[EventStore] Unknown persistence '${kind}', keeping events in memory`);
+        return null;
+    }
+  }
+
+  append(ev) {
+    const entry = {
+      eventId: `evt-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      ts: new Date().toISOString(),
+      ...ev,
+      seq: ++this.seq
+    };
+
+    this.events.push(entry);
+    if (this.persistence) {
+      try {
+        this.persistence.append(entry);
+      } catch (e) {
+        console.error('[EventStore] Persist failed:', e.message);
+      }
+    }
+    this.applyRetention();
+    this.emit('event', entry);
+    return entry;
+  }
+
+  applyRetention() {
+    const before = this.events.length;
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents);
+    }
+    if (this.maxAgeMs > 0) {
+      const cutoff = new Date(Date.now() - this.maxAgeMs).toISOString();
+      const firstFresh = this.events.findIndex(e => e.ts >= cutoff);
+      this.events.splice(0, firstFresh === -1 ? this.events.length : firstFresh);
+    }
+
+    this.sincePrune += before - this.events.length;
+    if (this.persistence && this.sincePrune >= this.pruneEvery) {
+      this.sincePrune = 0;
+      try {
+        this.persistence.prune(this.oldestSeq());
+      } catch (e) {
+        console.error('[EventStore] Prune failed:', e.message);
+      }
+    }
+  }
+
+  // Index of the first retained event with seq > after (events are seq-ordered)
+  indexAfter(after) {
+    let lo = 0;
+    let hi = this.events.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.events[mid].seq <= after) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  // Events without a tenant are platform-wide and visible to every tenant
+  matches(entry, { source, type, incidentId, tenant }) {
+    if (source && entry.source !== source) return false;
+    if (type && !(type.endsWith('*') ? entry.type?.startsWith(type.slice(0, -1)) : entry.type === type)) return false;
+    if (incidentId && entry.incidentId !== incidentId) return false;
+    if (tenant && entry.tenant && entry.tenant !== tenant) return false;
+    return true;
+  }
+
+  /**
+   * Cursor-based read.
+   * - With `after`: the oldest `limit` events whose seq > after (page forward without gaps or repeats).
+   * - Without `after`: the newest `limit` events (initial load), or everything retained if no limit.
+   * `type` accepts a trailing wildcard, e.g. "incident.*".
+   */
+  query({ after, limit, source, type, incidentId, tenant } = {}) {
+    const filter = { source, type, incidentId, tenant };
+
+    if (after !== undefined && after !== null) {
+      const out = [];
+      for (let i = this.indexAfter(Number(after)); i < this.events.length; i++) {
+        if (this.matches(this.events[i], filter)) out.push(this.events[i]);
+        if (limit && out.length >= limit) break;
+      }
+      return out;
+    }
+
+    const matched = this.events.filter(e => this.matches(e, filter));
+    return limit ? matched.slice(-limit) : matched;
+  }
+
+  all() {
+    return this.events;
+  }
+
+  lastSeq() {
+    return this.seq;
+  }
+
+  oldestSeq() {
+    return this.events.length ? this.events[0].seq : this.seq + 1;
+  }
+
+  // Sequence numbers keep increasing after a clear so existing cursors stay valid
+  clear() {
+    this.events = [];
+    if (this.persistence) {
+      try {
+        this.persistence.clear();
+      } catch (e) {
+        console.error('[EventStore] Clear failed:', e.message);
+      }
+    }
+  }
+}
+
+module.exports = EventStore;
@@ -0,0 +1,154 @@
+// service-orchestrator/src/services/incidentHistory.js
+// INCIDENT MEMORY: Closed incidents indexed for similar-incident retrieval, plus each remediation's
+// track record per alarm type
+
+const Bm25Index = require('./bm25Index');
+const { tokenize } = require('./bm25Index');
+const providerRegistry = require('../providers/registry');
+
+const CLOSED = ['resolved', 'escalated'];
+
+// "Critical-HighErrors-fn-1234" and "Critical-HighErrors-fn-5678" are the same kind of alarm
+const alarmType = (alarmName = '') => tokenize(alarmName).filter(token => !/\d/.test(token)).join('-') || 'unknown';
+
+// Plan actions and aliases count under the command they ran as
+const commandFor = (provider, action) => {
+  try {
+    return providerRegistry.resolveCommand(provider, action);
+  } catch (e) {
+    return String(action).toUpperCase();
+  }
+};
+
+/**
+ * 'success' when verification saw the resource recover, 'failure' when the command failed or health did not
+ * come back; governor blocks and unverifiable runs say nothing about the action and are left out of the rates.
+ */
+const attemptOutcome = (attempt) => {
+  if (attempt.blocked) return null;
+  if (attempt.error) return 'failure';
+  if (attempt.verification?.status === 'recovered') return 'success';
+  if (attempt.verification?.status === 'not_recovered') return 'failure';
+  return null;
+};
+
+class IncidentHistory {
+  /**
+   * @param {object} options
+   * @param {object} options.incidentManager - Source of past incidents (rehydrated from the database)
+   * @param {number} [options.topK] - HISTORY_TOP_K, similar incidents in a prompt (default 3)
+   * @param {number} [options.maxIncidents] - HISTORY_MAX_INCIDENTS, most recent closed incidents considered (default 500)
+   * @param {number} [options.minSamples] - HISTORY_MIN_SAMPLES, verified attempts before a success rate counts (default 3)
+   * @param {number} [options.minSuccessRate] - HISTORY_MIN_SUCCESS_RATE, below this an action is steered away from (default 0.34)
+   */
+  constructor(options = {}) {
+    this.incidentManager = options.incidentManager;
+    this.topK = options.topK ?? Number(process.env.HISTORY_TOP_K || 3);
+    this.maxIncidents = options.maxIncidents ?? Number(process.env.HISTORY_MAX_INCIDENTS || 500);
+    this.minSamples = options.minSamples ?? Number(process.env.HISTORY_MIN_SAMPLES || 3);
+    this.minSuccessRate = options.minSuccessRate ?? Number(process.env.HISTORY_MIN_SUCCESS_RATE || 0.34);
+  }
+
+  /**
+   * Closed incidents of the tenant as { id, alarmName, alarmType, provider, status, rootCause, remediations }.
+   * Incidents that never got a plan (closed by hand before triage) are skipped.
+   */
+  records({ tenant } = {}) {
+    return this.incidentManager.list({ tenant })
+      .filter(incident => CLOSED.includes(incident.status) && incident.plan)
+      .slice(0, this.maxIncidents)
+      .map(incident => ({
+        id: incident.id,
+        alarmName: incident.alarmName,
+        alarmType: alarmType(incident.alarmName),
+        reason: incident.reason,
+        provider: incident.provider,
+        status: incident.status,
+        closedAt: incident.resolvedAt || incident.updatedAt,
+        rootCause: incident.plan.rationale || incident.plan.analysis || null,
+        remediations: (incident.attempts || []).map(attempt => ({
+          command: commandFor(incident.provider, attempt.action),
+          outcome: attemptOutcome(attempt),
+          detail: attempt.error || attempt.verification?.reason || null
+        }))
+      }));
+  }
+
+  /**
+   * Past incidents most like the alarm, best first. Same tenant only.
+   * @returns {Array<record & { score }>}
+   */
+  similar(alarmData = {}, { tenant, k = this.topK } = {}) {
+    const records = this.records({ tenant });
+    if (!records.length) return [];
+    const byId = new Map(records.map(record => [record.id, record]));
+    const index = new Bm25Index().build(records.map(record => ({
+      id: record.id,
+      text: [record.alarmName, record.reason, record.rootCause, ...record.remediations.map(r => r.command)].filter(Boolean).join(' ')
+    })));
+    const query = [alarmData.AlarmName || alarmData.alarmName, alarmData.AlarmDescription, alarmData.NewStateReason || alarmData.reason]
+      .filter(Boolean).join(' ');
+    return index.search(query, k).map(hit => ({ ...byId.get(hit.id), score: Number(hit.score.toFixed(3)) }));
+  }
+
+  /**
+   * Verified outcomes per command for one alarm type (or every type when omitted).
+   * @returns {Array<{ alarmType, provider, command, attempts, successes, successRate, discouraged }>} Worst first
+   */
+  successRates({ tenant, alarmType: type, provider } = {}) {
+    const stats = new Map();
+    for (const record of this.records({ tenant })) {
+      if (type && record.alarmType !== type) continue;
+      if (provider && record.provider !== provider) continue;
+      for (const { command, outcome } of record.remediations) {
+        if (!outcome) continue;
+        const key = `${record.alarmType}|${record.provider}|${command}`;
+        const entry = stats.get(key) || { alarmType: record.alarmType, provider: record.provider, command, attempts: 0, successes: 0 };
+        entry.attempts += 1;
+        if (outcome === 'success') entry.successes += 1;
+        stats.set(key, entry);
+      }
+    }
+    return [...stats.values()]
+      .map(entry => {
+        const successRate = Number((entry.successes / entry.attempts).toFixed(2));
+        return { ...entry, successRate, discouraged: entry.attempts >= this.minSamples && successRate < this.minSuccessRate };
+      })
+      .sort((a, b) => a.successRate - b.successRate || b.attempts - a.attempts);
+  }
+
+  /**
+   * Why the action should not be picked for this alarm, or null when its record is fine or too thin to judge.
+   */
+  discouraged(alarmData = {}, action, { tenant, provider } = {}) {
+    const command = commandFor(provider, action);
+    const stat = this.successRates({ tenant, provider, alarmType: alarmType(alarmData.AlarmName || alarmData.alarmName) })
+      .find(entry => entry.command === command);
+    if (!stat?.discouraged) return null;
+    return `${command} recovered ${stat.successes}/${stat.attempts} past ${stat.alarmType} incidents`;
+  }
+
+  /**
+   * Prompt sections: the most similar past incidents and the track record of each command on this alarm type.
+   */
+  promptContext(alarmData = {}, { tenant, provider } = {}) {
+    const similar = this.similar(alarmData, { tenant }).map(record => {
+      const remediations = record.remediations
+        .map(r => `${r.command} ${r.outcome === 'success' ? 'recovered' : r.outcome === 'failure' ? 'FAILED' : 'unverified'}`)
+        .join(', ') || 'none';
+      return `- ${record.id} ${record.alarmName} (${record.provider}, ${record.status}): root cause "${String(record.rootCause || 'unknown').slice(0, 200)}"; remediation: ${remediations}`;
+    });
+    const type = alarmType(alarmData.AlarmName || alarmData.alarmName);
+    const rates = this.successRates({ tenant, provider, alarmType: type }).map(entry =>
+      `- ${entry.command}: ${entry.successes}/${entry.attempts} recovered (${Math.round(entry.successRate * 100)}%)${entry.discouraged ? ' - historically fails, avoid' : ''}`
+    );
+    return `SIMILAR PAST INCIDENTS:
+${similar.join('\n') || 'none'}
+
+REMEDIATION TRACK RECORD (${type}${provider ? ` on ${provider}` : ''}):
+${rates.join('\n') || 'no verified remediations yet'}`;
+  }
+}
+
+module.exports = IncidentHistory;
+module.exports.alarmType = alarmType;
@@ -0,0 +1,156 @@
+// service-orchestrator/src/services/incidentManager.js
+// INCIDENT LIFECYCLE: First-class incidents with an explicit state machine
+
+const STATES = ['open', 'triaging', 'awaiting_approval', 'remediating', 'verifying', 'resolved', 'escalated'];
+
+// Allowed moves between lifecycle states. 'resolved' is terminal.
+const TRANSITIONS = {
+  open: ['triaging', 'escalated', 'resolved'],
+  triaging: ['awaiting_approval', 'remediating', 'escalated', 'resolved'],
+  awaiting_approval: ['remediating', 'escalated', 'resolved'],
+  remediating: ['verifying', 'awaiting_approval', 'escalated'],
+  verifying: ['resolved', 'remediating', 'awaiting_approval', 'escalated'],
+  escalated: ['triaging', 'remediating', 'resolved'],
+  resolved: []
+};
+
+class IncidentManager {
+  constructor(context = {}) {
+    this.pushEvent = context.pushEvent || (() => {});
+    this.repository = context.repository || null;
+    this.incidents = new Map();
+
+    // Rehydrate from the database so open incidents survive a restart
+    if (this.repository) {
+      for (const incident of this.repository.listIncidents()) {
+        this.incidents.set(incident.id, incident);
+      }
+    }
+  }
+
+  persist(incident) {
+    if (!this.repository) return;
+    try {
+      this.repository.saveIncident(incident);
+    } catch (e) {
+      console.error(`[IncidentManager] Failed to persist ${incident.id}:`, e.message);
+    }
+  }
+
+  /**
+   * Opens a new incident and returns it.
+   */
+  create({
+    alarmName, reason, provider = 'aws', resourceId = null, severity = 'MEDIUM', tenant = 'default',
+    environment = process.env.AURA_ENVIRONMENT || 'production', source = 'system', triggeredBy = source, fingerprint = null
+  } = {}) {
+    const now = new Date().toISOString();
+    const incident = {
+      id: `INC-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+      status: 'open',
+      alarmName: alarmName || 'UnknownAlarm',
+      reason: reason || null,
+      provider: provider.toLowerCase(),
+      resourceId,
+      severity: severity.toUpperCase(),
+      tenant,
+      environment,
+      source,
+      triggeredBy, // Requester for separation-of-duties checks on approvals
+      fingerprint, // Alert fingerprint (AlertCorrelator); repeats of the alarm are grouped onto this incident
+      plan: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      resolvedAt: null,
+      history: [{ from: null, to: 'open', at: now, actor: source, reason: reason || null }]
+    };
+
+    this.incidents.set(incident.id, incident);
+    this.persist(incident);
+    this.pushEvent({ source: 'IncidentManager', type: 'incident.opened', incidentId: incident.id, tenant: incident.tenant, detail: `${incident.id}: ${incident.alarmName}` });
+    return incident;
+  }
+
+  get(id) {
+    return this.incidents.get(id) || null;
+  }
+
+  list({ status, tenant } = {}) {
+    return [...this.incidents.values()]
+      .filter(i => !status || i.status === status)
+      .filter(i => !tenant || i.tenant === tenant)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  canTransition(id, to) {
+    const incident = this.get(id);
+    return !!incident && (TRANSITIONS[incident.status] || []).includes(to);
+  }
+
+  /**
+   * Moves an incident to a new lifecycle state. Throws on unknown incidents or illegal moves.
+   */
+  transition(id, to, { actor = 'system', reason = null } = {}) {
+    const incident = this.get(id);
+    if (!incident) throw new Error(`Unknown incident: ${id}`);
+    if (!STATES.includes(to)) throw new Error(`Unknown incident state: ${to}`);
+    if (!this.canTransition(id, to)) {
+      throw new Error(`Illegal transition for ${id}: ${incident.status} -> ${to}`);
+    }
+
+    const now = new Date().toISOString();
+    incident.history.push({ from: incident.status, to, at: now, actor, reason });
+    incident.status = to;
+    incident.updatedAt = now;
+    if (to === 'resolved') incident.resolvedAt = now;
+    this.persist(incident);
+
+    this.pushEvent({
+      source: 'IncidentManager',
+      type: `incident.${to}`,
+      incidentId: id,
+      tenant: incident.tenant,
+      detail: reason ? `${id}: ${reason}` : `${id} -> ${to}`
+    });
+    return incident;
+  }
+
+  /**
+   * Attaches data (plan, result, resourceId...) without changing state.
+   */
+  update(id, fields) {
+    const incident = this.get(id);
+    if (!incident) throw new Error(`Unknown incident: ${id}`);
+    Object.assign(incident, fields, { updatedAt: new Date().toISOString() });
+    this.persist(incident);
+    return incident;
+  }
+
+  /**
+   * Keeps the prior state captured before a remediation so POST /incidents/:id/revert can restore it.
+   */
+  addSnapshot(id, snapshot) {
+    const incident = this.get(id);
+    if (!incident) throw new Error(`Unknown incident: ${id}`);
+    return this.update(id, { snapshots: [...(incident.snapshots || []), snapshot] });
+  }
+
+  isOpen(id) {
+    const incident = this.get(id);
+    return !!incident && incident.status !== 'resolved';
+  }
+
+  /**
+   * Returns a pushEvent that stamps every event with the incident ID and tenant.
+   */
+  scopedPushEvent(id) {
+    const tenant = this.get(id)?.tenant;
+    return (ev) => this.pushEvent({ ...ev, incidentId: id, tenant });
+  }
+}
+
+IncidentManager.STATES = STATES;
+IncidentManager.TRANSITIONS = TRANSITIONS;
+
+module.exports = IncidentManager;
@@ -1,45 +1,311 @@
 // service-orchestrator/src/services/knowledgeBase.js
-// RAG ENGINE: In-Memory Vector Store for Corporate SOPs
-
-const SOP_DATABASE = [
-  {
-    id: 'SOP-001',
-    topic: 'High Latency / Timeout',
-    content: 'POLICY: For latency > 5s, verify database connection pool. If healthy, INCREASE_LAMBDA_TIMEOUT by 50%. DO NOT scale memory without approval.'
-  },
-  {
-    id: 'SOP-002',
-    topic: 'Memory Exhaustion / OOM',
-    content: 'POLICY: If error log contains "Task timed out" or "Memory", check memory utilization. Remediation: INCREASE_LAMBDA_MEMORY to next tier (e.g. 512 -> 1024).'
-  },
-  {
-    id: 'SOP-003',
-    topic: 'Unknown Error / Crash',
-    content: 'POLICY: For unclassified 5xx errors, attempt RESTART_LAMBDA to clear transient state. If error persists > 3 times, Escalate to Human.'
-  },
-  {
-    id: 'SOP-004',
-    topic: 'Cost Control',
-    content: 'POLICY: Any scaling action that increases cost > $10/day requires HITL (Human-in-the-Loop) approval.'
-  }
-];
+// RAG ENGINE: Corporate SOPs from markdown files, chunked and indexed for retrieval
+// (embedding vectors from the configured model provider, BM25 keyword search otherwise)
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Bm25Index = require('./bm25Index');
+const modelRegistry = require('../llm');
+const auditLogger = require('../audit/logger');
+
+const DEFAULT_DIR = path.resolve(__dirname, '../../config/sops');
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const DOC_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MAX_DOCUMENT_CHARS = 100000;
+
+const slugify = (text = '') => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
 
 class KnowledgeBase {
-  static getContext(alarmName) {
-    // Simple semantic search simulation
-    // In a real billion-dollar app, this would be a Vector DB query (Pinecone/Weaviate)
-    
-    const relevantSops = SOP_DATABASE.filter(sop => 
-      alarmName.toLowerCase().includes('timeout') && sop.topic.includes('Timeout') ||
-      alarmName.toLowerCase().includes('error') && sop.topic.includes('Unknown') ||
-      alarmName.toLowerCase().includes('memory') && sop.topic.includes('Memory')
-    );
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - KB_DOCS_DIR, markdown SOPs (default config/sops); ingested documents are written here
+   * @param {object|null} [options.embedder] - Model provider with embed(). Default from KB_EMBEDDINGS: 'default'
+   *   (the default model provider, if it has an embedding model), a config/llm.json provider name, or 'none' (BM25 only)
+   * @param {number} [options.chunkChars] - KB_CHUNK_CHARS, target chunk size (default 800)
+   * @param {number} [options.topK] - KB_TOP_K, chunks in a prompt context (default 3)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.KB_DOCS_DIR || DEFAULT_DIR;
+    this.embedderOption = options.embedder;
+    this.chunkChars = options.chunkChars ?? Number(process.env.KB_CHUNK_CHARS || 800);
+    this.topK = options.topK ?? Number(process.env.KB_TOP_K || 3);
+    this.documents = new Map(); // id -> { id, title, pinned, source, body }
+    this.chunks = new Map(); // chunk id -> { id, docId, title, text }
+    this.vectors = new Map(); // chunk id -> embedding
+    this.queryVectors = new Map(); // recent query embeddings
+    this.bm25 = new Bm25Index();
+    this.loadErrors = [];
+    this.loaded = false;
+    this.ready = Promise.resolve();
+  }
+
+  // The embedding provider is resolved on first use so requiring this module stays free of SDK clients
+  get embedder() {
+    if (this.embedderOption === undefined) {
+      const setting = process.env.KB_EMBEDDINGS || 'default';
+      let provider = null;
+      try {
+        provider = setting === 'none' ? null : setting === 'default' ? modelRegistry.forTenant(null) : modelRegistry.get(setting);
+      } catch (err) {
+        console.error(`[KnowledgeBase] Embedding provider '${setting}' unavailable: ${err.message}`);
+      }
+      this.embedderOption = provider && provider.supportsEmbeddings() ? provider : null;
+    }
+    return this.embedderOption;
+  }
+
+  // ===== LOADING =====
+
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+    return this;
+  }
+
+  load() {
+    this.documents.clear();
+    this.chunks.clear();
+    this.vectors.clear();
+    this.loadErrors = [];
+    this.loaded = true;
 
-    // Always include Cost Policy
-    relevantSops.push(SOP_DATABASE.find(s => s.id === 'SOP-004'));
+    if (!fs.existsSync(this.dir)) {
+      console.warn(`[KnowledgeBase] Directory ${this.dir} not found, no documents loaded`);
+    } else {
+      for (const file of fs.readdirSync(this.dir).filter(f => /\.md$/i.test(f)).sort()) {
+        try {
+          const doc = this.parseDocument(fs.readFileSync(path.join(this.dir, file), 'utf8'), file);
+          if (!DOC_ID.test(doc.id)) throw new Error(`invalid document id '${doc.id}'`);
+          if (this.documents.has(doc.id)) throw new Error(`duplicate document id '${doc.id}'`);
+          this.addDocument({ ...doc, source: file });
+        } catch (err) {
+          console.error(`[KnowledgeBase] Skipping ${file}: ${err.message}`);
+          this.loadErrors.push({ file, error: err.message });
+        }
+      }
+    }
+    this.reindex();
+    console.log(`[KnowledgeBase] Loaded ${this.documents.size} documents (${this.chunks.size} chunks) from ${this.dir}`);
+
+    this.ready = this.embedChunks([...this.chunks.values()]);
+    return this;
+  }
+
+  /**
+   * Markdown with optional YAML front matter: id (default: file name), title (default: first heading), pinned
+   * (always part of the prompt context, e.g. cost policy).
+   */
+  parseDocument(text, file = '') {
+    const match = String(text).match(FRONT_MATTER);
+    const meta = (match && yaml.load(match[1])) || {};
+    const body = (match ? text.slice(match[0].length) : String(text)).trim();
+    const id = String(meta.id || path.basename(file, path.extname(file)));
+    const heading = body.match(/^#\s+(.+)$/m);
+    return { id, title: String(meta.title || heading?.[1] || id).trim(), pinned: meta.pinned === true, body };
+  }
+
+  /**
+   * Paragraph-aligned chunks of about chunkChars; a paragraph that ends one chunk also starts the next
+   * so a rule split across the boundary is still retrievable in one piece.
+   */
+  chunkDocument(doc) {
+    const paragraphs = doc.body.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+      // Oversized paragraphs are cut at line breaks first
+      .flatMap(p => (p.length > this.chunkChars ? p.split('\n').filter(line => line.trim()) : [p]));
+
+    const chunks = [];
+    let current = [];
+    for (const paragraph of paragraphs) {
+      if (current.length && current.join('\n\n').length + paragraph.length > this.chunkChars) {
+        chunks.push(current.join('\n\n'));
+        current = current.length > 1 ? [current[current.length - 1]] : [];
+      }
+      current.push(paragraph);
+    }
+    if (current.length) chunks.push(current.join('\n\n'));
+
+    return (chunks.length ? chunks : [doc.title]).map((text, i) => ({ id: `${doc.id}#${i}`, docId: doc.id, title: doc.title, text }));
+  }
+
+  addDocument(doc) {
+    for (const chunkId of [...this.chunks.keys()].filter(id => this.chunks.get(id).docId === doc.id)) {
+      this.chunks.delete(chunkId);
+      this.vectors.delete(chunkId);
+    }
+    this.documents.set(doc.id, doc);
+    const chunks = this.chunkDocument(doc);
+    chunks.forEach(chunk => this.chunks.set(chunk.id, chunk));
+    return chunks;
+  }
+
+  reindex() {
+    // The title is indexed with every chunk so "timeout" finds the latency SOP even from its second chunk
+    this.bm25.build([...this.chunks.values()].map(chunk => ({ id: chunk.id, text: `${chunk.title}\n${chunk.text}` })));
+  }
+
+  async embedChunks(chunks) {
+    const { embedder } = this;
+    if (!embedder || !chunks.length) return;
+    try {
+      const vectors = await embedder.embed(chunks.map(chunk => `${chunk.title}\n${chunk.text}`));
+      chunks.forEach((chunk, i) => this.vectors.set(chunk.id, vectors[i]));
+      console.log(`[KnowledgeBase] Embedded ${chunks.length} chunks with ${embedder.name}/${embedder.embeddingModel}`);
+    } catch (err) {
+      console.error(`[KnowledgeBase] Embedding failed, using BM25: ${err.message}`);
+    }
+  }
+
+  // Vector search once every chunk has an embedding, keyword search until then (or without an embedder)
+  get method() {
+    return this.embedder && this.chunks.size && [...this.chunks.keys()].every(id => this.vectors.has(id)) ? 'vector' : 'bm25';
+  }
+
+  // ===== RETRIEVAL =====
+
+  /**
+   * Top-k chunks for a query.
+   * minRelativeScore drops hits scoring below that share of the best one (BM25 scores are unbounded, so an
+   * absolute cut-off would depend on the corpus)
+   * @returns {Promise<Array<{ id, title, chunk, text, score, method }>>} id is the document id (e.g. SOP-001)
+   */
+  async search(query = '', { k = this.topK, minRelativeScore = 0 } = {}) {
+    this.ensureLoaded();
+    if (!String(query).trim()) return [];
+
+    let hits = null;
+    let method = this.method;
+    if (method === 'vector') {
+      try {
+        const queryVector = await this.embedQuery(query);
+        hits = [...this.vectors.entries()]
+          .map(([id, vector]) => ({ id, score: cosine(queryVector, vector) }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, k);
+      } catch (err) {
+        console.error(`[KnowledgeBase] Query embedding failed, using BM25: ${err.message}`);
+        method = 'bm25';
+      }
+    }
+    if (!hits) hits = this.bm25.search(query, k);
+    if (minRelativeScore > 0 && hits.length) {
+      const best = hits[0].score;
+      hits = hits.filter(hit => hit.score >= best * minRelativeScore);
+    }
+
+    return hits.map(({ id, score }) => {
+      const chunk = this.chunks.get(id);
+      return { id: chunk.docId, title: chunk.title, chunk: chunk.id, text: chunk.text, score: Number(score.toFixed(4)), method };
+    });
+  }
+
+  async embedQuery(query) {
+    if (!this.queryVectors.has(query)) {
+      const [vector] = await this.embedder.embed([query]);
+      if (this.queryVectors.size >= 100) this.queryVectors.delete(this.queryVectors.keys().next().value);
+      this.queryVectors.set(query, vector);
+    }
+    return this.queryVectors.get(query);
+  }
+
+  // Retrieval query for an alarm: its name plus whatever CloudWatch says about it
+  alarmQuery(alarmData = {}) {
+    return [alarmData?.AlarmName, alarmData?.AlarmDescription, alarmData?.NewStateReason].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Prompt-ready SOP text: the best chunks for the query plus every pinned document.
+   */
+  async getContext(query, { k = this.topK } = {}) {
+    const hits = await this.search(query, { k });
+    const included = new Set(hits.map(hit => hit.chunk));
+    const pinned = [...this.chunks.values()].filter(chunk => this.documents.get(chunk.docId).pinned && !included.has(chunk.id));
+    return [...hits.map(hit => ({ id: hit.id, text: hit.text })), ...pinned.map(chunk => ({ id: chunk.docId, text: chunk.text }))]
+      .map(({ id, text }) => `[${id}] ${text.replace(/^#\s+.*\n+/, '')}`)
+      .join('\n');
+  }
+
+  // ===== INGESTION =====
+
+  /**
+   * Adds or replaces a document, writes it to the documents directory and indexes it.
+   * @param {object} input - { id, title, content (markdown, may carry front matter), pinned }
+   * @param {object} [options] - { actor, tenant } for the audit trail
+   */
+  async ingest(input = {}, { actor, tenant } = {}) {
+    this.ensureLoaded();
+    const { content } = input;
+    if (typeof content !== 'string' || !content.trim()) throw badRequest('content (markdown) is required');
+    if (content.length > MAX_DOCUMENT_CHARS) throw badRequest(`content exceeds ${MAX_DOCUMENT_CHARS} characters`);
+    if (input.title != null && (typeof input.title !== 'string' || input.title.length > 200)) throw badRequest('title must be a string of at most 200 characters');
+
+    const parsed = this.parseDocument(content);
+    // Without an explicit id: the front matter's, else a slug of the title
+    const id = String(input.id || parsed.id || slugify(input.title || parsed.title)).trim();
+    if (!DOC_ID.test(id)) throw badRequest(`invalid document id '${id}' (letters, digits, '.', '_' and '-'; give an id or a title)`);
+    const existing = this.documents.get(id);
+    const doc = {
+      id,
+      title: (input.title || parsed.title).trim(),
+      pinned: input.pinned != null ? input.pinned === true : parsed.pinned,
+      body: parsed.body,
+      source: existing?.source || `${id}.md`
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const meta = yaml.dump({ id: doc.id, title: doc.title, ...(doc.pinned ? { pinned: true } : {}) }).trim();
+    fs.writeFileSync(path.join(this.dir, doc.source), `---\n${meta}\n---\n\n${doc.body}\n`);
+
+    const chunks = this.addDocument(doc);
+    this.reindex();
+    await this.embedChunks(chunks);
+    console.log(`[KnowledgeBase] ${existing ? 'Replaced' : 'Ingested'} ${doc.id} (${chunks.length} chunks)`);
+    this.audit(actor, tenant, doc, existing ? 'replaced' : 'created', chunks.length);
+
+    return { id: doc.id, title: doc.title, pinned: doc.pinned, source: doc.source, chunks: chunks.length, replaced: !!existing, method: this.method };
+  }
+
+  audit(actor, tenant, doc, result, chunks) {
+    try {
+      auditLogger.log({
+        type: 'kb.document_ingested',
+        actor: actor || 'unknown',
+        resource: doc.id,
+        action: 'kb:ingest',
+        result,
+        tenant: tenant || null,
+        details: { title: doc.title, source: doc.source, chunks }
+      });
+    } catch (e) {
+      console.error('[KnowledgeBase] Audit write failed:', e.message);
+    }
+  }
 
-    return relevantSops.map(s => `[${s.id}] ${s.content}`).join('\n');
+  status() {
+    this.ensureLoaded();
+    return {
+      dir: this.dir,
+      documents: this.documents.size,
+      chunks: this.chunks.size,
+      method: this.method,
+      embeddingModel: this.embedder ? `${this.embedder.name}/${this.embedder.embeddingModel}` : null,
+      loadErrors: this.loadErrors
+    };
   }
 }
 
-module.exports = KnowledgeBase;
\ No newline at end of file
+module.exports = new KnowledgeBase();
+module.exports.KnowledgeBase = KnowledgeBase;
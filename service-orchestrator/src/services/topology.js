@@ -0,0 +1,133 @@
+// service-orchestrator/src/services/topology.js
+// TOPOLOGY MODEL: Services, their dependencies and providers from config/topology.json,
+// with resource names filled in (or whole nodes discovered) from CDK deploy outputs
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegex } = require('../middleware/approvalPolicy');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/topology.json');
+// Written by `cdk deploy --outputs-file cdk-outputs.json` from the repository root
+const DEFAULT_OUTPUTS_PATH = path.resolve(__dirname, '../../../cdk-outputs.json');
+
+// CDK output keys -> node type, for stacks without a topology config
+const DISCOVERABLE = [
+  { pattern: /FunctionName$/, type: 'compute' },
+  { pattern: /TopicArn$/, type: 'messaging' },
+  { pattern: /ApiUrl$/, type: 'api' }
+];
+
+class Topology {
+  /**
+   * @param {object} config - { nodes: [{ id, name, type, provider, resourceId, resourceIdEnv, cdkOutput, alarms }], edges: [{ source, target }],
+   *   tenants: { tenantId: { nodes, edges } } }
+   *   An edge means `source` depends on (calls) `target`. `alarms` are alarm-name globs mapped onto the node.
+   *   The resource id comes from the CDK output named by `cdkOutput`, else the `resourceIdEnv` variable, else `resourceId`.
+   * @param {object} [cdkOutputs] - `cdk deploy --outputs-file` JSON: { StackName: { OutputKey: value } }
+   */
+  constructor(config = {}, cdkOutputs = {}) {
+    this.outputs = Topology.flattenOutputs(cdkOutputs);
+    const base = config.nodes?.length ? config : Topology.discover(cdkOutputs);
+    this.source = config.nodes?.length ? 'config' : Object.keys(this.outputs).length ? 'cdk' : 'empty';
+    this.graphs = new Map([[null, this.build(base)]]);
+    for (const [tenant, graph] of Object.entries(config.tenants || {})) {
+      this.graphs.set(tenant, this.build(graph));
+    }
+  }
+
+  static load({
+    configPath = process.env.TOPOLOGY_FILE || DEFAULT_CONFIG_PATH,
+    outputsPath = process.env.CDK_OUTPUTS_FILE || DEFAULT_OUTPUTS_PATH
+  } = {}) {
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    const outputs = fs.existsSync(outputsPath) ? JSON.parse(fs.readFileSync(outputsPath, 'utf8')) : {};
+    const topology = new Topology(config, outputs);
+    const { nodes, edges } = topology.graph();
+    console.log(`[Topology] ${nodes.length} nodes, ${edges.length} dependencies (${topology.source})`);
+    return topology;
+  }
+
+  static flattenOutputs(outputs = {}) {
+    return Object.assign({}, ...Object.values(outputs).filter(v => v && typeof v === 'object'));
+  }
+
+  /**
+   * Nodes straight from CDK outputs: every function, topic and API; each API depends on the functions of its stack.
+   */
+  static discover(outputs = {}) {
+    const nodes = [];
+    const edges = [];
+    for (const [stack, values] of Object.entries(outputs)) {
+      const stackNodes = Object.entries(values || {}).flatMap(([key, value]) => {
+        const match = DISCOVERABLE.find(d => d.pattern.test(key));
+        return match ? [{ id: `${stack}/${key}`, name: key, type: match.type, provider: 'aws', resourceId: String(value), alarms: [] }] : [];
+      });
+      nodes.push(...stackNodes);
+      stackNodes.filter(n => n.type === 'api').forEach(api => stackNodes.filter(n => n.type === 'compute')
+        .forEach(fn => edges.push({ source: api.id, target: fn.id })));
+    }
+    return { nodes, edges };
+  }
+
+  build({ nodes = [], edges = [] }) {
+    const byId = new Map();
+    for (const node of nodes) {
+      if (!node.id) throw new Error('Topology node without an id');
+      if (byId.has(node.id)) throw new Error(`Duplicate topology node: ${node.id}`);
+      byId.set(node.id, {
+        id: node.id,
+        name: node.name || node.id,
+        type: node.type || 'service',
+        provider: String(node.provider || 'aws').toLowerCase(),
+        resourceId: (node.cdkOutput && this.outputs[node.cdkOutput]) || (node.resourceIdEnv && process.env[node.resourceIdEnv]) || node.resourceId || null,
+        alarms: node.alarms || [],
+        matchers: (node.alarms || []).map(globToRegex)
+      });
+    }
+    const dependencies = new Map([...byId.keys()].map(id => [id, []]));
+    for (const { source, target } of edges) {
+      if (!byId.has(source) || !byId.has(target)) throw new Error(`Topology edge ${source} -> ${target} references an unknown node`);
+      dependencies.get(source).push(target);
+    }
+    return { nodes: byId, dependencies, edges: edges.map(({ source, target }) => ({ source, target })) };
+  }
+
+  // Tenants without their own graph share the default one
+  resolve(tenant) {
+    return this.graphs.get(tenant) || this.graphs.get(null);
+  }
+
+  graph(tenant) {
+    const { nodes, edges } = this.resolve(tenant);
+    return { nodes: [...nodes.values()].map(({ matchers, ...node }) => node), edges };
+  }
+
+  /**
+   * Node an alert belongs to: the resource id first, then the alarm-name globs.
+   * @param {{ alarmName, resourceId, provider }} alert
+   */
+  nodeFor({ alarmName, resourceId, provider } = {}, tenant) {
+    const nodes = [...this.resolve(tenant).nodes.values()].filter(n => !provider || n.provider === String(provider).toLowerCase());
+    return (resourceId && nodes.find(n => n.resourceId === resourceId)) ||
+      (alarmName && nodes.find(n => n.matchers.some(re => re.test(alarmName)))) ||
+      null;
+  }
+
+  /**
+   * Everything the node depends on, directly or through other nodes.
+   */
+  dependenciesOf(id, tenant) {
+    const { dependencies } = this.resolve(tenant);
+    const seen = new Set();
+    const queue = [...(dependencies.get(id) || [])];
+    while (queue.length) {
+      const next = queue.shift();
+      if (seen.has(next) || next === id) continue;
+      seen.add(next);
+      queue.push(...(dependencies.get(next) || []));
+    }
+    return seen;
+  }
+}
+
+module.exports = Topology;
@@ -0,0 +1,93 @@
+// service-orchestrator/src/services/topologyCorrelator.js
+// CROSS-SIGNAL CORRELATION: Alarms on several topology nodes become one incident on the most upstream
+// alarming node; alarms further down its dependency chain are attached as symptoms instead of remediated
+
+class TopologyCorrelator {
+  /**
+   * @param {object} options
+   * @param {object} options.topology - Topology model
+   * @param {object} options.incidentManager - Open incidents carry the topologyNode they were mapped to
+   */
+  constructor({ topology, incidentManager }) {
+    this.topology = topology;
+    this.incidentManager = incidentManager;
+  }
+
+  // Open incidents of the tenant that stand for a node (symptoms folded into another incident do not).
+  // A missing tenant would list every tenant's incidents, so it is an error rather than "all".
+  alarmingIncidents(tenant) {
+    if (!tenant) throw new Error('TopologyCorrelator needs a tenant');
+    return this.incidentManager.list({ tenant })
+      .filter(incident => incident.topologyNode && !incident.rootIncidentId && this.incidentManager.isOpen(incident.id));
+  }
+
+  /**
+   * Places a new alarm in the graph:
+   *   symptom    - a node it depends on already has an open incident; `rootIncident` is the most upstream one
+   *   root       - open incidents on nodes that depend on it become its `downstream` symptoms
+   *   standalone - mapped to `node`, nothing related is alarming
+   *   unmapped   - no node for the alarm
+   *
+   * @param {{ alarmName, resourceId, provider }} alert
+   * @returns {{ role, node, rootIncident?, downstream: object[] }}
+   */
+  correlate(alert, { tenant } = {}) {
+    const node = this.topology.nodeFor(alert, tenant);
+    if (!node) return { role: 'unmapped', node: null, downstream: [] };
+
+    const open = this.alarmingIncidents(tenant);
+    const upstreamIds = this.topology.dependenciesOf(node.id, tenant);
+    const upstream = open.filter(incident => upstreamIds.has(incident.topologyNode));
+    if (upstream.length) {
+      // Most upstream: no other alarming node sits below it; oldest incident first among equals
+      const alarmingNodes = new Set(upstream.map(incident => incident.topologyNode));
+      const roots = upstream.filter(incident =>
+        ![...this.topology.dependenciesOf(incident.topologyNode, tenant)].some(id => alarmingNodes.has(id)));
+      const rootIncident = (roots.length ? roots : upstream).sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+      return { role: 'symptom', node, rootIncident, downstream: [] };
+    }
+
+    const downstream = open.filter(incident =>
+      incident.topologyNode !== node.id && this.topology.dependenciesOf(incident.topologyNode, tenant).has(node.id));
+    return { role: downstream.length ? 'root' : 'standalone', node, downstream };
+  }
+
+  /**
+   * Records a symptom on the root incident; repeats of the same alarm only bump its count.
+   */
+  attachSymptom(rootIncident, { nodeId, alarmName, fingerprint = null, incidentId = null }) {
+    const now = new Date().toISOString();
+    const symptoms = [...(rootIncident.symptoms || [])];
+    const existing = symptoms.findIndex(s => s.nodeId === nodeId && s.alarmName === alarmName);
+    if (existing >= 0) {
+      symptoms[existing] = { ...symptoms[existing], count: symptoms[existing].count + 1, lastAt: now, incidentId: symptoms[existing].incidentId || incidentId };
+    } else {
+      symptoms.push({ nodeId, alarmName, fingerprint, incidentId, count: 1, firstAt: now, lastAt: now });
+    }
+    return this.incidentManager.update(rootIncident.id, { symptoms });
+  }
+
+  /**
+   * The tenant's graph with each node's status: critical (root of an open incident), warning (symptom), healthy.
+   */
+  view(tenant) {
+    const { nodes, edges } = this.topology.graph(tenant);
+    const roots = new Map();
+    const symptoms = new Map();
+    for (const incident of this.alarmingIncidents(tenant)) {
+      roots.set(incident.topologyNode, incident.id);
+      (incident.symptoms || []).forEach(s => symptoms.set(s.nodeId, incident.id));
+    }
+    return {
+      source: this.topology.source,
+      nodes: nodes.map(node => ({
+        ...node,
+        status: roots.has(node.id) ? 'critical' : symptoms.has(node.id) ? 'warning' : 'healthy',
+        incidentId: roots.get(node.id) || symptoms.get(node.id) || null
+      })),
+      edges
+    };
+  }
+}
+
+module.exports = TopologyCorrelator;
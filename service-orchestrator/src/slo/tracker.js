@@ -1,8 +1,39 @@
 // service-orchestrator/src/slo/tracker.js
-const db = require('../db/schema');
+const repository = require('../db/repository');
+
+const PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+const average = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+// When an incident stopped counting as downtime: resolution, or the hand-over to a human for an escalation
+// nobody has closed yet (it would otherwise burn the budget forever); still-active incidents run until now
+function downtimeEnd(incident, now) {
+  if (incident.resolvedAt) return new Date(incident.resolvedAt).getTime();
+  if (incident.status === 'escalated') {
+    const escalation = [...(incident.history || [])].reverse().find(entry => entry.to === 'escalated');
+    return new Date(escalation?.at || incident.updatedAt).getTime();
+  }
+  return now;
+}
+
+// Total length of the union of [start, end] intervals, so overlapping incidents count once
+function mergedDuration(intervals) {
+  let total = 0;
+  let current = null;
+  for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    }
+  }
+  return current ? total + current[1] - current[0] : total;
+}
 
 class SLOTracker {
-  constructor() {
+  constructor(repo = repository) {
+    this.repository = repo;
     this.slos = {
       uptime: { target: 99.9, period: '30d' },
       mttr: { target: 300, period: '30d' }, // 5 minutes
@@ -10,41 +41,66 @@ class SLOTracker {
       success_rate: { target: 99.5, period: '30d' }
     };
   }
-  
-  calculateErrorBudget(sloType) {
+
+  // Budgets are per tenant; without one every tenant's incidents count
+  calculateErrorBudget(sloType, { tenant } = {}) {
     const slo = this.slos[sloType];
-    const periodStart = Date.now() - (30 * 24 * 60 * 60 * 1000);
-    
-    const incidents = db.prepare(`
-      SELECT * FROM incidents 
-      WHERE timestamp > ? 
-      ORDER BY timestamp DESC
-    `).all(periodStart);
-    
-    if (sloType === 'mttr') {
-      const avgMTTR = incidents.reduce((sum, i) => 
-        sum + (i.execution_time || 0), 0) / incidents.length;
-      
-      const budgetUsed = (avgMTTR / slo.target) * 100;
-      const remaining = 100 - budgetUsed;
-      
+    if (!slo) throw new Error(`Unknown SLO: ${sloType}`);
+
+    const periodStart = Date.now() - PERIOD_MS;
+    const incidents = this.repository.listIncidents({ tenant, since: periodStart });
+
+    // Lower-is-better SLOs (seconds): budget is how far below the target we are
+    if (sloType === 'mttr' || sloType === 'mttd') {
+      const samples = sloType === 'mttr'
+        ? incidents.filter(i => i.resolvedAt).map(i => (new Date(i.resolvedAt) - new Date(i.createdAt)) / 1000)
+        : this.repository.listMetrics({ name: 'detection_latency_seconds', tenant, since: periodStart }).map(m => m.value);
+      const actual = average(samples);
+      const remaining = 100 - (actual / slo.target) * 100;
+
       return {
         target: slo.target,
-        actual: avgMTTR,
+        actual,
+        samples: samples.length,
         budgetRemaining: Math.max(0, remaining),
         status: remaining > 20 ? 'healthy' : 'critical'
       };
     }
-    
-    // Similar calculations for other SLOs
+
+    // Higher-is-better SLOs (percent): budget is the allowed shortfall (100 - target)
+    let actual = 100;
+    let samples = incidents.length;
+    if (sloType === 'success_rate') {
+      const finished = incidents.filter(i => ['resolved', 'escalated'].includes(i.status));
+      if (finished.length) actual = (finished.filter(i => i.status === 'resolved').length / finished.length) * 100;
+    } else if (sloType === 'uptime') {
+      // Incidents opened before the period still count for the part that falls inside it
+      const now = Date.now();
+      const intervals = this.repository.listIncidents({ tenant, activeSince: periodStart })
+        .map(i => [Math.max(new Date(i.createdAt).getTime(), periodStart), Math.min(downtimeEnd(i, now), now)])
+        .filter(([start, end]) => end > start);
+      samples = intervals.length;
+      actual = 100 - (mergedDuration(intervals) / PERIOD_MS) * 100;
+    }
+
+    const allowed = 100 - slo.target;
+    const remaining = 100 - ((100 - actual) / allowed) * 100;
+
+    return {
+      target: slo.target,
+      actual,
+      samples,
+      budgetRemaining: Math.max(0, remaining),
+      status: remaining > 20 ? 'healthy' : 'critical'
+    };
   }
-  
-  getAlerts() {
+
+  getAlerts({ tenant } = {}) {
     const alerts = [];
-    
+
     Object.keys(this.slos).forEach(sloType => {
-      const budget = this.calculateErrorBudget(sloType);
-      
+      const budget = this.calculateErrorBudget(sloType, { tenant });
+
       if (budget.budgetRemaining < 20) {
         alerts.push({
           severity: 'critical',
@@ -54,9 +110,15 @@ class SLOTracker {
         });
       }
     });
-    
+
     return alerts;
   }
+
+  getReport({ tenant } = {}) {
+    const budgets = {};
+    Object.keys(this.slos).forEach(sloType => { budgets[sloType] = this.calculateErrorBudget(sloType, { tenant }); });
+    return { tenant: tenant || null, budgets, alerts: this.getAlerts({ tenant }) };
+  }
 }
 
 module.exports = new SLOTracker();
@@ -6,7 +6,12 @@ const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
 
 class RCAGenerator {
   
-  async generate(incidentId, events) {
+  /**
+   * @param {string} incidentId
+   * @param {object} sources - { events, incident, decisions, evidence }
+   *   evidence: { digest, keyId } of the signed evidence bundle this report summarises
+   */
+  async generate(incidentId, { events = [], incident = null, decisions = [], evidence = null } = {}) {
     // 1. Create Document
     const pdfDoc = await PDFDocument.create();
     const page = pdfDoc.addPage();
@@ -14,15 +19,14 @@ class RCAGenerator {
     const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
     const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
 
-    // 2. Filter Events for this Incident
-    // (In a real DB, you'd filter by incidentId. Here we take the last session)
-    const relevantEvents = events.slice().reverse().slice(0, 20); 
+    // 2. Filter Events for this Incident (newest first)
+    const relevantEvents = events.filter(e => e.incidentId === incidentId).reverse();
     
     // Extract Metadata
-    const detectionEvent = relevantEvents.find(e => e.type === 'simulate.triggered') || relevantEvents[relevantEvents.length-1];
+    const detectionEvent = relevantEvents.find(e => e.type === 'incident.opened') || relevantEvents[relevantEvents.length-1];
     const healEvent = relevantEvents.find(e => e.type === 'healing.success');
-    const startTime = detectionEvent ? new Date(detectionEvent.ts) : new Date();
-    const endTime = healEvent ? new Date(healEvent.ts) : new Date();
+    const startTime = new Date(incident?.createdAt || detectionEvent?.ts || Date.now());
+    const endTime = new Date(incident?.resolvedAt || healEvent?.ts || Date.now());
     const duration = (endTime - startTime) / 1000;
 
     // --- DRAWING HELPERS ---
@@ -52,7 +56,8 @@ class RCAGenerator {
 
     // --- INCIDENT METADATA ---
     drawText('2. Incident Metadata', 16, true);
-    drawText(`• Severity: CRITICAL`);
+    drawText(`• Severity: ${incident?.severity || 'CRITICAL'}`);
+    drawText(`• Status: ${incident?.status || 'unknown'}`);
     drawText(`• Detected: ${startTime.toISOString()}`);
     drawText(`• Resolved: ${endTime.toISOString()}`);
     drawText(`• Downtime Avoided: ~${(duration * 100).toFixed(0)} user sessions`);
@@ -60,14 +65,18 @@ class RCAGenerator {
 
     // --- AI ANALYSIS ---
     drawText('3. AI Root Cause Analysis', 16, true);
-    const reasoning = relevantEvents.find(e => e.type === 'reasoning.completed') || { detail: 'AI logic trace not available.' };
+    const latestDecision = decisions[decisions.length - 1];
+    const reasoning = latestDecision
+      ? { detail: latestDecision.decision.analysis || latestDecision.decision }
+      : relevantEvents.find(e => e.type === 'reasoning.completed') || { detail: incident?.reason || 'AI logic trace not available.' };
     // Handle object vs string detail
     let detailText = typeof reasoning.detail === 'string' ? reasoning.detail : JSON.stringify(reasoning.detail);
     // Simple text wrapping hack for PDF
     if (detailText.length > 80) detailText = detailText.substring(0, 80) + '...';
     
     drawText(`Primary Factor: ${detailText}`, 11);
-    drawText(`Confidence Score: 98.5% (calculated by ReasoningAgentV2)`, 11);
+    const confidence = latestDecision?.confidence ?? incident?.plan?.confidence;
+    drawText(`Confidence Score: ${confidence != null ? (confidence * 100).toFixed(1) + '%' : 'n/a'} (calculated by ReasoningAgentV2)`, 11);
     y -= 15;
 
     // --- TIMELINE OF EVENTS (The Audit Trail) ---
@@ -85,10 +94,12 @@ class RCAGenerator {
     }
 
     // --- FOOTER / SIGN OFF ---
-    y = 50;
+    y = 70; // Room for the evidence digest lines
     drawLine();
     drawText('Generated by AURA Autonomous Incident Commander', 10, true, rgb(0.6, 0.6, 0.6));
-    drawText(`Compliance Hash: ${Math.random().toString(36).substring(7).toUpperCase()}`, 8, false, rgb(0.7, 0.7, 0.7));
+    // Matches the digest of GET /incidents/:id/bundle for the same incident state
+    drawText(`Evidence Bundle SHA-256: ${evidence?.digest || 'not available'}`, 8, false, rgb(0.5, 0.5, 0.5));
+    if (evidence?.keyId) drawText(`Signed (Ed25519) by key ${evidence.keyId}`, 8, false, rgb(0.5, 0.5, 0.5));
 
     // 3. Serialize
     return await pdfDoc.save();
@@ -0,0 +1,163 @@
+// Exercises AlertCorrelator.correlate() on ALARM/OK sequences with a controlled clock:
+//   node test-correlator.js
+const AlertCorrelator = require('./src/services/alertCorrelator');
+const IncidentManager = require('./src/services/incidentManager');
+
+const MINUTE = 60000;
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+
+const CONFIG = {
+  defaults: { recurrenceWindowMs: 5 * MINUTE, flapWindowMs: MINUTE, flapThreshold: 3 },
+  tenants: {
+    default: {
+      suppress: [
+        { name: 'nightly-batch', match: { alarmName: 'batch-*' }, until: new Date(START + 60 * MINUTE).toISOString(), reason: 'Batch maintenance' },
+        { match: { alarmName: '*-Canary-*', provider: 'aws' } }
+      ]
+    },
+    acme: { recurrenceWindowMs: 1000 }
+  }
+};
+
+const alarm = (name, state, resource = 'orders-api') => ({
+  AlarmName: name,
+  NewStateValue: state,
+  Trigger: { Dimensions: [{ name: 'FunctionName', value: resource }] }
+});
+
+async function testCorrelator() {
+  console.log('=== Testing alert correlation, flapping and suppression ===\n');
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${detail ? ` (${detail})` : ''}`);
+  };
+
+  // correlate() reads Date.now(); incidents are stamped with the same clock so windows line up
+  const realNow = Date.now;
+  let now = START;
+  Date.now = () => now;
+  const advance = (ms) => { now += ms; };
+
+  try {
+    const incidentManager = new IncidentManager();
+    const correlator = new AlertCorrelator({ incidentManager, config: CONFIG });
+
+    // What monitorAgent does with a decision, minus remediation
+    const send = (data, tenant = 'default') => {
+      const decision = correlator.correlate(data, { tenant, resourceId: 'orders-api' });
+      const stamp = new Date(now).toISOString();
+      if (decision.action === 'open') {
+        const incident = incidentManager.create({ alarmName: data.AlarmName, tenant, fingerprint: decision.fingerprint });
+        incidentManager.update(incident.id, { createdAt: stamp });
+        decision.opened = incident;
+      } else if (decision.action === 'resolve') {
+        resolve(decision.incident.id);
+      }
+      return decision;
+    };
+    const resolve = (id) => {
+      incidentManager.transition(id, 'resolved', { reason: 'Alarm back to OK' });
+      incidentManager.update(id, { resolvedAt: new Date(now).toISOString() });
+    };
+
+    // ----- ALARM/OK sequences -----
+    let d = send(alarm('orders-api-Errors', 'ALARM'));
+    const first = d.opened;
+    check('First ALARM opens an incident', d.action === 'open' && !d.recurrenceOf, d.action);
+    check('Same alarm and resource share a fingerprint',
+      correlator.fingerprint(alarm('orders-api-Errors', 'OK')) === d.fingerprint &&
+      correlator.fingerprint(alarm('orders-api-Errors', 'ALARM', 'billing-api')) !== d.fingerprint);
+    check('Fingerprints are per tenant', correlator.fingerprint(alarm('orders-api-Errors', 'ALARM'), { tenant: 'acme' }) !== d.fingerprint);
+
+    advance(10000);
+    d = send(alarm('orders-api-Errors', 'ALARM'));
+    check('Repeated ALARM groups into the open incident', d.action === 'group' && d.incident?.id === first.id, d.action);
+
+    advance(10000);
+    d = send(alarm('orders-api-Errors', 'OK'));
+    check('OK resolves the open incident', d.action === 'resolve' && d.incident?.id === first.id && !incidentManager.isOpen(first.id), d.action);
+
+    d = send(alarm('orders-api-Errors', 'OK'));
+    check('OK without an open incident is ignored', d.action === 'ignore', d.action);
+    check('States other than ALARM/OK are ignored', send(alarm('orders-api-Errors', 'INSUFFICIENT_DATA')).action === 'ignore');
+
+    // ----- recurrenceWindowMs -----
+    advance(2 * MINUTE);
+    d = send(alarm('orders-api-Errors', 'ALARM'));
+    const second = d.opened;
+    check('ALARM inside the recurrence window opens a linked incident', d.action === 'open' && d.recurrenceOf?.id === first.id && !d.flapping,
+      `${d.action}, recurrenceOf ${d.recurrenceOf?.id || 'none'}`);
+    check('A resolved incident is never reopened', second && second.id !== first.id && !incidentManager.isOpen(first.id));
+    d = send(alarm('orders-api-Errors', 'OK'));
+    check('OK resolves the recurrence', d.action === 'resolve' && d.incident?.id === second.id, d.action);
+
+    advance(10 * MINUTE);
+    d = send(alarm('orders-api-Errors', 'ALARM'));
+    check('ALARM after the recurrence window opens an unlinked incident', d.action === 'open' && !d.recurrenceOf,
+      `${d.action}, recurrenceOf ${d.recurrenceOf?.id || 'none'}`);
+
+    // Tenant override: acme links only within a second of the resolution
+    d = send(alarm('orders-api-Errors', 'ALARM'), 'acme');
+    send(alarm('orders-api-Errors', 'OK'), 'acme');
+    advance(5000);
+    d = send(alarm('orders-api-Errors', 'ALARM'), 'acme');
+    check('Tenant recurrenceWindowMs overrides the default', correlator.settings('acme').recurrenceWindowMs === 1000 &&
+      d.action === 'open' && !d.recurrenceOf, `${d.action}, recurrenceOf ${d.recurrenceOf?.id || 'none'}`);
+
+    // ----- flapThreshold -----
+    // acme's fingerprint has changed state twice (ALARM -> OK -> ALARM); the third change reaches the threshold of 3
+    const flappy = d.opened;
+    advance(5000);
+    d = send(alarm('orders-api-Errors', 'OK'), 'acme');
+    check('Third state change within flapWindowMs starts flapping', d.flapping && d.flapStarted, `flapping ${d.flapping}, started ${d.flapStarted}`);
+    check('OK while flapping holds the incident open', d.action === 'hold' && incidentManager.isOpen(flappy.id), d.action);
+
+    advance(5000);
+    d = send(alarm('orders-api-Errors', 'ALARM'), 'acme');
+    check('ALARM while flapping groups into the held incident', d.action === 'group' && d.incident?.id === flappy.id && d.flapping && !d.flapStarted,
+      `${d.action}, flapStarted ${d.flapStarted}`);
+
+    send(alarm('orders-api-Errors', 'OK'), 'acme');
+    resolve(flappy.id); // an operator closes it by hand
+    advance(5000);
+    d = send(alarm('orders-api-Errors', 'ALARM'), 'acme');
+    check('Flapping links a new incident even outside the recurrence window', d.action === 'open' && d.recurrenceOf?.id === flappy.id && d.flapping,
+      `${d.action}, recurrenceOf ${d.recurrenceOf?.id || 'none'}`);
+    check('Flapping incidents are listed for the tenant', correlator.describe('acme').flapping.some(f => f.incidentId === d.opened.id),
+      JSON.stringify(correlator.describe('acme').flapping));
+
+    advance(2 * MINUTE);
+    d = send(alarm('orders-api-Errors', 'OK'), 'acme');
+    check('Once the changes age out of flapWindowMs, OK resolves again', d.action === 'resolve' && !d.flapping, d.action);
+
+    // ----- Suppression -----
+    now = START + 30 * MINUTE;
+    d = send(alarm('batch-nightly-Duration', 'ALARM'));
+    check('Matching rule suppresses the alarm', d.action === 'suppress' && d.rule?.name === 'nightly-batch' && d.rule.reason === 'Batch maintenance',
+      JSON.stringify(d.rule));
+    check('Suppressed alarms open nothing', !incidentManager.list().some(i => i.alarmName === 'batch-nightly-Duration'));
+    check('OK for a suppressed alarm is ignored', send(alarm('batch-nightly-Duration', 'OK')).action === 'ignore');
+    check('Rules belong to their tenant', send(alarm('batch-nightly-Duration', 'ALARM'), 'acme').action === 'open');
+
+    now = START + 61 * MINUTE;
+    d = send(alarm('batch-nightly-Duration', 'ALARM'));
+    check('Rule stops suppressing after `until`', d.action === 'open', d.action);
+
+    d = send(alarm('checkout-Canary-Latency', 'ALARM'));
+    check('Rule without `until` keeps suppressing, with a generated name', d.action === 'suppress' && d.rule?.name === 'default-suppress-2',
+      JSON.stringify(d.rule));
+    d = correlator.correlate(alarm('checkout-Canary-Latency', 'ALARM'), { provider: 'azure' });
+    check('Every match field must match', d.action === 'open', d.action);
+  } finally {
+    Date.now = realNow;
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testCorrelator().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,95 @@
+// Exercises HITLController quorum and separation-of-duties rules against config/approval-policies.json:
+//   node test-hitl.js
+const HITLController = require('./src/middleware/hitlController');
+
+const OPERATOR = ['operator'];
+
+async function testHitl() {
+  console.log('=== Testing HITL approvals and plan modification ===\n');
+  let failures = 0;
+
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${detail ? ` (${detail})` : ''}`);
+  };
+  const throws = (label, fn) => {
+    try {
+      fn();
+      check(label, false, 'no error');
+    } catch (err) {
+      check(label, true, err.message);
+    }
+  };
+
+  const hitl = new HITLController({ auditLogger: null, timeoutMs: 60000 });
+  hitl.mode = 'copilot';
+
+  // Queues a request and returns its pending approval plus the promise the pipeline waits on
+  const request = (action, { requestedBy = 'alice', environment = 'production' } = {}) => {
+    const decision = hitl.requestApproval(`INC-${action}-${Math.random().toString(36).slice(2, 7)}`,
+      { action, targetProvider: 'aws' }, { tenant: 'default', requestedBy, provider: 'aws', environment });
+    const approval = hitl.list({ status: 'pending' })[0];
+    return { approval, decision };
+  };
+
+  // Default policy: one approver, the requester may approve
+  {
+    const { approval, decision } = request('LOG_ONLY');
+    check('LOG_ONLY in production uses the default policy', approval.policy.name === 'default', approval.policy.name);
+    hitl.approve(approval.id, { actor: 'alice', roles: OPERATOR });
+    const result = await decision;
+    check('Requester may approve under the default policy', result.approved && result.approvers.join() === 'alice');
+  }
+
+  // Change control: two approvers, none of them the requester
+  {
+    const { approval, decision } = request('RESTART_LAMBDA');
+    check('RESTART_LAMBDA in production needs 2 approvals', approval.policy.requiredApprovals === 2, approval.policy.name);
+    throws('Requester may not approve their own restart', () => hitl.approve(approval.id, { actor: 'alice', roles: OPERATOR }));
+    hitl.approve(approval.id, { actor: 'bob', roles: OPERATOR });
+    throws('The same approver is counted once', () => hitl.approve(approval.id, { actor: 'bob', roles: OPERATOR }));
+    check('One vote leaves the approval pending', approval.status === 'pending' && approval.remaining === 1);
+    hitl.approve(approval.id, { actor: 'carol', roles: OPERATOR });
+    const result = await decision;
+    check('Second approver settles it', result.approved && result.approvers.join() === 'bob,carol');
+  }
+
+  // Modify into a stricter policy: separation of duties applies to the new action
+  {
+    const { approval } = request('LOG_ONLY');
+    throws('Requester may not modify their request into a change-controlled action',
+      () => hitl.modify(approval.id, { action: 'RESTART_LAMBDA' }, { actor: 'alice', roles: OPERATOR }));
+    check('A rejected modify leaves the plan and policy untouched',
+      approval.action === 'LOG_ONLY' && approval.policy.name === 'default' && !approval.modified && approval.approvals.length === 0);
+
+    hitl.modify(approval.id, { action: 'RESTART_LAMBDA' }, { actor: 'bob', roles: OPERATOR });
+    check('Modify by another operator re-resolves the policy',
+      approval.policy.name === 'production-change-control' && approval.status === 'pending' && approval.remaining === 1,
+      `${approval.policy.name}, ${approval.remaining} remaining`);
+    throws('Requester still may not cast the second vote', () => hitl.approve(approval.id, { actor: 'alice', roles: OPERATOR }));
+    hitl.approve(approval.id, { actor: 'carol', roles: OPERATOR });
+    check('Modified plan is approved by two other operators', approval.status === 'approved');
+  }
+
+  // Earlier votes were for the old plan and are discarded
+  {
+    const { approval, decision } = request('RESTART_LAMBDA', { requestedBy: 'system' });
+    hitl.approve(approval.id, { actor: 'bob', roles: OPERATOR });
+    hitl.modify(approval.id, { action: 'ROLLBACK_LAMBDA_VERSION' }, { actor: 'carol', roles: OPERATOR });
+    check('Modify discards votes cast for the old plan',
+      approval.approvals.map(vote => vote.actor).join() === 'carol' && approval.remaining === 1);
+    hitl.approve(approval.id, { actor: 'bob', roles: OPERATOR });
+    const result = await decision;
+    check('Pipeline receives the modified plan', result.approved && result.plan?.action === 'ROLLBACK_LAMBDA_VERSION');
+  }
+
+  throws('Viewers may not approve', () => hitl.approve(request('LOG_ONLY').approval.id, { actor: 'dave', roles: ['viewer'] }));
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testHitl().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
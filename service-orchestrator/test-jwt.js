@@ -0,0 +1,144 @@
+// Exercises JwtVerifier and the claim-to-role mapping with locally signed tokens (no IdP needed):
+//   node test-jwt.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JwtVerifier = require('./src/middleware/jwtVerifier');
+const EnterpriseSecurity = require('./src/middleware/Enterprise_Security_Policy');
+
+const SECRET = 'test-shared-secret';
+const ISSUER = 'https://idp.example.com';
+const AUDIENCE = 'aura';
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const hs256 = (claims, secret = SECRET, header = {}) => {
+  const input = `${segment({ alg: 'HS256', typ: 'JWT', ...header })}.${segment(claims)}`;
+  return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+};
+
+const rs256 = (claims, privateKey, header = {}) => {
+  const input = `${segment({ alg: 'RS256', typ: 'JWT', ...header })}.${segment(claims)}`;
+  return `${input}.${crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`;
+};
+
+async function testJwt() {
+  console.log('=== Testing JWT verification and role mapping ===\n');
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${detail ? ` (${detail})` : ''}`);
+  };
+  // Runs fn; passes when it throws an error matching `pattern`
+  const rejects = (label, fn, pattern) => {
+    try {
+      fn();
+      check(label, false, 'accepted');
+    } catch (err) {
+      check(label, pattern.test(err.message), err.message);
+    }
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = (fields = {}) => ({ sub: 'alice', iss: ISSUER, aud: AUDIENCE, exp: now + 300, roles: ['aura-operators'], tenant_id: 'acme', ...fields });
+
+  // Two signing keys in a local JWKS, plus keys the verifier must ignore
+  const signing = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const stranger = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = (keyPair, fields) => ({ ...keyPair.publicKey.export({ format: 'jwk' }), use: 'sig', ...fields });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-jwt-'));
+  const jwksPath = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksPath, JSON.stringify({
+    keys: [
+      jwk(signing, { kid: 'k1', alg: 'RS256' }),
+      jwk(rotated, { kid: 'k2' }),
+      jwk(ec, { kid: 'ec1', alg: 'ES256' }),
+      jwk(stranger, { kid: 'enc1', use: 'enc' })
+    ]
+  }));
+
+  try {
+    const verifier = new JwtVerifier({ secret: SECRET, jwksPath, issuer: ISSUER, audience: AUDIENCE });
+
+    // ----- HS256 and RS256 -----
+    check('HS256 token with the shared secret', verifier.verify(hs256(claims())).sub === 'alice');
+    check('RS256 token signed by a JWKS key', verifier.verify(rs256(claims(), signing.privateKey, { kid: 'k1' })).sub === 'alice');
+    check('RS256 token signed by the second JWKS key', verifier.verify(rs256(claims(), rotated.privateKey, { kid: 'k2' })).sub === 'alice');
+    rejects('HS256 signed with another secret', () => verifier.verify(hs256(claims(), 'guessed')), /Invalid token signature/);
+    rejects('RS256 signed by a key outside the JWKS', () => verifier.verify(rs256(claims(), stranger.privateKey, { kid: 'k1' })), /Invalid token signature/);
+    rejects('Tampered payload', () => {
+      const [header, , signature] = hs256(claims()).split('.');
+      verifier.verify(`${header}.${segment(claims({ roles: ['aura-admins'] }))}.${signature}`);
+    }, /Invalid token signature/);
+    rejects('Unknown kid', () => verifier.verify(rs256(claims(), signing.privateKey, { kid: 'k9' })), /Unknown signing key: k9/);
+    rejects('No kid while the JWKS holds several keys', () => verifier.verify(rs256(claims(), signing.privateKey)), /more than one key/);
+    rejects('Malformed token', () => verifier.verify('not.a-token'), /Malformed token/);
+
+    // ----- Algorithm / key type mismatch -----
+    const publicPem = signing.publicKey.export({ type: 'spki', format: 'pem' });
+    rejects('HS256 token using the RSA public key as its secret', () => verifier.verify(hs256(claims(), publicPem, { kid: 'k1' })),
+      /Invalid token signature/);
+    rejects('alg "none"', () => verifier.verify(`${segment({ alg: 'none' })}.${segment(claims())}.`), /Unsupported token algorithm: none/);
+    rejects('Other algorithms', () => verifier.verify(hs256(claims(), SECRET, { alg: 'HS512' })), /Unsupported token algorithm: HS512/);
+    rejects('Non-RSA keys are not loaded from the JWKS', () => verifier.verify(rs256(claims(), signing.privateKey, { kid: 'ec1' })),
+      /Unknown signing key: ec1/);
+    rejects('Encryption keys are not loaded from the JWKS', () => verifier.verify(rs256(claims(), stranger.privateKey, { kid: 'enc1' })),
+      /Unknown signing key: enc1/);
+    rejects('HS256 without a shared secret', () => new JwtVerifier({ jwksPath }).verify(hs256(claims())), /no shared secret configured/);
+    rejects('RS256 without a JWKS', () => new JwtVerifier({ secret: SECRET }).verify(rs256(claims(), signing.privateKey, { kid: 'k1' })),
+      /no JWKS configured/);
+
+    // ----- exp, nbf, iss, aud -----
+    rejects('Expired token', () => verifier.verify(hs256(claims({ exp: now - 120 }))), /Token expired/);
+    check('Expiry within the clock tolerance is accepted', !!verifier.verify(hs256(claims({ exp: now - 30 }))));
+    rejects('Token not valid yet', () => verifier.verify(hs256(claims({ nbf: now + 120 }))), /not yet valid/);
+    check('nbf within the clock tolerance is accepted', !!verifier.verify(hs256(claims({ nbf: now + 30 }))));
+    rejects('Zero clock tolerance rejects any expiry', () => new JwtVerifier({ secret: SECRET, clockToleranceSec: 0 }).verify(hs256(claims({ exp: now - 5 }))),
+      /Token expired/);
+    rejects('Wrong issuer', () => verifier.verify(hs256(claims({ iss: 'https://evil.example.com' }))), /Unexpected token issuer/);
+    rejects('Missing issuer', () => verifier.verify(hs256(claims({ iss: undefined }))), /Unexpected token issuer/);
+    rejects('Wrong audience', () => verifier.verify(hs256(claims({ aud: 'billing' }))), /Unexpected token audience/);
+    rejects('Missing audience', () => verifier.verify(hs256(claims({ aud: undefined }))), /Unexpected token audience/);
+    check('Audience list containing ours is accepted', !!verifier.verify(hs256(claims({ aud: ['billing', AUDIENCE] }))));
+
+    // ----- Role mapping -----
+    const policy = EnterpriseSecurity.loadPolicy(path.join(__dirname, 'config/security.json'));
+    EnterpriseSecurity.configure({
+      mode: 'jwt',
+      verifier,
+      policy: { ...policy, claims: { ...policy.claims, role: 'realm_access.roles' } }
+    });
+    const authenticate = (token, headers = {}) => EnterpriseSecurity.authenticate({ headers: { authorization: `Bearer ${token}`, ...headers } });
+
+    let identity = authenticate(hs256(claims({ realm_access: { roles: ['aura-operators', 'aura-auditors', 'payroll-admins'] } })));
+    check('IdP groups map onto AURA roles, unknown groups are dropped', identity.roles.join() === 'operator,auditor', identity.roles.join());
+    check('Identity comes from the token', identity.user === 'alice' && identity.tenant === 'acme' && identity.method === `jwt:${ISSUER}`,
+      JSON.stringify(identity));
+    identity = authenticate(hs256(claims({ realm_access: { roles: 'viewer aura-viewers' } })));
+    check('AURA role names pass through and duplicates collapse', identity.roles.join() === 'viewer', identity.roles.join());
+    identity = authenticate(hs256(claims({ realm_access: { roles: ['aura-admins'] } })));
+    check('Mapped roles carry their permissions', EnterpriseSecurity.permissionsFor(identity.roles).includes('*'));
+    identity = authenticate(hs256(claims({ roles: ['aura-admins'] })));
+    check('Roles are only read from the configured claim', identity.roles.length === 0, identity.roles.join() || 'none');
+
+    const multi = hs256(claims({ tenant_id: ['acme', 'globex'] }));
+    check('X-Tenant-ID picks one of the token tenants', authenticate(multi, { 'x-tenant-id': 'globex' }).tenant === 'globex');
+    rejects('X-Tenant-ID outside the token', () => authenticate(multi, { 'x-tenant-id': 'initech' }), /not valid for tenant initech/);
+    rejects('Several tenants without X-Tenant-ID', () => authenticate(multi), /several tenants/);
+    rejects('Token without a subject', () => authenticate(hs256(claims({ sub: undefined }))), /no sub claim/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testJwt().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
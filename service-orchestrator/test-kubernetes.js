@@ -0,0 +1,108 @@
+// Exercises KubernetesHealAgent against an in-process mock API server (no cluster needed):
+//   node test-kubernetes.js
+const http = require('http');
+const KubernetesHealAgent = require('./src/agents/kubernetes/KubernetesHealAgent');
+
+const uid = 'dep-uid-1';
+const state = {
+  deployment: {
+    metadata: { name: 'checkout', namespace: 'shop', uid, generation: 3, annotations: { 'deployment.kubernetes.io/revision': '3' } },
+    spec: { replicas: 2, selector: { matchLabels: { app: 'checkout' } }, template: { metadata: { labels: { app: 'checkout' } }, spec: { containers: [{ name: 'app', image: 'checkout:v3' }] } } },
+    status: { observedGeneration: 3, updatedReplicas: 2, availableReplicas: 2 }
+  },
+  replicaSets: [2, 3].map(revision => ({
+    metadata: { name: `checkout-${revision}`, creationTimestamp: new Date(Date.now() - (4 - revision) * 3600000).toISOString(), annotations: { 'deployment.kubernetes.io/revision': String(revision) }, ownerReferences: [{ kind: 'Deployment', uid }] },
+    spec: { template: { metadata: { labels: { app: 'checkout', 'pod-template-hash': `h${revision}` } }, spec: { containers: [{ name: 'app', image: `checkout:v${revision}` }] } } }
+  })),
+  pods: [
+    { metadata: { name: 'checkout-a' }, status: { containerStatuses: [{ state: { waiting: { reason: 'CrashLoopBackOff' } } }] } },
+    { metadata: { name: 'checkout-b' }, status: { containerStatuses: [{ state: { running: {} } }] } }
+  ],
+  node: { metadata: { name: 'node-1' }, spec: {} },
+  requests: []
+};
+
+function mockApiServer() {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      state.requests.push(`${req.method} ${pathname} ${req.headers['content-type'] || ''}`.trim());
+      const send = (status, payload) => { res.writeHead(status, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(payload)); };
+      const patch = body ? JSON.parse(body) : null;
+      const dep = '/apis/apps/v1/namespaces/shop/deployments/checkout';
+
+      if (req.headers.authorization !== 'Bearer test-token') return send(401, { message: 'Unauthorized' });
+      if (pathname === `${dep}/scale`) {
+        if (req.method === 'PATCH') state.deployment.spec.replicas = patch.spec.replicas;
+        return send(200, { spec: { replicas: state.deployment.spec.replicas } });
+      }
+      if (pathname === dep) {
+        if (req.method === 'PATCH' && Array.isArray(patch)) state.deployment.spec.template = patch[0].value;
+        return send(200, state.deployment);
+      }
+      if (pathname === '/apis/apps/v1/namespaces/shop/replicasets') return send(200, { items: state.replicaSets });
+      if (pathname === '/api/v1/namespaces/shop/pods') return send(200, { items: state.pods });
+      if (pathname.endsWith('/log')) {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end(`${new Date().toISOString()} GET /cart 200\n${new Date().toISOString()} ERROR payment timed out\n`);
+      }
+      if (pathname.startsWith('/api/v1/namespaces/shop/pods/') && req.method === 'DELETE') {
+        state.pods = state.pods.filter(p => !pathname.endsWith(`/${p.metadata.name}`));
+        return send(200, { status: 'Success' });
+      }
+      if (pathname === '/api/v1/nodes/node-1') {
+        if (req.method === 'PATCH') Object.assign(state.node.spec, patch.spec);
+        return send(200, state.node);
+      }
+      send(404, { message: `${pathname} not found` });
+    });
+  });
+}
+
+async function testKubernetes() {
+  console.log('=== Testing Kubernetes Agent against mock API server ===\n');
+  const server = mockApiServer().listen(0);
+  const serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Same shape as a real kubeconfig (KUBECONFIG=... works the same way)
+  const kubeconfig = {
+    'current-context': 'mock',
+    contexts: [{ name: 'mock', context: { cluster: 'mock', user: 'tester', namespace: 'shop' } }],
+    clusters: [{ name: 'mock', cluster: { server: serverUrl } }],
+    users: [{ name: 'tester', user: { token: 'test-token' } }]
+  };
+  const agent = new KubernetesHealAgent({ kubeconfig });
+
+  try {
+    const run = (remediation_command, target_resource_id, parameters) =>
+      agent.heal({ remediation_command, target_resource_id, parameters });
+
+    console.log('Restart:', await run('ROLLOUT_RESTART_DEPLOYMENT', 'shop/checkout'), '\n');
+    console.log('Scale:', await run('SCALE_DEPLOYMENT', 'checkout', { replicas: 4 }), '\n');
+    console.log('Rollback:', await run('ROLLBACK_DEPLOYMENT', 'shop/checkout'), '\n');
+    console.log('  restored image:', state.deployment.spec.template.spec.containers[0].image,
+      '| pod-template-hash dropped:', !state.deployment.spec.template.metadata.labels['pod-template-hash'], '\n');
+    console.log('Delete crash-looping:', await run('DELETE_CRASHLOOPING_POD', 'shop/checkout'), '\n');
+    console.log('Cordon:', await run('CORDON_NODE', 'node-1'), '\n');
+    console.log('Test:', await agent.test('shop/checkout'), '\n');
+    console.log('Deploys (last 90 min):', await agent.deployments('shop/checkout', { since: new Date(Date.now() - 5400000) }), '\n');
+    console.log('Logs:', await agent.logs('shop/checkout', { limit: 10 }), '\n');
+
+    const scaled = await run('SCALE_DEPLOYMENT', 'shop/checkout', { replicas: 6 });
+    console.log('Revert scale:', await agent.restore(scaled.snapshot), '| replicas:', state.deployment.spec.replicas, '\n');
+
+    await run('SCALE_DEPLOYMENT', 'shop/checkout', { replicas: -1 }).catch(err => console.log('Rejected as expected:', err.message));
+    await run('ROLLOUT_RESTART_DEPLOYMENT', 'shop/missing').catch(err => console.log('Rejected as expected:', err.message));
+
+    console.log('\nAPI calls:\n ', state.requests.join('\n  '));
+  } finally {
+    server.close();
+  }
+}
+
+testKubernetes().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,186 @@
+// Exercises the Notifier: routing and payloads in capture mode, retries against a local failing endpoint:
+//   node test-notifications.js
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Notifier = require('./src/notifications');
+
+delete process.env.NOTIFICATIONS_MODE; // The mode under test comes from the config below
+
+// The shipped channels and routes, plus one tenant with routes of its own
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, 'config/notifications.json'), 'utf8'));
+const CONFIG = {
+  ...shipped,
+  mode: 'capture',
+  tenants: { acme: { routes: [{ name: 'acme-pages', match: { severity: 'CRITICAL' }, channels: ['pagerduty'] }] } }
+};
+
+let sequence = 0;
+const incident = (fields = {}) => ({
+  id: `INC-NOTIFY-${++sequence}`,
+  tenant: 'default',
+  status: 'open',
+  severity: 'MEDIUM',
+  provider: 'aws',
+  resourceId: 'orders-api',
+  environment: 'production',
+  alarmName: 'orders-api-Errors',
+  reason: 'Errors above 5%',
+  plan: null,
+  approver: null,
+  ...fields
+});
+
+async function testNotifications() {
+  console.log('=== Testing notification routing, payloads and delivery ===\n');
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${detail ? ` (${detail})` : ''}`);
+  };
+
+  const incidents = new Map();
+  const incidentManager = { get: (id) => incidents.get(id) || null };
+  const notifier = new Notifier({ incidentManager, config: CONFIG, baseUrl: 'https://aura.example.com/' });
+
+  // Captured payloads of one event, by channel name
+  const notify = async (type, fields, detail) => {
+    const record = incident(fields);
+    incidents.set(record.id, record);
+    const before = notifier.captured.length;
+    const deliveries = await notifier.handle({ type, incidentId: record.id, detail, ts: '2026-01-01T00:00:00.000Z' });
+    return {
+      deliveries,
+      channels: deliveries.map(d => d.channel).sort(),
+      payloads: Object.fromEntries(notifier.captured.slice(before).map(c => [c.channel, c.payload]))
+    };
+  };
+
+  // ----- Routing -----
+  check('Capture mode is on', notifier.mode === 'capture');
+
+  let sent = await notify('incident.opened', {});
+  check('Every event goes to Slack and the audit webhook', sent.channels.join() === 'audit-webhook,slack-incidents', sent.channels.join());
+  check('Captured deliveries send nothing', sent.deliveries.every(d => d.status === 'captured' && d.attempts === 0));
+
+  sent = await notify('incident.opened', { severity: 'HIGH' });
+  check('High severity also pages', sent.channels.join() === 'audit-webhook,pagerduty,slack-incidents', sent.channels.join());
+
+  sent = await notify('incident.escalated', {}, 'Remediation failed twice');
+  check('Escalations reach Teams and email', sent.channels.join() === 'audit-webhook,oncall-email,slack-incidents,teams-sre', sent.channels.join());
+
+  sent = await notify('incident.opened', { provider: 'azure' });
+  check('Azure incidents reach the Azure team', sent.channels.includes('teams-sre'), sent.channels.join());
+  sent = await notify('incident.resolved', { provider: 'azure', status: 'resolved' });
+  check('Azure route only matches its event', !sent.channels.includes('teams-sre'), sent.channels.join());
+
+  sent = await notify('incident.opened', { tenant: 'acme', severity: 'HIGH' });
+  check('A tenant with its own routes ignores the default ones', sent.channels.length === 0, sent.channels.join() || 'none');
+  sent = await notify('incident.opened', { tenant: 'acme', severity: 'CRITICAL' });
+  check('Tenant route matches on severity', sent.channels.join() === 'pagerduty', sent.channels.join());
+
+  sent = await notify('incident.triaging', { severity: 'CRITICAL' });
+  check('Events outside the list are not sent', sent.channels.length === 0);
+
+  // ----- Payload shapes -----
+  sent = await notify('incident.escalated', {
+    severity: 'HIGH',
+    alarmName: 'orders-api <script>',
+    plan: { action: 'RESTART_LAMBDA' }
+  }, 'Escalated by ops@example.com');
+  const { 'slack-incidents': slack, 'teams-sre': teams, 'oncall-email': email, pagerduty, 'audit-webhook': webhook } = sent.payloads;
+
+  check('Slack: fallback text plus header, summary, facts, button and context blocks',
+    slack.text.startsWith('[HIGH] Escalated') && slack.blocks.map(b => b.type).join() === 'header,section,section,actions,context',
+    slack.blocks.map(b => b.type).join());
+  check('Slack: incident link', slack.blocks[3].elements[0].url === `https://aura.example.com/incidents/${sent.deliveries[0].incidentId}`,
+    slack.blocks[3].elements[0].url);
+
+  const card = teams.attachments?.[0];
+  check('Teams: Adaptive Card attachment', card?.contentType === 'application/vnd.microsoft.card.adaptive' &&
+    card.content.type === 'AdaptiveCard' && card.content.body.some(b => b.type === 'FactSet'));
+  check('Teams: high severity is highlighted', card.content.body[0].color === 'Attention', card.content.body[0].color);
+
+  check('Email: recipients, subject, text and HTML', email.to.join() === 'sre-oncall@example.com' &&
+    email.subject === slack.text && email.text.includes('Action: RESTART_LAMBDA') && email.html.startsWith('<h2>'));
+  check('Email: HTML is escaped', email.html.includes('&lt;script&gt;') && !email.html.includes('<script>'));
+
+  check('PagerDuty: trigger deduplicated on the incident', pagerduty.event_action === 'trigger' &&
+    pagerduty.dedup_key === sent.deliveries[0].incidentId && pagerduty.payload.severity === 'error', JSON.stringify(pagerduty).slice(0, 120));
+  check('Webhook: flat message with incident facts', webhook.event === 'incident.escalated' && webhook.incident.action === 'RESTART_LAMBDA');
+  check('PII is redacted before leaving the platform', !JSON.stringify(sent.payloads).includes('ops@example.com'));
+
+  sent = await notify('incident.resolved', { severity: 'HIGH', status: 'resolved' });
+  check('PagerDuty: resolved incidents resolve the alert, no payload',
+    sent.payloads.pagerduty.event_action === 'resolve' && !sent.payloads.pagerduty.payload);
+
+  // ----- Delivery: retries and giving up against a local endpoint -----
+  const responses = [];
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      const [status, delayMs = 0] = responses.shift() || [200];
+      setTimeout(() => res.writeHead(status).end(status < 300 ? 'ok' : 'nope'), delayMs);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  try {
+    const events = [];
+    const live = new Notifier({
+      incidentManager,
+      pushEvent: (event) => events.push(event),
+      config: {
+        mode: 'live',
+        defaults: { retries: 2, retryDelayMs: 10, timeoutMs: 300 },
+        channels: { hook: { type: 'webhook', url }, unset: { type: 'slack', urlEnv: 'AURA_TEST_UNSET_WEBHOOK' } },
+        routes: [{ channels: ['hook', 'unset'] }]
+      }
+    });
+    const deliver = async () => {
+      const record = incident();
+      incidents.set(record.id, record);
+      const deliveries = await live.handle({ type: 'incident.opened', incidentId: record.id });
+      return Object.fromEntries(deliveries.map(d => [d.channel, d]));
+    };
+
+    responses.push([503], [429]);
+    let result = await deliver();
+    check('5xx and 429 are retried until delivered', result.hook.status === 'sent' && result.hook.attempts === 3,
+      `${result.hook.status} after ${result.hook.attempts} attempt(s)`);
+    check('Channels without a URL are skipped', result.unset.status === 'skipped' && /AURA_TEST_UNSET_WEBHOOK/.test(result.unset.reason),
+      result.unset.reason);
+
+    responses.push([500], [500], [500]);
+    result = await deliver();
+    check('Gives up after the retries', result.hook.status === 'failed' && result.hook.attempts === 3,
+      `${result.hook.status} after ${result.hook.attempts} attempt(s)`);
+    check('Giving up raises notification.failed', events.some(e => e.type === 'notification.failed' && /hook/.test(e.detail)),
+      events.map(e => e.detail).join('; '));
+
+    responses.push([400]);
+    result = await deliver();
+    check('4xx is not retried', result.hook.status === 'failed' && result.hook.attempts === 1, `${result.hook.attempts} attempt(s)`);
+
+    responses.push([200, 1000]);
+    result = await deliver();
+    check('A timeout is retried', result.hook.status === 'sent' && result.hook.attempts === 2, `${result.hook.attempts} attempt(s)`);
+
+    check('Live deliveries are logged per tenant', live.describe('default').deliveries.length === 8);
+    check('Endpoint received the webhook payload', received.every(body => body.event === 'incident.opened' && body.tenant === 'default'));
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testNotifications().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
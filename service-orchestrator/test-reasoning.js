@@ -0,0 +1,173 @@
+// Exercises ReasoningAgentV2 end to end with recorded model answers (no LLM credentials needed):
+//   node test-reasoning.js
+process.env.KB_EMBEDDINGS = process.env.KB_EMBEDDINGS || 'none'; // BM25 retrieval only, no embedding calls
+
+const ReasoningAgentV2 = require('./src/agents/ReasoningAgent_v2_LangGraph');
+const ModelProvider = require('./src/llm/ModelProvider');
+const RecordedProvider = require('./src/llm/providers/recorded');
+const { ModelRegistry } = require('./src/llm');
+
+const INCIDENT = { AlarmName: 'orders-api-Duration', NewStateReason: 'p99 duration above 2800 ms', resourceId: 'orders-api' };
+
+const answer = (fields) => JSON.stringify({
+  action: 'INCREASE_LAMBDA_MEMORY',
+  resourceId: 'orders-api',
+  provider: 'aws',
+  confidence: 0.9,
+  citations: ['SOP-002'],
+  rationale: 'Duration climbs with memory pressure in the logs',
+  parameters: {},
+  ...fields
+});
+
+// Canned telemetry in place of CloudWatch; records which tools the graph asked for.
+// Fixed timestamps keep the prompt identical between runs, so recordings keyed by prompt replay.
+const fakeTools = (calls = []) => ({
+  calls,
+  async call(tool, args) {
+    calls.push(tool);
+    const data = {
+      metrics: { score: 40, status: 'critical', metrics: { duration: 2900 } },
+      logs: [{ timestamp: '2026-01-01T00:00:00.000Z', message: 'Task timed out after 3.00 seconds' }],
+      deploys: []
+    }[tool];
+    return { tool, ok: true, data, durationMs: 1, args };
+  }
+});
+
+// Fails with a retryable error until `failures` runs out, then answers
+class FlakyProvider extends ModelProvider {
+  static type = 'flaky';
+
+  constructor(options = {}) {
+    super({ retryDelayMs: 10, ...options });
+    this.failures = options.failures ?? 1;
+    this.calls = 0;
+  }
+
+  async invoke() {
+    this.calls++;
+    if (this.failures-- > 0) throw Object.assign(new Error('503 Service Unavailable'), { retryable: true });
+    return { text: answer({ action: 'RESTART_LAMBDA' }), usage: { inputTokens: 900, outputTokens: 60 } };
+  }
+}
+
+async function testReasoning() {
+  console.log('=== Testing ReasoningAgentV2 with a recorded provider ===\n');
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${detail ? ` (${detail})` : ''}`);
+  };
+
+  const events = [];
+  const agent = (model, extra = {}) => new ReasoningAgentV2({
+    pushEvent: (event) => events.push(event),
+    incidentId: 'INC-REASONING',
+    tenant: 'acme',
+    provider: 'aws',
+    resourceId: 'orders-api',
+    model,
+    tools: fakeTools(),
+    ...extra
+  });
+
+  // Recorded providers from a registry, so usage lands in the per-tenant counters like in the server
+  const registry = new ModelRegistry({
+    default: 'replay',
+    providers: {
+      replay: { type: 'recorded', recordings: [{ match: 'ALLOWED ACTIONS', text: answer(), usage: { inputTokens: 1200, outputTokens: 80 } }] },
+      repair: {
+        type: 'recorded',
+        recordings: [
+          // The repair prompt repeats the original one, so its recording is listed first
+          { match: 'Your previous answer was rejected', text: answer({ action: 'INCREASE_LAMBDA_TIMEOUT' }) },
+          { match: 'ALLOWED ACTIONS', text: answer({ action: 'DELETE_FUNCTION' }) }
+        ]
+      },
+      unsure: { type: 'recorded', recordings: [{ match: 'ALLOWED ACTIONS', text: answer({ confidence: 0.3 }) }] },
+      empty: { type: 'recorded', recordings: [] }
+    }
+  });
+
+  // 1. A valid, confident answer is accepted on the first attempt
+  {
+    const reasoning = agent(registry.get('replay'));
+    const plan = await reasoning.run(INCIDENT);
+    check('Recorded plan is accepted', plan.action === 'INCREASE_LAMBDA_MEMORY' && plan.source === 'model' && plan.validated === true,
+      `${plan.action}, ${plan.source}, validated ${plan.validated}`);
+    check('One reasoning attempt, one model call', plan.reasoningAttempts === 1 && plan.planAttempts === 1);
+    check('Graph ran diagnose -> tools -> diagnose -> planner -> validate',
+      reasoning.trace.map(entry => entry.node).join() === 'diagnose,tools,diagnose,planner,validate',
+      reasoning.trace.map(entry => entry.node).join());
+    check('Diagnosis asked for metrics and logs', reasoning.tools.calls.join() === 'metrics,logs', reasoning.tools.calls.join());
+  }
+
+  // 2. A schema-invalid answer gets one repair round
+  {
+    const plan = await agent(registry.get('repair')).run(INCIDENT);
+    check('Invalid action is repaired by the second answer', plan.action === 'INCREASE_LAMBDA_TIMEOUT' && plan.planAttempts === 2 && plan.validated === true,
+      `${plan.action} after ${plan.planAttempts} answer(s)`);
+    check('Rejected answer is reported', events.some(e => e.type === 'ai.plan_invalid' && /DELETE_FUNCTION|action/.test(e.detail)));
+  }
+
+  // 3. Low confidence: the graph retries up to its cap, then hands over an unvalidated plan
+  {
+    const reasoning = agent(registry.get('unsure'), { maxAttempts: 2 });
+    const plan = await reasoning.run(INCIDENT);
+    check('Low-confidence plan is retried up to the cap', plan.reasoningAttempts === 2 && plan.validated === false,
+      `${plan.reasoningAttempts} attempt(s), validated ${plan.validated}`);
+    check('Retry widens the diagnosis with recent deploys', reasoning.tools.calls.join() === 'metrics,logs,metrics,logs,deploys',
+      reasoning.tools.calls.join());
+    check('Rejection reason is kept on the plan', /confidence 0.3 below/.test(plan.validationNote), plan.validationNote);
+  }
+
+  // 4. No recording: a non-retryable error, not retried, and the rule engine takes over
+  {
+    const plan = await agent(registry.get('empty'), { maxAttempts: 1 }).run(INCIDENT);
+    check('Missing recording falls back to the rules', plan.source === 'rule-fallback' && plan.validated === false,
+      `${plan.action}, ${plan.source}`);
+    check('Rules pick the timeout fix for a Duration alarm', plan.action === 'INCREASE_LAMBDA_TIMEOUT', plan.action);
+  }
+
+  // 5. Record mode: a retryable failure of the live model is retried, then the answer is stored and replayed
+  {
+    const usage = [];
+    const live = new FlakyProvider({ failures: 1, onUsage: (record) => usage.push(record) });
+    const recorder = new RecordedProvider({ recordings: [], delegate: live });
+    const first = await agent(recorder).run(INCIDENT);
+    check('Retryable failure is retried by the live provider', live.calls === 2 && first.action === 'RESTART_LAMBDA',
+      `${live.calls} call(s), ${first.action}`);
+    check('Successful retry is accounted with its attempts', usage.length === 1 && usage[0].attempts === 2 && usage[0].usage.inputTokens === 900,
+      JSON.stringify(usage[0] && { attempts: usage[0].attempts, usage: usage[0].usage }));
+    check('Answer was recorded', recorder.recordings.length === 1);
+
+    const replayed = await agent(recorder).run(INCIDENT);
+    check('Replay does not call the live provider again', live.calls === 2 && replayed.action === 'RESTART_LAMBDA', `${live.calls} call(s)`);
+
+    const exhausted = new FlakyProvider({ failures: 5, retries: 2 });
+    const plan = await agent(exhausted, { maxAttempts: 1 }).run(INCIDENT);
+    check('Retries stop at the limit and the rules take over', exhausted.calls === 3 && plan.source === 'rule-fallback',
+      `${exhausted.calls} call(s), ${plan.source}`);
+  }
+
+  // 6. Token accounting per tenant and provider
+  {
+    const counters = Object.fromEntries(registry.usageFor('acme').map(c => [c.provider, c]));
+    check('Recorded usage is counted as reported', counters.replay?.requests === 1 && counters.replay.inputTokens === 1200 &&
+      counters.replay.outputTokens === 80 && counters.replay.estimatedTokens === 0, JSON.stringify(counters.replay));
+    check('Answers without usage are estimated', counters.repair?.requests === 2 && counters.repair.estimatedTokens > 0 &&
+      counters.repair.estimatedTokens === counters.repair.inputTokens + counters.repair.outputTokens, JSON.stringify(counters.repair));
+    check('Failed calls count as failures without tokens', counters.empty?.requests === 1 && counters.empty.failures === 1 &&
+      counters.empty.inputTokens === 0, JSON.stringify(counters.empty));
+    check('Other tenants see none of it', registry.usageFor('other').length === 0);
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testReasoning().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
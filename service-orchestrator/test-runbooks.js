@@ -0,0 +1,127 @@
+// Exercises RunbookExecutor rollbacks on config/runbooks/lambda-timeout-recovery.yaml against an in-memory Lambda:
+//   node test-runbooks.js
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const RunbookExecutor = require('./src/runbooks/executor');
+const { ProviderRegistry } = require('./src/providers/registry');
+const AwsHealAgent = require('./src/agents/aws/AwsHealAgent');
+
+const ORIGINAL = { Timeout: 30, MemorySize: 512, Environment: { Variables: { TABLE_NAME: 'orders' } } };
+
+// Answers the Lambda calls AwsHealAgent makes; `failures` makes the next N updates of a field throw
+class FakeLambda {
+  constructor() {
+    this.config = structuredClone(ORIGINAL);
+    this.failures = {};
+    this.updates = [];
+  }
+
+  async send(command) {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'GetFunctionConfigurationCommand':
+        return structuredClone(this.config);
+      case 'UpdateFunctionConfigurationCommand': {
+        const field = ['MemorySize', 'Timeout', 'Environment'].find(key => input[key] !== undefined);
+        if (this.failures[field] > 0) {
+          this.failures[field]--;
+          throw Object.assign(new Error('Rate exceeded'), { name: 'TooManyRequestsException' });
+        }
+        this.updates.push(input);
+        for (const key of ['Timeout', 'MemorySize', 'Environment']) {
+          if (input[key] !== undefined) this.config[key] = structuredClone(input[key]);
+        }
+        return structuredClone(this.config);
+      }
+      default:
+        throw new Error(`FakeLambda does not answer ${command.constructor.name}`);
+    }
+  }
+}
+
+async function testRunbooks() {
+  console.log('=== Testing runbook execution and rollback ===\n');
+  let failures = 0;
+  const check = (label, ok, detail = '') => {
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${detail ? ` (${detail})` : ''}`);
+  };
+
+  const lambda = new FakeLambda();
+  class LocalAwsHealAgent extends AwsHealAgent {
+    constructor(ctx) {
+      super(ctx);
+      this.lambdaClient = lambda;
+    }
+  }
+  const registry = new ProviderRegistry({ builtins: [LocalAwsHealAgent], pluginDir: path.join(os.tmpdir(), 'aura-no-plugins') });
+
+  const stored = [];
+  const executor = new RunbookExecutor({
+    registry,
+    governor: { acquire: () => ({ release() {} }) },
+    onSnapshot: (incidentId, snapshot) => stored.push({ incidentId, snapshot })
+  });
+
+  // Health endpoint the settle step verifies; `healthy` decides whether the runbook succeeds or rolls back
+  let healthy = false;
+  const server = http.createServer((req, res) => res.writeHead(healthy ? 200 : 503).end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const params = { functionName: 'orders-api', healthUrl: `http://127.0.0.1:${server.address().port}/health` };
+
+  try {
+    const planned = await executor.execute('lambda-timeout-recovery', { params, dryRun: true });
+    const rollbacks = Object.fromEntries(planned.plan.steps.map(step => [step.id, step.rollback?.action || null]));
+    check('Every Lambda change rolls back by restoring its snapshot',
+      rollbacks['raise-timeout'] === 'RESTORE_SNAPSHOT' && rollbacks['raise-memory'] === 'RESTORE_SNAPSHOT' && rollbacks.restart === 'RESTORE_SNAPSHOT',
+      JSON.stringify(rollbacks));
+
+    // The health check fails: every applied step is undone, newest first
+    lambda.failures.MemorySize = 1; // raise-memory needs its retry, capturing a second snapshot
+    const failed = await executor.execute('lambda-timeout-recovery', { params, incident: { id: 'INC-RB-1' }, actor: 'alice' });
+    check('Failed verification rolls the runbook back', failed.status === 'rolled_back', failed.status);
+    check('Rollback runs newest step first',
+      failed.rollback.map(step => step.id).join() === 'restart:rollback,raise-memory:rollback,raise-timeout:rollback',
+      failed.rollback.map(step => `${step.id}:${step.status}`).join());
+    check('Every rollback step succeeded', failed.rollback.every(step => step.status === 'succeeded'));
+    check('Function configuration is back to its original state',
+      JSON.stringify(lambda.config) === JSON.stringify(ORIGINAL), JSON.stringify(lambda.config));
+    check('Snapshots were also kept on the incident', stored.length === 4 && stored.every(s => s.incidentId === 'INC-RB-1'),
+      `${stored.length} snapshot(s)`);
+    check('Restored snapshots are marked', stored.every(({ snapshot }) => snapshot.restoredAt && snapshot.restoredBy === 'alice'));
+
+    // Healthy: the raised configuration stays
+    healthy = true;
+    const succeeded = await executor.execute('lambda-timeout-recovery', { params, actor: 'alice' });
+    check('Healthy function keeps the raised limits',
+      succeeded.status === 'succeeded' && lambda.config.Timeout === 60 && lambda.config.MemorySize === 1024,
+      `${succeeded.status}, Timeout ${lambda.config.Timeout}, MemorySize ${lambda.config.MemorySize}`);
+    check('Nothing was rolled back', succeeded.rollback.length === 0);
+    const variables = lambda.config.Environment.Variables;
+    check('Restart keeps the function environment variables', variables.TABLE_NAME === 'orders' && !!variables.LAST_RESTART_TIME,
+      JSON.stringify(variables));
+  } finally {
+    server.close();
+  }
+
+  // RESTORE_SNAPSHOT only undoes a step; it cannot be a step of its own
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-runbooks-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ id: 'bad', steps: [{ id: 'undo', action: 'RESTORE_SNAPSHOT' }] }));
+    const loader = new RunbookExecutor({ dir, registry });
+    check('RESTORE_SNAPSHOT is rejected as a step action', !loader.get('bad') && /only valid as a rollback/.test(loader.loadErrors[0]?.error),
+      loader.loadErrors[0]?.error);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testRunbooks().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,126 @@
+// Exercises SnsVerifier with a local fake SNS signer (no AWS account needed):
+//   node test-sns.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnsVerifier, buildStringToSign } = require('./src/middleware/snsVerifier');
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:aura-alarms';
+const CERT_URL = 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService-fake.pem';
+const ALGORITHMS = { '1': 'RSA-SHA1', '2': 'RSA-SHA256' };
+
+const keyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// Signs the way SNS does: canonical string of the type's fields, base64 signature
+function sign(message, privateKey, signatureVersion = '2') {
+  const signed = { ...message, SignatureVersion: signatureVersion, SigningCertURL: CERT_URL };
+  const signer = crypto.createSign(ALGORITHMS[signatureVersion]);
+  signer.update(buildStringToSign(signed), 'utf8');
+  return { ...signed, Signature: signer.sign(privateKey, 'base64') };
+}
+
+const notification = () => ({
+  Type: 'Notification',
+  MessageId: crypto.randomUUID(),
+  TopicArn: TOPIC_ARN,
+  Subject: 'ALARM: "HighErrorRate" in US East (N. Virginia)',
+  Message: JSON.stringify({
+    AlarmName: 'HighErrorRate',
+    NewStateValue: 'ALARM',
+    NewStateReason: 'Threshold Crossed: 1 datapoint [12.0] was greater than the threshold (5.0).',
+    StateChangeTime: new Date().toISOString(),
+    Trigger: { Period: 60, EvaluationPeriods: 1, Dimensions: [{ name: 'FunctionName', value: 'aura-target-fn' }] }
+  }),
+  Timestamp: new Date().toISOString()
+});
+
+const subscriptionConfirmation = () => ({
+  Type: 'SubscriptionConfirmation',
+  MessageId: crypto.randomUUID(),
+  Token: crypto.randomBytes(32).toString('hex'),
+  TopicArn: TOPIC_ARN,
+  Message: `You have chosen to subscribe to the topic ${TOPIC_ARN}.`,
+  SubscribeURL: `https://sns.us-east-1.amazonaws.com/?Action=ConfirmSubscription&TopicArn=${TOPIC_ARN}`,
+  Timestamp: new Date().toISOString()
+});
+
+async function testSns() {
+  console.log('=== Testing SNS signature verification with a fake signer ===\n');
+  const { publicKey, privateKey } = keyPair();
+  const other = keyPair();
+  let failures = 0;
+
+  const expect = async (label, verifier, message, shouldPass) => {
+    let error = null;
+    try {
+      await verifier.verify(message);
+    } catch (err) {
+      error = err;
+    }
+    const ok = shouldPass ? !error : !!error;
+    if (!ok) failures++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${label}${error ? ` (${error.message})` : ''}`);
+  };
+
+  // The certificate download is replaced by the local public key; the URL check still applies
+  const fetched = [];
+  const verifier = new SnsVerifier({
+    topicArn: TOPIC_ARN,
+    fetchCertificate: async (url) => { fetched.push(url); return publicKey; }
+  });
+
+  await expect('Notification (SignatureVersion 2)', verifier, sign(notification(), privateKey), true);
+  await expect('Notification (SignatureVersion 1)', verifier, sign(notification(), privateKey, '1'), true);
+  await expect('SubscriptionConfirmation', verifier, sign(subscriptionConfirmation(), privateKey), true);
+
+  const tampered = sign(notification(), privateKey);
+  tampered.Message = tampered.Message.replace('ALARM', 'OK');
+  await expect('Rejects tampered Message', verifier, tampered, false);
+
+  const tamperedToken = sign(subscriptionConfirmation(), privateKey);
+  tamperedToken.SubscribeURL = 'https://attacker.example.com/confirm';
+  await expect('Rejects tampered SubscribeURL', verifier, tamperedToken, false);
+
+  await expect('Rejects a signature from another key', verifier, sign(notification(), other.privateKey), false);
+  await expect('Rejects another topic', verifier, sign({ ...notification(), TopicArn: `${TOPIC_ARN}-other` }, privateKey), false);
+  await expect('Rejects a non-AWS SigningCertURL', verifier,
+    { ...sign(notification(), privateKey), SigningCertURL: 'https://evil.example.com/cert.pem' }, false);
+  await expect('Rejects a missing signature', verifier, { ...sign(notification(), privateKey), Signature: undefined }, false);
+  await expect('Rejects an unknown SignatureVersion', verifier, { ...sign(notification(), privateKey), SignatureVersion: '3' }, false);
+  console.log(`  certificate fetched ${fetched.length} time(s) (cached per URL)\n`);
+
+  // Without SNS_TOPIC_ARN any AWS account could publish to the endpoint, so only an explicit opt-in accepts every topic
+  const fetchCertificate = async () => publicKey;
+  await expect('Rejects every topic when none is configured', new SnsVerifier({ fetchCertificate, allowAnyTopic: false }),
+    sign(notification(), privateKey), false);
+  await expect('Accepts any topic with SNS_ALLOW_ANY_TOPIC', new SnsVerifier({ fetchCertificate, allowAnyTopic: true }),
+    sign({ ...notification(), TopicArn: `${TOPIC_ARN}-other` }, privateKey), true);
+  await expect('Still checks the signature with SNS_ALLOW_ANY_TOPIC', new SnsVerifier({ fetchCertificate, allowAnyTopic: true }),
+    sign(notification(), other.privateKey), false);
+  console.log();
+
+  // SNS_SIGNING_CERT_FILE: the same key from disk, as when running the server against a local signer
+  const certFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aura-sns-')), 'signing-cert.pem');
+  fs.writeFileSync(certFile, publicKey);
+  try {
+    const fromFile = new SnsVerifier({ topicArn: TOPIC_ARN, certificatePath: certFile });
+    await expect('Notification via SNS_SIGNING_CERT_FILE', fromFile, sign(notification(), privateKey), true);
+    await expect('Rejects tampered Subject via SNS_SIGNING_CERT_FILE', fromFile,
+      { ...sign(notification(), privateKey), Subject: 'OK: "HighErrorRate"' }, false);
+  } finally {
+    fs.rmSync(path.dirname(certFile), { recursive: true, force: true });
+  }
+
+  console.log(`\n${failures ? `${failures} check(s) failed` : 'All checks passed'}`);
+  if (failures) process.exitCode = 1;
+}
+
+testSns().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});